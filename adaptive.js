@@ -0,0 +1,105 @@
+/**
+ * Adaptive AI level
+ * Tunes a fractional ComputerAI level (1.0-12.0) from run outcomes so runs last
+ * about a target survival time. Below 10 every planning parameter (path
+ * duration, lookahead, thinking time) is continuous in the level; above 10 the
+ * search depth steps up at 11 and 12.
+ *
+ * After each run the level moves by gain * ln(target / survived): a run that
+ * ended at half the target raises it by about 1.7 levels, one that lasted
+ * twice as long lowers it as much. Within a run, once the target has passed
+ * the level eases off (getLevel), so a run that's going too well still ends
+ * near the target instead of running for minutes.
+ *
+ * Used for the demo (attract) mode and for the ghost that races the player.
+ */
+
+import { AI_MAX_LEVEL } from "./computer.js";
+
+const ADAPTIVE_DEFAULT_TARGET = 60; // seconds
+
+// Mean survival (seconds) at some levels on Standard, from tools/ai-benchmark.js
+// (--games 100 --levels 1,5,10,11,12); re-run it after rule changes. Only the
+// first guess comes from here, outcomes take over after that
+const ADAPTIVE_CALIBRATION = [[1, 25], [5, 46], [10, 84], [11, 115], [12, 132]];
+
+class AdaptiveLevel {
+    /**
+     * @param {Number} options.targetTime - Survival time to aim for (seconds)
+     * @param {Number} options.level - Starting level (default: estimated from the target)
+     * @param {Number} options.gain - Levels moved per e-fold miss of the target
+     * @param {Number} options.maxStep - Largest change after one run
+     * @param {Number} options.overtimeEase - Levels dropped per target length run past the target
+     */
+    constructor(options = {}) {
+        this.targetTime = options.targetTime || ADAPTIVE_DEFAULT_TARGET;
+        this.gain = options.gain !== undefined ? options.gain : 2.5;
+        this.maxStep = options.maxStep !== undefined ? options.maxStep : 2;
+        this.overtimeEase = options.overtimeEase !== undefined ? options.overtimeEase : 6;
+        this.level = AdaptiveLevel.clamp(options.level !== undefined ? options.level : AdaptiveLevel.estimateLevel(this.targetTime));
+        this.history = []; // recent runs, newest last: {level, time}
+        this.historySize = 10;
+    }
+
+    static clamp(level) {
+        return Math.max(1, Math.min(AI_MAX_LEVEL, level));
+    }
+
+    /**
+     * Decision: Level expected to survive about `time` seconds (interpolated from the calibration)
+     */
+    static estimateLevel(time) {
+        const table = ADAPTIVE_CALIBRATION;
+        if (time <= table[0][1]) return table[0][0];
+
+        for (let i = 1; i < table.length; i++) {
+            const [levelA, timeA] = table[i - 1];
+            const [levelB, timeB] = table[i];
+            if (time <= timeB) {
+                return levelA + (levelB - levelA) * (time - timeA) / (timeB - timeA);
+            }
+        }
+        return table[table.length - 1][0];
+    }
+
+    /**
+     * Aim for a new target; with reestimate the level restarts from the calibration
+     */
+    setTarget(time, reestimate = false) {
+        this.targetTime = Math.max(1, time);
+        if (reestimate) this.level = AdaptiveLevel.clamp(AdaptiveLevel.estimateLevel(this.targetTime));
+    }
+
+    /**
+     * Level to play at this far into a run
+     */
+    getLevel(time = 0) {
+        const overtime = Math.max(0, time - this.targetTime) / this.targetTime;
+        return AdaptiveLevel.clamp(this.level - overtime * this.overtimeEase);
+    }
+
+    /**
+     * Learn from a finished run
+     * @param {Number} time - Seconds the run lasted
+     * @returns {Number} - The new level
+     */
+    recordRun(time) {
+        this.history.push({ level: this.level, time: time });
+        if (this.history.length > this.historySize) this.history.shift();
+
+        const miss = Math.log(this.targetTime / Math.max(1, time));
+        const step = Math.max(-this.maxStep, Math.min(this.maxStep, this.gain * miss));
+        this.level = AdaptiveLevel.clamp(this.level + step);
+        return this.level;
+    }
+
+    /**
+     * Mean survival over the recent runs (null before the first)
+     */
+    recentMean() {
+        if (this.history.length === 0) return null;
+        return this.history.reduce((sum, run) => sum + run.time, 0) / this.history.length;
+    }
+}
+
+export { AdaptiveLevel, ADAPTIVE_DEFAULT_TARGET, ADAPTIVE_CALIBRATION };
@@ -0,0 +1,235 @@
+/**
+ * In-scene AI debug overlay
+ * Draws what ComputerAI considered on its last planning call (ComputerAI.lastPlan,
+ * kept while plan recording is on): every candidate direction as a ray coloured
+ * from red (worst) to green (best), the chosen path (the whole search plan at
+ * levels 11-12), where predicted meteors will land, where enemies are predicted
+ * to be, and the minEnemyDistance ring. A HUD panel breaks the chosen move's
+ * score down into its parts.
+ *
+ * Browser only.
+ */
+
+import * as THREE from "./vendor/three/build/three.module.js";
+
+const OVERLAY_MAX_CANDIDATES = 32;
+const OVERLAY_MAX_MARKERS = 80;
+const OVERLAY_LANDING_WINDOW = 2.0; // seconds: only meteors landing this soon are marked
+const OVERLAY_MARKER_RANGE = 30; // units from the player
+
+const SCORE_PART_LABELS = {
+    movement: "Movement",
+    meteor: "Meteor",
+    enemy: "Enemy",
+    space: "Open space",
+    hole: "Hole",
+    edge: "Edge",
+    stillness: "Stillness",
+    pickup: "Pickup"
+};
+
+class AIDebugOverlay {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {HTMLElement} panel - HUD element for the score breakdown
+     */
+    constructor(scene, panel) {
+        this.panel = panel;
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.shownPlan = null;
+        scene.add(this.group);
+
+        // Candidate rays: one segment per candidate, coloured per vertex
+        const rayGeo = new THREE.BufferGeometry();
+        rayGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(OVERLAY_MAX_CANDIDATES * 6), 3));
+        rayGeo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(OVERLAY_MAX_CANDIDATES * 6), 3));
+        this.rays = new THREE.LineSegments(rayGeo, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.group.add(this.rays);
+
+        // Chosen path (start plus up to 4 segments)
+        const pathGeo = new THREE.BufferGeometry();
+        pathGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(5 * 3), 3));
+        this.path = new THREE.Line(pathGeo, new THREE.LineBasicMaterial({ color: 0xffffff }));
+        this.group.add(this.path);
+
+        // Enemy predictions: a line from each enemy to where it's expected to be
+        const enemyLineGeo = new THREE.BufferGeometry();
+        enemyLineGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(OVERLAY_MAX_MARKERS * 6), 3));
+        this.enemyLines = new THREE.LineSegments(enemyLineGeo, new THREE.LineBasicMaterial({ color: 0xffaa00 }));
+        this.group.add(this.enemyLines);
+
+        this.markerGeo = new THREE.RingGeometry(0.55, 0.8, 20);
+        this.landingMarkers = [];
+        this.enemyMarkers = [];
+
+        this.enemyRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.94, 1, 48),
+            new THREE.MeshBasicMaterial({ color: 0x00e5ff, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+        );
+        this.enemyRing.rotation.x = -Math.PI / 2;
+        this.group.add(this.enemyRing);
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+        this.panel.hidden = !visible;
+    }
+
+    /**
+     * Draw a plan, or hide everything when there is none
+     * @param {Object|null} plan - ComputerAI.lastPlan
+     * @param {Object} playerPosition - Current {x, z}, for the enemy-distance ring
+     */
+    update(plan, playerPosition) {
+        this.setVisible(!!plan);
+        if (!plan) {
+            this.shownPlan = null;
+            return;
+        }
+
+        this.enemyRing.scale.set(plan.minEnemyDistance, plan.minEnemyDistance, 1);
+        this.enemyRing.position.set(playerPosition.x, 0.06, playerPosition.z);
+
+        // Everything else only changes when the AI plans again
+        if (plan === this.shownPlan) return;
+        this.shownPlan = plan;
+
+        this.updateRays(plan);
+        this.updatePath(plan);
+        this.updateLandings(plan);
+        this.updateEnemies(plan);
+        this.updatePanel(plan);
+    }
+
+    updateRays(plan) {
+        const positions = this.rays.geometry.attributes.position;
+        const colors = this.rays.geometry.attributes.color;
+        const candidates = plan.candidates.slice(0, OVERLAY_MAX_CANDIDATES);
+        const length = plan.speed * plan.segmentDuration;
+        const scores = candidates.map(c => c.score);
+        const min = Math.min(...scores);
+        const range = Math.max(Math.max(...scores) - min, 1e-6);
+        const color = new THREE.Color();
+
+        candidates.forEach((c, i) => {
+            const t = (c.score - min) / range;
+            // Hue runs red -> green with the score; worse rays are also dimmer
+            color.setHSL(t * 0.33, 1, 0.2 + 0.35 * t);
+
+            positions.setXYZ(i * 2, plan.position.x, 0.3, plan.position.z);
+            positions.setXYZ(i * 2 + 1, plan.position.x + c.dx * length, 0.3, plan.position.z + c.dz * length);
+            colors.setXYZ(i * 2, color.r, color.g, color.b);
+            colors.setXYZ(i * 2 + 1, color.r, color.g, color.b);
+        });
+
+        this.rays.geometry.setDrawRange(0, candidates.length * 2);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+
+    updatePath(plan) {
+        const positions = this.path.geometry.attributes.position;
+        const length = plan.speed * plan.segmentDuration;
+        let x = plan.position.x;
+        let z = plan.position.z;
+
+        positions.setXYZ(0, x, 0.35, z);
+        plan.plan.slice(0, 4).forEach((step, i) => {
+            x += step.dx * length;
+            z += step.dz * length;
+            positions.setXYZ(i + 1, x, 0.35, z);
+        });
+
+        this.path.geometry.setDrawRange(0, Math.min(plan.plan.length, 4) + 1);
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * Action: Show n markers from a pool, creating them as needed
+     */
+    useMarkers(pool, n, color) {
+        while (pool.length < n) {
+            const mesh = new THREE.Mesh(
+                this.markerGeo,
+                new THREE.MeshBasicMaterial({ color: color, transparent: true, side: THREE.DoubleSide })
+            );
+            mesh.rotation.x = -Math.PI / 2;
+            this.group.add(mesh);
+            pool.push(mesh);
+        }
+        pool.forEach((mesh, i) => { mesh.visible = i < n; });
+        return pool;
+    }
+
+    updateLandings(plan) {
+        const landings = [];
+
+        // Where each meteor's straight-line flight meets the ground
+        for (const m of plan.predictedMeteors) {
+            const fallSpeed = -m.velocity.y;
+            if (fallSpeed <= 0) continue;
+            const landsIn = m.currentY / fallSpeed;
+            const x = m.currentX + m.velocity.x * landsIn;
+            const z = m.currentZ + m.velocity.z * landsIn;
+            const dist = Math.hypot(x - plan.position.x, z - plan.position.z);
+            if (landsIn <= OVERLAY_LANDING_WINDOW && dist <= OVERLAY_MARKER_RANGE) {
+                landings.push({ x: x, z: z, landsIn: landsIn, radius: m.blastRadius || m.radius });
+            }
+        }
+
+        const shown = landings.slice(0, OVERLAY_MAX_MARKERS);
+        const markers = this.useMarkers(this.landingMarkers, shown.length, 0xff3d00);
+        shown.forEach((l, i) => {
+            markers[i].position.set(l.x, 0.05, l.z);
+            // The ring's outer edge is 0.8, a plain meteor's radius
+            markers[i].scale.setScalar(l.radius / 0.8);
+            // Sooner landings are more opaque
+            markers[i].material.opacity = 1 - 0.8 * (l.landsIn / OVERLAY_LANDING_WINDOW);
+        });
+    }
+
+    updateEnemies(plan) {
+        const lines = this.enemyLines.geometry.attributes.position;
+        const shown = plan.predictedEnemies.slice(0, OVERLAY_MAX_MARKERS);
+        const markers = this.useMarkers(this.enemyMarkers, shown.length, 0xffaa00);
+
+        shown.forEach((e, i) => {
+            const x = e.currentX + e.velocity.x * e.predictionTime;
+            const z = e.currentZ + e.velocity.z * e.predictionTime;
+            markers[i].position.set(x, 0.05, z);
+            markers[i].scale.setScalar(1);
+            markers[i].material.opacity = 0.9;
+            lines.setXYZ(i * 2, e.currentX, 0.3, e.currentZ);
+            lines.setXYZ(i * 2 + 1, x, 0.3, z);
+        });
+
+        this.enemyLines.geometry.setDrawRange(0, shown.length * 2);
+        lines.needsUpdate = true;
+    }
+
+    updatePanel(plan) {
+        const chosen = plan.chosen;
+        const ranked = plan.candidates.slice().sort((a, b) => b.score - a.score);
+        const runnerUp = ranked.find(c => c.name !== chosen.name);
+        const row = (label, value) =>
+            `<div><span>${label}</span><span>${value.toFixed(1)}</span></div>`;
+
+        let html = `<div class="aiDebugTitle">Chose ${chosen.name}` +
+            (plan.plan.length > 1 ? ` (${plan.plan.length}-step plan)` : "") + `</div>`;
+        for (const key of Object.keys(SCORE_PART_LABELS)) {
+            html += row(SCORE_PART_LABELS[key], chosen.parts[key]);
+        }
+        html += `<div class="aiDebugTotal">${row("Total", this.sumParts(chosen.parts))}</div>`;
+        if (runnerUp) {
+            html += `<div class="aiDebugNote">Next best: ${runnerUp.name} (${runnerUp.score.toFixed(1)})</div>`;
+        }
+        this.panel.innerHTML = html;
+    }
+
+    sumParts(parts) {
+        return Object.keys(SCORE_PART_LABELS).reduce((sum, key) => sum + parts[key], 0);
+    }
+}
+
+export { AIDebugOverlay };
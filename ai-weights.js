@@ -0,0 +1,172 @@
+/**
+ * Scoring weights for ComputerAI
+ * Every number the path planner scores a move with, by name. Penalties are
+ * stored as positive sizes and subtracted where they apply, so every weight is
+ * a number >= 0 (tools/ai-tune.js searches them on a log scale).
+ *
+ * A weight profile is plain JSON:
+ *
+ *   {
+ *     "id": "tuned", "name": "Tuned", "description": "...",
+ *     "default": { "meteorHit": 900, ... },          // every level
+ *     "levels": { "5": { "movementBonus": 12 }, ... } // one level, on top of "default"
+ *   }
+ *
+ * Like a difficulty, a profile only needs the weights it changes; the rest come
+ * from DEFAULT_WEIGHTS. Fractional (adaptive) levels blend the weights of the
+ * two whole levels around them, as every other planning parameter does.
+ */
+
+const DEFAULT_WEIGHTS = {
+    // Moving at all (stops the planner dithering in place)
+    movementBonus: 30,
+
+    // Meteors, per sample along the path; zones widen with a big meteor's blast
+    meteorHit: 1000,          // inside the meteor (times its height urgency)
+    meteorDanger: 200,        // divided by the distance
+    meteorDangerRange: 3.5,
+    meteorWarning: 30,        // divided by the distance
+    meteorWarningRange: 5,
+    meteorClearance: 5,       // per unit to the nearest meteor...
+    meteorClearanceCap: 50,   // ...up to this
+
+    // Crowding at the end point, per meteor above the spawn ring's average
+    crowding: 5,
+
+    // Holes
+    holeEdge: 150,            // per unit inside holeEdgeRange of a hole's edge
+    holeEdgeRange: 2,
+    holePath: 60,             // per AI level, for a path the pull carries into a hole
+    holePull: 1000,           // times the holes' mean pull along the path, as a fraction of the player's speed
+    unknownTerritory: 150,    // per unit past the loaded tiles
+
+    // Standing still
+    stillness: 10,            // with nothing close
+    stillnessPerThreat: 50,   // per nearby meteor (up to 5)
+
+    // Pickups
+    pickupCollect: 120,       // collected on the way
+    pickupApproach: 30,       // ending next to the nearest one (less further away)
+
+    // Enemies, per sample along the path
+    enemyHit: 1500,
+    enemyHitRange: 2,
+    enemyDanger: 400,         // divided by the distance
+    enemyDangerRange: 4,
+    enemyWarning: 50,         // divided by the distance
+    enemyWarningRange: 6,
+    enemyCaution: 10,         // divided by the distance
+    enemyCautionRange: 8,
+    minEnemyDistance: 5,      // closer than this to the nearest enemy is too close
+    enemyTooClose: 300,       // per unit below minEnemyDistance
+    enemyRetreat: 150,        // per unit gained on the nearest enemy while too close
+    enemyApproach: 200,       // per unit lost to it while too close
+    enemySafeDistance: 40,    // per unit above minEnemyDistance...
+    enemySafeDistanceCap: 5,  // ...counting up to this many units
+    enemyWellClear: 30,       // more than enemyWellClearMargin above minEnemyDistance
+    enemyWellClearMargin: 2,
+    enemyOpening: 20,         // per unit gained on it while already safe...
+    enemyOpeningCap: 3        // ...counting up to this many units
+};
+
+/**
+ * Fill in everything a set of weights leaves out from DEFAULT_WEIGHTS
+ * @param {Object} base - Weights to start from (resolved)
+ * @throws {Error} - If a weight is unknown, not a number, or below 0
+ */
+function resolveWeights(weights, base = DEFAULT_WEIGHTS, label = "Weights") {
+    if (!weights || typeof weights !== "object" || Array.isArray(weights)) {
+        throw new Error(`${label} must be an object.`);
+    }
+
+    const resolved = Object.assign({}, base);
+    for (const key of Object.keys(weights)) {
+        if (!(key in DEFAULT_WEIGHTS)) {
+            throw new Error(`${label}: unknown weight ${key}.`);
+        }
+        const value = weights[key];
+        if (typeof value !== "number" || !isFinite(value) || value < 0) {
+            throw new Error(`${label}: ${key} must be a number >= 0.`);
+        }
+        resolved[key] = value;
+    }
+    return resolved;
+}
+
+/**
+ * Resolve a profile: full weights for "default" and for every level it names
+ * @throws {Error} - If a level isn't a whole number from 1 or a weight is invalid
+ */
+function resolveWeightProfile(profile) {
+    const name = profile.name || profile.id || "Custom";
+    const resolved = {
+        id: profile.id || "custom",
+        name: name,
+        description: profile.description || "",
+        default: resolveWeights(profile.default || {}, DEFAULT_WEIGHTS, `Weights "${name}"`),
+        levels: {}
+    };
+
+    const levels = profile.levels || {};
+    if (typeof levels !== "object" || Array.isArray(levels)) {
+        throw new Error(`Weights "${name}": "levels" must be an object.`);
+    }
+    for (const key of Object.keys(levels)) {
+        const level = Number(key);
+        if (!Number.isInteger(level) || level < 1) {
+            throw new Error(`Weights "${name}": level "${key}" must be a whole number from 1.`);
+        }
+        resolved.levels[level] = resolveWeights(levels[key], resolved.default, `Weights "${name}", level ${level}`);
+    }
+    return resolved;
+}
+
+/**
+ * Parse and validate a weight profile file's text
+ * @throws {Error} - If the text is not a usable weight profile
+ */
+function parseWeightProfile(text) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (err) {
+        throw new Error("Weights file is not valid JSON.");
+    }
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+        throw new Error("Weights file must contain one JSON object.");
+    }
+    return resolveWeightProfile(profile);
+}
+
+/**
+ * Decision: The weights a (resolved) profile plays a level with
+ * Fractional levels blend the whole levels below and above them.
+ */
+function getLevelWeights(profile, level) {
+    const lower = Math.floor(level);
+    const below = profile.levels[lower] || profile.default;
+    const above = profile.levels[Math.ceil(level)] || profile.default;
+    if (below === above) return below;
+
+    const f = level - lower;
+    const blended = {};
+    for (const key of Object.keys(below)) {
+        blended[key] = below[key] + (above[key] - below[key]) * f;
+    }
+    return blended;
+}
+
+const DEFAULT_WEIGHT_PROFILE = resolveWeightProfile({
+    id: "default",
+    name: "Default",
+    description: "The hand-tuned weights"
+});
+
+export {
+    DEFAULT_WEIGHTS,
+    DEFAULT_WEIGHT_PROFILE,
+    resolveWeights,
+    resolveWeightProfile,
+    parseWeightProfile,
+    getLevelWeights
+};
@@ -0,0 +1,419 @@
+/**
+ * Procedural sound for Meteor Dodge 3D
+ * Every sound is synthesized with WebAudio (oscillators, filtered noise), so
+ * there is nothing to download:
+ *   engine     - hum that rises with the rocket's speed
+ *   whistle    - the nearest incoming meteor, falling in pitch as it drops, panned to where it is
+ *   impacts    - thud and crackle per landing, sized and panned by the meteor
+ *   hole drone - low throb that speeds up and swells nearer a black hole
+ *   alert      - double beep when an enemy gets too close
+ *   stingers   - one per way of losing
+ *
+ * Volume and mute are stored under one localStorage key. Browsers only start
+ * audio after a user gesture, so nothing is created until unlock() is called
+ * from one; before that, or without WebAudio, every method does nothing.
+ *
+ * Browser only for sound; the settings part also runs in Node.
+ */
+
+const AUDIO_SETTINGS_KEY = "meteorDodge.audio";
+const AUDIO_HEARING_RANGE = 45; // units: positional sounds further away are skipped
+const AUDIO_PAN_WIDTH = 15; // units to the side for a sound to be fully left / right
+const AUDIO_MAX_IMPACTS = 8; // impacts sounding at once; more are dropped
+
+class GameAudio {
+    /**
+     * @param {Object} storage - localStorage or a stand-in for the settings; null keeps them in memory
+     */
+    constructor(storage = null, key = AUDIO_SETTINGS_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.volume = 0.7;
+        this.muted = false;
+        this.load();
+        this.paused = false;
+
+        this.ctx = null;
+        this.master = null;
+        this.noise = null; // one second of white noise, shared by every noisy sound
+        this.engine = null;
+        this.whistle = null;
+        this.drone = null;
+        this.impacts = 0; // impacts sounding now
+        this.listener = { x: 0, z: 0, rightX: 1, rightZ: 0 };
+    }
+
+    // ------------------------------------------------------------
+    // Settings
+    // ------------------------------------------------------------
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || "{}");
+            if (typeof saved.volume === "number") this.volume = Math.max(0, Math.min(1, saved.volume));
+            if (typeof saved.muted === "boolean") this.muted = saved.muted;
+        } catch (err) {
+            console.warn("Saved sound settings are unreadable; using the defaults.", err);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (err) {
+            console.warn("Could not save the sound settings.", err);
+        }
+    }
+
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyVolume();
+        this.save();
+    }
+
+    setMuted(muted) {
+        this.muted = !!muted;
+        this.applyVolume();
+        this.save();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    applyVolume() {
+        if (!this.master) return;
+        this.master.gain.setTargetAtTime(this.muted ? 0 : this.volume, this.ctx.currentTime, 0.05);
+    }
+
+    // ------------------------------------------------------------
+    // Setup
+    // ------------------------------------------------------------
+    /**
+     * Create (or resume) the audio context; call from a user gesture
+     */
+    unlock() {
+        if (this.ctx) {
+            if (this.ctx.state === "suspended" && !this.paused) this.ctx.resume();
+            return;
+        }
+
+        const AudioContextClass = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) return;
+
+        this.ctx = new AudioContextClass();
+        this.master = this.ctx.createGain();
+        this.master.gain.value = this.muted ? 0 : this.volume;
+        this.master.connect(this.ctx.destination);
+
+        const length = this.ctx.sampleRate;
+        this.noise = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+        const data = this.noise.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        this.engine = this.createEngine();
+        this.whistle = this.createWhistle();
+        this.drone = this.createDrone();
+    }
+
+    /**
+     * Pause everything with the game (suspending the context stops every voice where it is)
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        if (!this.ctx) return;
+        if (paused && this.ctx.state === "running") this.ctx.suspend();
+        if (!paused && this.ctx.state === "suspended") this.ctx.resume();
+    }
+
+    /**
+     * Where the player hears from, and the camera's right (for panning)
+     */
+    setListener(x, z, rightX, rightZ) {
+        this.listener = { x: x, z: z, rightX: rightX, rightZ: rightZ };
+    }
+
+    /**
+     * Decision: How loud and how far left / right a sound at (x, z) is (null when out of range)
+     */
+    spatialize(x, z) {
+        const l = this.listener;
+        const dx = x - l.x;
+        const dz = z - l.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist > AUDIO_HEARING_RANGE) return null;
+
+        return {
+            gain: 1 / (1 + dist / 8),
+            pan: Math.max(-1, Math.min(1, (dx * l.rightX + dz * l.rightZ) / AUDIO_PAN_WIDTH))
+        };
+    }
+
+    /**
+     * Action: A noise source through a filter, for one-shot sounds
+     */
+    playNoise(destination, start, duration, filterType, frequency) {
+        const source = this.ctx.createBufferSource();
+        source.buffer = this.noise;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+        source.connect(filter);
+        filter.connect(destination);
+        source.start(start, Math.random() * 0.5, duration);
+        return source;
+    }
+
+    /**
+     * Action: One enveloped oscillator note
+     */
+    playTone(type, frequency, start, duration, peak, destination = this.master) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, start); // an event to ramp from
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.start(start);
+        osc.stop(start + duration + 0.05);
+        return osc;
+    }
+
+    // ------------------------------------------------------------
+    // Continuous voices
+    // ------------------------------------------------------------
+    createEngine() {
+        const ctx = this.ctx;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        const filter = ctx.createBiquadFilter();
+        filter.type = "lowpass";
+        filter.frequency.value = 300;
+        filter.connect(gain);
+        gain.connect(this.master);
+
+        // Two detuned saws an octave apart, plus a little rumble
+        const oscs = [55, 110.7].map(frequency => {
+            const osc = ctx.createOscillator();
+            osc.type = "sawtooth";
+            osc.frequency.value = frequency;
+            osc.connect(filter);
+            osc.start();
+            return osc;
+        });
+        const rumble = ctx.createBufferSource();
+        rumble.buffer = this.noise;
+        rumble.loop = true;
+        const rumbleFilter = ctx.createBiquadFilter();
+        rumbleFilter.type = "lowpass";
+        rumbleFilter.frequency.value = 180;
+        rumble.connect(rumbleFilter);
+        rumbleFilter.connect(gain);
+        rumble.start();
+
+        return { gain: gain, filter: filter, oscs: oscs };
+    }
+
+    createWhistle() {
+        const ctx = this.ctx;
+        const osc = ctx.createOscillator();
+        osc.type = "sine";
+        osc.frequency.value = 1200;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        const pan = ctx.createStereoPanner();
+        osc.connect(gain);
+        gain.connect(pan);
+        pan.connect(this.master);
+        osc.start();
+        return { osc: osc, gain: gain, pan: pan };
+    }
+
+    createDrone() {
+        const ctx = this.ctx;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        gain.connect(this.master);
+
+        // Tremolo: an LFO wobbles the drone's loudness; it speeds up nearer the hole
+        const tremolo = ctx.createGain();
+        tremolo.gain.value = 0.5;
+        tremolo.connect(gain);
+        const lfo = ctx.createOscillator();
+        lfo.frequency.value = 1;
+        const lfoDepth = ctx.createGain();
+        lfoDepth.gain.value = 0.5;
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(tremolo.gain);
+        lfo.start();
+
+        const oscs = [36, 36.8, 72.3].map(frequency => {
+            const osc = ctx.createOscillator();
+            osc.type = "triangle";
+            osc.frequency.value = frequency;
+            osc.connect(tremolo);
+            osc.start();
+            return osc;
+        });
+
+        return { gain: gain, lfo: lfo, oscs: oscs };
+    }
+
+    /**
+     * @param {Number} speed - The rocket's speed, 0 (still) to 1 (full speed; more with a boost)
+     * @param {Boolean} running - False once the rocket is gone: no idle hum either
+     */
+    updateEngine(speed, running = true) {
+        if (!this.engine) return;
+        const now = this.ctx.currentTime;
+        const level = running ? 0.04 + 0.12 * Math.min(speed, 1.5) : 0;
+        this.engine.gain.gain.setTargetAtTime(level, now, 0.1);
+        this.engine.filter.frequency.setTargetAtTime(250 + 900 * speed, now, 0.1);
+        this.engine.oscs.forEach((osc, i) => {
+            osc.frequency.setTargetAtTime((i === 0 ? 55 : 110.7) * (1 + 0.35 * speed), now, 0.15);
+        });
+    }
+
+    /**
+     * @param {Object|null} meteor - Nearest incoming meteor {x, z, height} (height 1 at spawn, 0 at the ground), or null
+     */
+    updateWhistle(meteor) {
+        if (!this.whistle) return;
+        const now = this.ctx.currentTime;
+        const place = meteor ? this.spatialize(meteor.x, meteor.z) : null;
+        if (!place) {
+            this.whistle.gain.gain.setTargetAtTime(0, now, 0.05);
+            return;
+        }
+
+        // Classic falling-bomb whistle: pitch drops and loudness grows as it comes down
+        this.whistle.osc.frequency.setTargetAtTime(500 + 1300 * meteor.height, now, 0.03);
+        this.whistle.gain.gain.setTargetAtTime(0.08 * place.gain * (1 - 0.7 * meteor.height), now, 0.05);
+        this.whistle.pan.pan.setTargetAtTime(place.pan, now, 0.05);
+    }
+
+    /**
+     * @param {Number} proximity - 0 (no hole nearby) to 1 (at the edge of one)
+     */
+    updateHoleDrone(proximity) {
+        if (!this.drone) return;
+        const now = this.ctx.currentTime;
+        this.drone.gain.gain.setTargetAtTime(0.3 * proximity * proximity, now, 0.15);
+        this.drone.lfo.frequency.setTargetAtTime(1 + 7 * proximity, now, 0.15);
+        this.drone.oscs.forEach((osc, i) => {
+            osc.detune.setTargetAtTime(-400 * proximity + i * 3, now, 0.2);
+        });
+    }
+
+    /**
+     * Fade out the engine, whistle and drone (e.g. while versus runs)
+     */
+    silence() {
+        this.updateEngine(0, false);
+        this.updateWhistle(null);
+        this.updateHoleDrone(0);
+    }
+
+    // ------------------------------------------------------------
+    // One-shots
+    // ------------------------------------------------------------
+    /**
+     * A meteor landing (or a shield absorbing one)
+     * @param {Number} size - 1 for a plain meteor, more for a bigger blast
+     */
+    playImpact(x, z, size = 1) {
+        if (!this.ctx || this.impacts >= AUDIO_MAX_IMPACTS) return;
+        const place = this.spatialize(x, z);
+        if (!place) return;
+
+        const ctx = this.ctx;
+        const now = ctx.currentTime;
+        const out = ctx.createGain();
+        out.gain.value = place.gain * Math.min(1.5, 0.5 * size);
+        const pan = ctx.createStereoPanner();
+        pan.pan.value = place.pan;
+        out.connect(pan);
+        pan.connect(this.master);
+
+        // Thud: a sine dropping in pitch, lower for bigger meteors
+        const thud = this.playTone("sine", 120 / Math.sqrt(size), now, 0.35 * size, 0.9, out);
+        thud.frequency.exponentialRampToValueAtTime(35, now + 0.3 * size);
+
+        // Crackle: a burst of filtered noise
+        const crackleGain = ctx.createGain();
+        crackleGain.gain.setValueAtTime(0.6, now);
+        crackleGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.4 * size);
+        crackleGain.connect(out);
+        this.playNoise(crackleGain, now, 0.45 * size, "lowpass", 1800 / Math.sqrt(size));
+
+        this.impacts++;
+        thud.onended = () => { this.impacts--; };
+    }
+
+    /**
+     * An enemy got too close
+     */
+    playAlert() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        this.playTone("square", 880, now, 0.09, 0.12);
+        this.playTone("square", 660, now + 0.12, 0.09, 0.12);
+    }
+
+    /**
+     * A meteor only just missed: a quick rising chirp, a step higher for each move in a combo
+     */
+    playNearMiss(combo = 1) {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        const base = 660 * Math.pow(2, Math.min(combo - 1, 12) / 12);
+        this.playTone("sine", base, now, 0.08, 0.1);
+        this.playTone("sine", base * 1.5, now + 0.07, 0.1, 0.1);
+    }
+
+    /**
+     * @param {String} cause - "meteor" | "enemy" | "blackHole"
+     */
+    playGameOver(cause) {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+
+        if (cause === "blackHole") {
+            // Long downward glide with a quickening wobble: sucked in
+            const osc = this.playTone("sine", 420, now, 2.6, 0.35);
+            osc.frequency.exponentialRampToValueAtTime(28, now + 2.5);
+            const wobble = this.ctx.createOscillator();
+            const depth = this.ctx.createGain();
+            wobble.frequency.setValueAtTime(3, now);
+            wobble.frequency.linearRampToValueAtTime(18, now + 2.5);
+            depth.gain.value = 25;
+            wobble.connect(depth);
+            depth.connect(osc.frequency);
+            wobble.start(now);
+            wobble.stop(now + 2.6);
+            return;
+        }
+
+        if (cause === "enemy") {
+            // Zap: a saw sweeping down
+            const zap = this.playTone("sawtooth", 1400, now, 0.5, 0.2);
+            zap.frequency.exponentialRampToValueAtTime(90, now + 0.45);
+        } else {
+            this.playImpact(this.listener.x, this.listener.z, 3);
+        }
+
+        // Falling minor arpeggio: A4 F4 D4 A3
+        [440, 349.2, 293.7, 220].forEach((frequency, i) => {
+            this.playTone("triangle", frequency, now + 0.35 + i * 0.18, 0.4, 0.18);
+        });
+    }
+}
+
+export { GameAudio, AUDIO_SETTINGS_KEY };
@@ -0,0 +1,74 @@
+/**
+ * Game clock
+ * Turns real frame time into game time: nothing advances while paused, and
+ * everything advances at the chosen time scale. The simulation, the AI (which
+ * plans on the simulation's clock) and the view's animations all take their
+ * time from here instead of Date.now(), so pausing or slowing the game
+ * affects all of them alike.
+ */
+
+const TIME_SCALE_MIN = 0.25;
+const TIME_SCALE_MAX = 2;
+const TIME_SCALE_STEPS = [0.25, 0.5, 0.75, 1, 1.5, 2];
+
+class GameClock {
+    /**
+     * @param {Number} options.maxDelta - Longest real frame counted (seconds), so a hitch isn't one giant step
+     */
+    constructor(options = {}) {
+        this.maxDelta = options.maxDelta || 0.25;
+        this.timeScale = 1;
+        this.paused = false;
+        this.elapsed = 0; // game seconds since the clock was created
+    }
+
+    /**
+     * Advance by one real frame
+     * @param {Number} realDelta - Real seconds since the last frame
+     * @returns {Number} - Game seconds to advance by (0 while paused)
+     */
+    tick(realDelta) {
+        if (this.paused || realDelta <= 0) return 0;
+
+        const delta = Math.min(realDelta, this.maxDelta) * this.timeScale;
+        this.elapsed += delta;
+        return delta;
+    }
+
+    /**
+     * Current game time (seconds)
+     */
+    now() {
+        return this.elapsed;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(TIME_SCALE_MIN, Math.min(TIME_SCALE_MAX, scale));
+        return this.timeScale;
+    }
+
+    /**
+     * Move to the next slower (-1) or faster (+1) preset speed
+     */
+    stepTimeScale(direction) {
+        const index = TIME_SCALE_STEPS.findIndex(s => s >= this.timeScale);
+        const current = index < 0 ? TIME_SCALE_STEPS.length - 1 : index;
+        const next = Math.max(0, Math.min(TIME_SCALE_STEPS.length - 1, current + direction));
+        return this.setTimeScale(TIME_SCALE_STEPS[next]);
+    }
+}
+
+export { GameClock, TIME_SCALE_MIN, TIME_SCALE_MAX, TIME_SCALE_STEPS };
@@ -0,0 +1,53 @@
+/**
+ * Collision tests for Meteor Dodge 3D
+ * Pure geometry over the plain objects WorldSimulation keeps: holes are
+ * {x, z, halfSize} circles on the ground, the player, meteors and enemies are
+ * {x, y, z} centres with a radius. The containment test for a single hole is
+ * GameRules.isCircleInHole (rules.js), which ComputerAI predicts with too.
+ */
+
+import GameRules from "./rules.js";
+
+/**
+ * Decision: Is a circle fully inside any of the holes? (this is what swallows the player)
+ */
+function isFullyInHole(holes, x, z, radius) {
+    return holes.some(h => GameRules.isCircleInHole(x, z, radius, h));
+}
+
+/**
+ * Decision: The hole containing a point, or null
+ */
+function findHoleAtPosition(holes, x, z) {
+    return holes.find(h => GameRules.isPointInHole(x, z, h)) || null;
+}
+
+/**
+ * Decision: Do two spheres overlap? (centres closer than the sum of their radii)
+ * @param {Number} radius - Sum of both radii
+ */
+function spheresOverlap(a, b, radius) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz < radius * radius;
+}
+
+/**
+ * Decision: Do two circles on the ground overlap? (heights are ignored)
+ * @param {Number} radius - Sum of both radii
+ */
+function circlesOverlap(a, b, radius) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return dx * dx + dz * dz < radius * radius;
+}
+
+/**
+ * Decision: Is a landed meteor's blast close enough to reach a circle of the given radius?
+ */
+function isInBlast(meteor, target, radius) {
+    return meteor.blastRadius > 0 && Math.hypot(meteor.x - target.x, meteor.z - target.z) < meteor.blastRadius + radius;
+}
+
+export { isFullyInHole, findHoleAtPosition, spheresOverlap, circlesOverlap, isInBlast };
@@ -2,10 +2,38 @@
  * Path-based AI with difficulty levels
  * Lower levels: Long paths with poor meteor prediction
  * Higher levels: Short paths with good meteor prediction
+ * Top levels (11-12): search planner - beam search over sequences of path segments
+ *
+ * The arena is infinite and everything spawns relative to the player, so all
+ * spatial scoring is player-relative: there is no world origin to return to.
+ *
+ * Every score a path gets is made of the named weights in ai-weights.js; a
+ * weight profile (setWeightProfile) can change them, per level.
  */
 
+import GameRules from "./rules.js";
+import { DEFAULT_WEIGHT_PROFILE, resolveWeightProfile, getLevelWeights } from "./ai-weights.js";
+
+const AI_MAX_LEVEL = 12;
+const AI_SEARCH_MIN_LEVEL = 11; // levels from here on use the search planner in "auto" mode
+const AI_PLANNER_MODES = ["auto", "greedy", "search"];
+const SEARCH_DISCOUNT = 0.85; // weight of each later segment relative to the one before it
+
 class ComputerAI {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Function} options.clock - Returns the current time in seconds (defaults to wall clock)
+     * @param {Boolean} options.debug - Sample planning decisions to the console
+     * @param {Object} options.config - World config the game runs with (defaults to GameRules.WORLD_CONFIG)
+     * @param {Object} options.searchBudget - Search planner limits per planning call: {maxNodes, maxMs}
+     *   (maxMs is off by default; see below)
+     * @param {Boolean} options.recordPlans - Keep the last plan's candidates and score breakdown in lastPlan
+     * @param {Object} options.weights - Weight profile to score with (see ai-weights.js; default: DEFAULT_WEIGHT_PROFILE)
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || (() => Date.now() / 1000);
+        this.config = Object.assign({}, GameRules.WORLD_CONFIG, options.config);
+        this.debug = options.debug !== undefined ? !!options.debug : true;
         this.currentPath = null;
         this.pathStartTime = 0;
         this.pathEndTime = 0; // When the current path finishes
@@ -13,31 +41,49 @@ class ComputerAI {
         this.enableHoleAvoidance = true;
         this.enableThinkingTime = true;
         this.enableEnemyAvoidance = true;
-        this.minEnemyDistance = 5.0; // Minimum safe distance from enemies (units)
+        this.enablePickupSeeking = true;
+        this.pickups = []; // pickups seen on the last call (see suggestMove)
+        this.playerSpeed = this.config.playerSpeed; // current speed, including a speed boost
+        this.lastMove = { dx: 0, dz: 0 }; // move returned last call (the player's heading, for interceptors)
+        this.setWeightProfile(options.weights || DEFAULT_WEIGHT_PROFILE);
+        this.plannerMode = "auto"; // "auto" (by level) | "greedy" | "search"
+        // The search stops early (keeping its best plan so far) once it has expanded
+        // maxNodes segments. A maxMs (milliseconds) cap keeps it inside one frame, but
+        // makes the plan depend on machine speed, so only the browser game opts in.
+        this.searchBudget = Object.assign({ maxNodes: 600, maxMs: Infinity }, options.searchBudget);
+        // What the last planning call considered, for the debug overlay (null until recorded)
+        this.recordPlans = !!options.recordPlans;
+        this.lastPlan = null;
     }
 
     /**
      * Main AI function - plans and follows paths
      * @param {Array} meteors - Array of meteor objects with position and velocity
      * @param {Object} position - Current player position {x, y, z}
-     * @param {Number} currentScore - Current game score
-     * @param {Number} aiLevel - AI difficulty level (1-10)
+     * @param {Number} survivalTime - Seconds into the run (state.time; meteor and enemy speeds ramp with it)
+     * @param {Number} aiLevel - AI difficulty level (1-12; fractions blend between levels, see AdaptiveLevel)
      * @param {Array} enemies - Array of enemy objects with position (optional)
      * @param {Array} holes - Array of hole objects with {x, z, halfSize} (optional)
+     * @param {Array} pickups - Array of pickup objects with {x, z, type} (optional)
+     * @param {Number} playerSpeed - Current player speed if boosted (optional, defaults to config)
      * @returns {Object} - Movement direction {dx, dz}
      */
-    suggestMove(meteors, position, currentScore = 0, aiLevel = 5, enemies = [], holes = []) {
-        const currentTime = Date.now() / 1000;
+    suggestMove(meteors, position, survivalTime = 0, aiLevel = 5, enemies = [], holes = [], pickups = [], playerSpeed = null) {
+        const currentTime = this.clock();
+        this.pickups = pickups || [];
+        this.playerSpeed = playerSpeed || this.config.playerSpeed;
         
         if (this.shouldPlanNewPath(currentTime)) {
             if (this.isInWaitPeriod(currentTime)) {
-                return { dx: 0, dz: 0 };
+                this.lastMove = { dx: 0, dz: 0 };
+                return this.lastMove;
             }
             
-            this.planAndStartNewPath(meteors, position, currentScore, aiLevel, currentTime, enemies, holes);
+            this.planAndStartNewPath(meteors, position, survivalTime, aiLevel, currentTime, enemies, holes);
         }
         
-        return this.getCurrentPathDirection();
+        this.lastMove = this.getCurrentPathDirection();
+        return this.lastMove;
     }
 
     /**
@@ -57,8 +103,8 @@ class ComputerAI {
     /**
      * Action: Plan a new path and start following it
      */
-    planAndStartNewPath(meteors, position, currentScore, aiLevel, currentTime, enemies = [], holes = []) {
-        this.currentPath = this.planNewPath(meteors, position, currentScore, aiLevel, enemies, holes);
+    planAndStartNewPath(meteors, position, survivalTime, aiLevel, currentTime, enemies = [], holes = []) {
+        this.currentPath = this.planNewPath(meteors, position, survivalTime, aiLevel, enemies, holes);
         this.pathStartTime = currentTime;
         this.pathEndTime = currentTime + this.currentPath.duration;
         
@@ -67,7 +113,7 @@ class ComputerAI {
         this.waitEndTime = this.pathEndTime + waitTimeSec;
         
         // Debug: Log what we're returning
-        if (Math.random() < 0.05) { // 5% of the time
+        if (this.debug && Math.random() < 0.05) { // 5% of the time
             console.log(`[suggestMove] AI Level ${aiLevel}: New path dx=${this.currentPath.dx.toFixed(3)}, dz=${this.currentPath.dz.toFixed(3)}, duration=${this.currentPath.duration.toFixed(2)}s, wait=${waitTimeMs}ms`);
         }
     }
@@ -77,9 +123,9 @@ class ComputerAI {
      */
     calculateWaitTime(aiLevel) {
         // Calculate wait time: 500ms - (level × 50ms)
-        // Level 1: 450ms wait, Level 10: 0ms wait
+        // Level 1: 450ms wait, Level 10 and up: 0ms wait
         // If thinking time is disabled, there is no forced wait.
-        return this.enableThinkingTime ? (500 - (aiLevel * 50)) : 0;
+        return this.enableThinkingTime ? Math.max(0, 500 - (aiLevel * 50)) : 0;
     }
 
     /**
@@ -92,36 +138,47 @@ class ComputerAI {
     /**
      * Plan a new path based on AI level
      */
-    planNewPath(meteors, position, currentScore, aiLevel, enemies = [], holes = []) {
+    planNewPath(meteors, position, survivalTime, aiLevel, enemies = [], holes = []) {
+        this.weights = getLevelWeights(this.weightProfile, aiLevel);
+        
+        if (this.usesSearchPlanner(aiLevel)) {
+            return this.planSearchPath(meteors, position, survivalTime, aiLevel, enemies, holes);
+        }
+        
         const skill = this.calculateSkillFromLevel(aiLevel);
         const pathDuration = this.calculatePathDuration(skill);
         const lookaheadPercent = this.calculateLookaheadPercent(skill);
-        const meteorFallSpeed = this.calculateMeteorSpeed(currentScore);
+        const meteorFallSpeed = this.calculateMeteorSpeed(survivalTime);
         const predictionTime = pathDuration * lookaheadPercent;
         const predictedMeteors = this.predictMeteorPositions(meteors, meteorFallSpeed, predictionTime);
-        const predictedEnemies = this.predictEnemyPositions(enemies, position, pathDuration);
+        
+        const predictedEnemies = this.predictEnemyPositions(enemies, position, pathDuration, survivalTime);
         
         this.logPlanningDebug(aiLevel, position, pathDuration, lookaheadPercent, predictionTime, meteors, predictedMeteors);
         
         const directions = this.getAllPossibleDirections();
         const bestPath = this.selectBestPath(directions, position, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies, holes);
         
+        if (this.recordPlans && bestPath) {
+            this.recordPlan(position, bestPath.candidates, bestPath, [bestPath], pathDuration, predictedMeteors, predictedEnemies);
+        }
+        
         return bestPath || { dx: 0, dz: 0, duration: pathDuration, score: 0 };
     }
 
     /**
      * Decision: Calculate skill level from AI level (0.1 to 1.0)
+     * Levels above 10 keep full skill; they get stronger through search instead.
      */
     calculateSkillFromLevel(aiLevel) {
-        return aiLevel / 10;
+        return Math.min(aiLevel, 10) / 10;
     }
 
     /**
      * Decision: Calculate path duration based on skill
-     * Lower skill = longer paths (0.8s to 0.3s)
+     * Lower skill = longer paths (1.5s to 0.6s)
      */
     calculatePathDuration(skill) {
-        // Reduced from 1.5s because at 12 units/sec, long paths go out of bounds
         return 1.6 - skill * 1.0;
     }
 
@@ -134,12 +191,11 @@ class ComputerAI {
     }
 
     /**
-     * Decision: Calculate meteor fall speed based on current score
+     * Decision: Calculate meteor fall speed after survivalTime seconds, as the world does
+     * (only used when meteors don't carry a velocity)
      */
-    calculateMeteorSpeed(currentScore) {
-        const baseMeteorSpeed = 8;
-        const speedBoost = currentScore * 0.15;
-        return baseMeteorSpeed + speedBoost;
+    calculateMeteorSpeed(survivalTime) {
+        return GameRules.getMeteorFallSpeed(survivalTime, this.config);
     }
 
     /**
@@ -170,8 +226,9 @@ class ComputerAI {
         const allScores = [];
         
         for (const dir of directions) {
-            const score = this.evaluatePath(dir, position, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies, holes);
-            allScores.push({ name: dir.name, score: score });
+            const parts = this.scorePathParts(dir, position, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies, holes);
+            const score = this.sumScoreParts(parts);
+            allScores.push({ name: dir.name, dx: dir.dx, dz: dir.dz, score: score, parts: parts });
             
             if (score > bestScore) {
                 bestScore = score;
@@ -180,13 +237,18 @@ class ComputerAI {
                     dz: dir.dz,
                     duration: pathDuration,
                     score: score,
-                    name: dir.name
+                    name: dir.name,
+                    parts: parts
                 };
             }
         }
         
+        if (this.recordPlans && bestPath) {
+            bestPath.candidates = allScores;
+        }
+        
         // Debug logging
-        const debugLog = Math.random() < 0.1; // 10% of the time
+        const debugLog = this.debug && Math.random() < 0.1; // 10% of the time
         if (debugLog && bestPath) {
             console.log(`\nAll direction scores:`);
             allScores.sort((a, b) => b.score - a.score).forEach((s, i) => {
@@ -203,7 +265,7 @@ class ComputerAI {
      * Action: Log planning debug information
      */
     logPlanningDebug(aiLevel, position, pathDuration, lookaheadPercent, predictionTime, meteors, predictedMeteors) {
-        const debugLog = Math.random() < 0.1; // 10% of the time
+        const debugLog = this.debug && Math.random() < 0.1; // 10% of the time
         if (debugLog) {
             console.log(`\n=== AI LEVEL ${aiLevel} PLANNING ===`);
             console.log(`Position: (${position.x.toFixed(2)}, ${position.z.toFixed(2)})`);
@@ -214,8 +276,140 @@ class ComputerAI {
         }
     }
 
+    // ------------------------------------------------------------
+    // Search planner
+    // ------------------------------------------------------------
+
+    /**
+     * Decision: Does this level plan with the search planner?
+     */
+    usesSearchPlanner(aiLevel) {
+        if (this.plannerMode === "search") return true;
+        if (this.plannerMode === "greedy") return false;
+        return aiLevel >= AI_SEARCH_MIN_LEVEL;
+    }
+
+    /**
+     * Decision: How many path segments the search plans ahead (2 to 4)
+     */
+    calculateSearchDepth(aiLevel) {
+        return Math.max(2, Math.min(4, Math.floor(aiLevel) - 8));
+    }
+
+    /**
+     * Action: Get the search planner's directions (16 around plus stay)
+     */
+    getSearchDirections() {
+        const directions = [{ dx: 0, dz: 0, name: 'stay' }];
+        
+        for (let i = 0; i < 16; i++) {
+            const angle = (i / 16) * Math.PI * 2;
+            directions.push({
+                dx: Math.cos(angle),
+                dz: Math.sin(angle),
+                name: `${(i * 22.5).toFixed(1)}°`
+            });
+        }
+        return directions;
+    }
+
+    /**
+     * Action: Start the compute budget for one planning call
+     */
+    startSearchBudget() {
+        const { maxNodes, maxMs } = this.searchBudget;
+        const now = typeof performance !== "undefined" ? () => performance.now() : () => Date.now();
+        const deadline = now() + maxMs;
+        
+        return {
+            nodes: 0,
+            exhausted() {
+                return this.nodes >= maxNodes || now() >= deadline;
+            }
+        };
+    }
+
+    /**
+     * Plan with beam search over sequences of path segments
+     * Each round extends the best partial plans by one segment in every direction,
+     * scoring the segment against meteors and enemies predicted for when it would be
+     * flown. Only the first segment is followed; the next planning call searches again
+     * from wherever the player ends up. If the budget runs out the best plan found so
+     * far is used (the first round always completes, so there is always a move).
+     */
+    planSearchPath(meteors, position, survivalTime, aiLevel, enemies = [], holes = []) {
+        const skill = this.calculateSkillFromLevel(aiLevel);
+        const depth = this.calculateSearchDepth(aiLevel);
+        const beamWidth = depth + 2;
+        // Deeper searches split the same horizon into shorter segments (finer control)
+        const horizon = this.calculatePathDuration(skill) * 3;
+        const segmentDuration = horizon / depth;
+        const lookaheadPercent = this.calculateLookaheadPercent(skill);
+        const predictionTime = horizon * lookaheadPercent;
+        const predictedMeteors = this.predictMeteorPositions(meteors, this.calculateMeteorSpeed(survivalTime), predictionTime);
+        const predictedEnemies = this.predictEnemyPositions(enemies, position, horizon, survivalTime);
+        const directions = this.getSearchDirections();
+        const budget = this.startSearchBudget();
+        const playerSpeed = this.playerSpeed;
+        
+        this.logPlanningDebug(aiLevel, position, segmentDuration, lookaheadPercent, predictionTime, meteors, predictedMeteors);
+        
+        let beam = [{ position: position, score: 0, plan: [], firstParts: null }];
+        const candidates = [];
+        
+        for (let d = 0; d < depth; d++) {
+            const weight = Math.pow(SEARCH_DISCOUNT, d);
+            const timeOffset = d * segmentDuration;
+            const expanded = [];
+            
+            for (const node of beam) {
+                if (d > 0 && budget.exhausted()) break;
+                
+                for (const dir of directions) {
+                    budget.nodes++;
+                    const parts = this.scorePathParts(dir, node.position, predictedMeteors, segmentDuration, lookaheadPercent, aiLevel, predictedEnemies, holes, timeOffset);
+                    const segmentScore = this.sumScoreParts(parts);
+                    if (d === 0) {
+                        candidates.push({ name: dir.name, dx: dir.dx, dz: dir.dz, score: segmentScore, parts: parts });
+                    }
+                    expanded.push({
+                        position: this.calculatePositionAlongPath(node.position, dir, playerSpeed, segmentDuration),
+                        score: node.score + weight * segmentScore,
+                        plan: node.plan.concat(dir),
+                        firstParts: node.firstParts || parts
+                    });
+                }
+            }
+            
+            if (expanded.length === 0) break;
+            expanded.sort((a, b) => b.score - a.score);
+            beam = expanded.slice(0, beamWidth);
+        }
+        
+        const best = beam[0];
+        const first = best.plan[0];
+        
+        const path = {
+            dx: first.dx,
+            dz: first.dz,
+            duration: segmentDuration,
+            score: best.score,
+            name: first.name,
+            parts: best.firstParts,
+            plan: best.plan
+        };
+        
+        if (this.recordPlans) {
+            this.recordPlan(position, candidates, path, best.plan, segmentDuration, predictedMeteors, predictedEnemies);
+        }
+        
+        return path;
+    }
+
     /**
      * Predict where meteors will be
+     * Meteors move in a straight line at their own velocity (angled and aimed ones
+     * drift sideways); radius and blastRadius default to a plain meteor's.
      */
     predictMeteorPositions(meteors, meteorSpeed, predictionTime) {
         return meteors.map(m => {
@@ -226,36 +420,56 @@ class ComputerAI {
                 currentY: m.position.y,
                 currentZ: m.position.z,
                 velocity: velocity,
+                radius: m.radius || this.config.meteorRadius,
+                blastRadius: m.blastRadius || 0,
                 predictionTime: predictionTime
             };
         });
     }
 
     /**
-     * Predict where enemies will be (they chase the player)
-     * Enemies move toward the player, so we predict based on their current position and direction to player
+     * Predict where enemies will be
+     * Each enemy heads for its archetype's target (GameRules.getEnemyTarget: the
+     * player for chasers, ahead of the player for interceptors, and so on), so we
+     * predict it moving straight toward where that target is now. Enemies
+     * without an archetype are treated as chasers.
      */
-    predictEnemyPositions(enemies, playerPosition, pathDuration) {
+    predictEnemyPositions(enemies, playerPosition, pathDuration, survivalTime = 0) {
         if (!this.enableEnemyAvoidance || !enemies || enemies.length === 0) {
             return [];
         }
 
-        // Estimate enemy speed (similar to how the game calculates it)
-        // This is a rough estimate - in the actual game, enemy speed varies with score
-        const estimatedEnemySpeed = 2.6; // Base speed, will be adjusted based on game state
+        // Enemies chase at the same time-scaled speed the world uses (the observation's own speed if given)
+        const defaultEnemySpeed = GameRules.getEnemySpeed(survivalTime, this.config);
+        // Interceptors lead the player by its velocity: the move we are making now
+        const player = {
+            x: playerPosition.x,
+            z: playerPosition.z,
+            vx: this.lastMove.dx * this.playerSpeed,
+            vz: this.lastMove.dz * this.playerSpeed
+        };
         
         return enemies.map(e => {
             if (!e || !e.position) return null;
+            const estimatedEnemySpeed = e.speed !== undefined ? e.speed : defaultEnemySpeed;
+            const target = GameRules.getEnemyTarget({
+                x: e.position.x,
+                z: e.position.z,
+                archetype: e.archetype || "chaser",
+                side: e.side,
+                patrolX: e.patrol ? e.patrol.x : e.position.x,
+                patrolZ: e.patrol ? e.patrol.z : e.position.z
+            }, player, estimatedEnemySpeed, this.config);
             
-            const dx = playerPosition.x - e.position.x;
-            const dz = playerPosition.z - e.position.z;
+            const dx = target.x - e.position.x;
+            const dz = target.z - e.position.z;
             const dist = Math.sqrt(dx * dx + dz * dz);
             
             // If enemy is very close or at same position, don't predict movement
             if (dist < 0.001) {
                 return {
                     currentX: e.position.x,
-                    currentY: e.position.y || 0.6,
+                    currentY: e.position.y || this.config.enemyHeight,
                     currentZ: e.position.z,
                     velocity: { x: 0, y: 0, z: 0 },
                     predictionTime: pathDuration
@@ -268,7 +482,7 @@ class ComputerAI {
             
             return {
                 currentX: e.position.x,
-                currentY: e.position.y || 0.6,
+                currentY: e.position.y || this.config.enemyHeight,
                 currentZ: e.position.z,
                 velocity: { 
                     x: normalizedDx * estimatedEnemySpeed, 
@@ -282,30 +496,42 @@ class ComputerAI {
 
     /**
      * Decision: Does the path cross or end inside any platform hole?
-     * Returns true if the simulated movement along the direction would cross or end inside any platform hole.
-     * This checks the AI's movement path to avoid falling through holes.
+     * The path is flown as the game would fly it, the holes' pull added to the
+     * player's own movement, so a path that only skirts a hole can still be
+     * dragged into it.
      */
     pathContainsHole(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, holes = []) {
         // If hole avoidance is disabled, we never treat paths through holes as bad.
         if (!this.enableHoleAvoidance) {
             return false;
         }
-        
-        // Use dynamic holes if provided, otherwise fall back to empty array
-        const holeSpecs = holes.length > 0 ? holes : [];
-        const playerSpeed = 12;
-        const numSamples = 10;
+        return this.tracePathThroughPull(direction, startPos, pathDuration, holes).fallsIn;
+    }
+
+    /**
+     * Action: Fly a path through the holes' pull (GameRules.getHolePull)
+     * @returns {Object} - {fallsIn, pull}: whether the player ends up fully inside a
+     *   hole on the way, and the mean pull along it as a fraction of the player's speed
+     */
+    tracePathThroughPull(direction, startPos, pathDuration, holes = []) {
+        const playerSpeed = this.playerSpeed;
+        // Sample densely enough (every half unit) that the game's circle test can't be stepped over
+        const pathLength = playerSpeed * pathDuration * Math.sqrt(direction.dx * direction.dx + direction.dz * direction.dz);
+        const numSamples = Math.max(10, Math.ceil(pathLength / 0.5));
+        const dt = pathDuration / numSamples;
+        const position = { x: startPos.x, z: startPos.z };
+        let pullTotal = 0;
 
-        // We'll check points along the path, including the start and end.
         for (let i = 0; i <= numSamples; i++) {
-            const t = (i / numSamples) * pathDuration;
-            const position = this.calculatePositionAlongPath(startPos, direction, playerSpeed, t);
-            
-            if (this.isPositionInAnyHole(position, holeSpecs)) {
-                return true; // Path crosses or ends inside this hole.
+            if (this.isPositionInAnyHole(position, holes)) {
+                return { fallsIn: true, pull: pullTotal / (i + 1) / playerSpeed };
             }
+            const pull = GameRules.getHolePull(position.x, position.z, holes, this.config);
+            pullTotal += Math.sqrt(pull.x * pull.x + pull.z * pull.z);
+            position.x += (direction.dx * playerSpeed + pull.x) * dt;
+            position.z += (direction.dz * playerSpeed + pull.z) * dt;
         }
-        return false;
+        return { fallsIn: false, pull: pullTotal / (numSamples + 1) / playerSpeed };
     }
 
     /**
@@ -332,64 +558,84 @@ class ComputerAI {
 
     /**
      * Decision: Is a position inside a specific hole?
+     * Uses the game's own test: the player's circle fully inside the hole's circle.
      */
     isPositionInHole(position, hole) {
-        return (
-            position.x >= (hole.x - hole.halfSize) &&
-            position.x <= (hole.x + hole.halfSize) &&
-            position.z >= (hole.z - hole.halfSize) &&
-            position.z <= (hole.z + hole.halfSize)
-        );
+        return GameRules.isCircleInHole(position.x, position.z, this.config.playerRadius, hole);
     }
 
     /**
      * Evaluate a path by simulating movement along it
      */
-    evaluatePath(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies = [], holes = []) {
-        const playerSpeed = 12;
-        const worldHalf = 9;
+    evaluatePath(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies = [], holes = [], timeOffset = 0) {
+        return this.sumScoreParts(
+            this.scorePathParts(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies, holes, timeOffset)
+        );
+    }
+
+    /**
+     * Score the different aspects of a path separately
+     * @returns {Object} - {movement, meteor, enemy, space, hole, edge, stillness, pickup}
+     */
+    scorePathParts(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, predictedEnemies = [], holes = [], timeOffset = 0) {
+        const playerSpeed = this.playerSpeed;
         
         // Calculate end position
-        let endX = startPos.x + direction.dx * playerSpeed * pathDuration;
-        let endZ = startPos.z + direction.dz * playerSpeed * pathDuration;
-        
-        const boundsPenalty = this.calculateBoundsPenalty(endX, endZ, worldHalf);
-        
-        // Clamp for evaluation purposes
-        endX = Math.max(-worldHalf + 1, Math.min(worldHalf - 1, endX));
-        endZ = Math.max(-worldHalf + 1, Math.min(worldHalf - 1, endZ));
+        const endX = startPos.x + direction.dx * playerSpeed * pathDuration;
+        const endZ = startPos.z + direction.dz * playerSpeed * pathDuration;
         
-        let score = 0;
-        
-        // Score different aspects of the path
-        score += this.scoreMovementBonus(direction);
-        score += this.scoreMeteorCollisions(direction, startPos, predictedMeteors, pathDuration, playerSpeed);
-        score += this.scoreEnemyCollisions(direction, startPos, predictedEnemies, pathDuration, playerSpeed);
-        score += this.scoreCenterPreference(endX, endZ);
-        score += this.scoreEdgeAvoidance(endX, endZ, worldHalf);
-        score += this.scoreStillnessPenalty(direction, startPos, predictedMeteors);
-        score += this.scoreHolePenalty(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, holes);
-        score -= boundsPenalty;
-        
-        return score;
+        return {
+            movement: this.scoreMovementBonus(direction),
+            meteor: this.scoreMeteorCollisions(direction, startPos, predictedMeteors, pathDuration, playerSpeed, timeOffset),
+            enemy: this.scoreEnemyCollisions(direction, startPos, predictedEnemies, pathDuration, playerSpeed, timeOffset),
+            space: this.scoreOpenSpace(endX, endZ, predictedMeteors),
+            hole: this.scoreHoleClearance(endX, endZ, holes) +
+                this.scoreHolePenalty(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, holes),
+            edge: this.scoreUnknownTerritory(endX, endZ, startPos),
+            stillness: this.scoreStillnessPenalty(direction, startPos, predictedMeteors),
+            pickup: this.scorePickupSeeking(direction, startPos, endX, endZ)
+        };
     }
 
     /**
-     * Decision: Calculate penalty for going out of bounds
+     * Action: Total of a path's score parts
      */
-    calculateBoundsPenalty(endX, endZ, worldHalf) {
-        let boundsPenalty = 0;
-        
-        // Instead of rejecting out-of-bounds paths, heavily penalize them
-        // but still evaluate them (the game will clamp anyway)
-        if (Math.abs(endX) > worldHalf - 1) {
-            boundsPenalty += 500 * (Math.abs(endX) - (worldHalf - 1));
-        }
-        if (Math.abs(endZ) > worldHalf - 1) {
-            boundsPenalty += 500 * (Math.abs(endZ) - (worldHalf - 1));
-        }
-        
-        return boundsPenalty;
+    sumScoreParts(parts) {
+        return parts.movement + parts.meteor + parts.enemy + parts.space + parts.hole + parts.edge + parts.stillness + parts.pickup;
+    }
+
+    /**
+     * Action: Keep what this planning call considered, for the debug overlay
+     */
+    recordPlan(position, candidates, chosen, plan, segmentDuration, predictedMeteors, predictedEnemies) {
+        this.lastPlan = {
+            time: this.clock(),
+            position: { x: position.x, z: position.z },
+            speed: this.playerSpeed,
+            segmentDuration: segmentDuration,
+            candidates: candidates,
+            chosen: chosen,
+            plan: plan.map(dir => ({ dx: dir.dx, dz: dir.dz })),
+            predictedMeteors: predictedMeteors,
+            predictedEnemies: predictedEnemies,
+            minEnemyDistance: this.weights.minEnemyDistance
+        };
+    }
+
+    /**
+     * Action: Get the area of loaded tiles around a position (holes are only known inside it)
+     */
+    getKnownBounds(position) {
+        const { tileSize, tileRadius } = this.config;
+        const cx = Math.floor(position.x / tileSize);
+        const cz = Math.floor(position.z / tileSize);
+
+        return {
+            minX: (cx - tileRadius) * tileSize,
+            maxX: (cx + tileRadius + 1) * tileSize,
+            minZ: (cz - tileRadius) * tileSize,
+            maxZ: (cz + tileRadius + 1) * tileSize
+        };
     }
 
     /**
@@ -397,15 +643,16 @@ class ComputerAI {
      */
     scoreMovementBonus(direction) {
         if (direction.dx !== 0 || direction.dz !== 0) {
-            return 30;
+            return this.weights.movementBonus;
         }
         return 0;
     }
 
     /**
      * Decision: Score meteor collision risks along the path
+     * timeOffset is when the path starts, relative to when the meteors were predicted.
      */
-    scoreMeteorCollisions(direction, startPos, predictedMeteors, pathDuration, playerSpeed) {
+    scoreMeteorCollisions(direction, startPos, predictedMeteors, pathDuration, playerSpeed, timeOffset = 0) {
         let score = 0;
         const numSamples = 8; // Check 8 points along the path
         
@@ -415,7 +662,7 @@ class ComputerAI {
             const playerX = startPos.x + direction.dx * playerSpeed * t;
             const playerZ = startPos.z + direction.dz * playerSpeed * t;
             
-            const collisionScore = this.scoreMeteorCollisionAtPoint(playerX, playerZ, t, predictedMeteors);
+            const collisionScore = this.scoreMeteorCollisionAtPoint(playerX, playerZ, timeOffset + t, predictedMeteors);
             score += collisionScore;
         }
         
@@ -426,6 +673,8 @@ class ComputerAI {
      * Decision: Score meteor collision risk at a specific point in time
      */
     scoreMeteorCollisionAtPoint(playerX, playerZ, time, predictedMeteors) {
+        const { playerHeight, playerRadius, meteorRadius } = this.config;
+        const w = this.weights;
         let score = 0;
         let minDist = Infinity;
         
@@ -438,7 +687,7 @@ class ComputerAI {
             const meteorZ = meteor.currentZ + meteor.velocity.z * effectiveT;
             
             // Only consider meteors near player height
-            if (Math.abs(meteorY - 1) < 4) {
+            if (Math.abs(meteorY - playerHeight) < 4) {
                 const dist = Math.sqrt(
                     Math.pow(playerX - meteorX, 2) +
                     Math.pow(playerZ - meteorZ, 2)
@@ -447,53 +696,97 @@ class ComputerAI {
                 minDist = Math.min(minDist, dist);
                 
                 // Height urgency - more dangerous when at player level
-                const heightFactor = Math.max(0, 1 - Math.abs(meteorY - 1) / 2);
+                const heightFactor = Math.max(0, 1 - Math.abs(meteorY - playerHeight) / 2);
+                
+                // Big meteors hit a wider area once they come down below the player
+                const hitRadius = meteor.blastRadius && meteorY < playerHeight ? meteor.blastRadius : meteor.radius;
+                // Zones are sized for a plain meteor; bigger ones widen them
+                const extra = hitRadius - meteorRadius;
                 
                 // Collision zone
-                if (dist < 1.6) {
-                    score -= 1000 * heightFactor;
+                if (dist < playerRadius + hitRadius) {
+                    score -= w.meteorHit * heightFactor;
                 }
                 // Danger zone
-                else if (dist < 3.5) {
-                    score -= 200 * heightFactor / Math.max(dist, 0.5);
+                else if (dist < w.meteorDangerRange + extra) {
+                    score -= w.meteorDanger * heightFactor / Math.max(dist - extra, 0.5);
                 }
                 // Warning zone
-                else if (dist < 5) {
-                    score -= 30 * heightFactor / dist;
+                else if (dist < w.meteorWarningRange + extra) {
+                    score -= w.meteorWarning * heightFactor / Math.max(dist - extra, 0.5);
                 }
             }
         }
         
         // Reward maintaining safe distance
         if (minDist < Infinity) {
-            score += Math.min(minDist * 5, 50);
+            score += Math.min(minDist * w.meteorClearance, w.meteorClearanceCap);
         }
         
         return score;
     }
 
     /**
-     * Decision: Score preference for being near center of platform
+     * Decision: Score how crowded the end point is compared to the spawn ring's average
+     * Meteors spawn uniformly in a ring around the player, so a crowded spot is worse
+     * than an average one and an empty spot is better, wherever it is in the world.
      */
-    scoreCenterPreference(endX, endZ) {
-        const centerDist = Math.sqrt(endX * endX + endZ * endZ);
-        return -centerDist * 2; // Prefer center (but not too strong)
+    scoreOpenSpace(endX, endZ, predictedMeteors) {
+        const { meteorSpawnRadiusMin, meteorSpawnRadiusMax } = this.config;
+        const radius = meteorSpawnRadiusMin;
+        
+        let localCount = 0;
+        for (const m of predictedMeteors) {
+            const dx = endX - m.currentX;
+            const dz = endZ - m.currentZ;
+            if (dx * dx + dz * dz < radius * radius) {
+                localCount++;
+            }
+        }
+        
+        // Expected meteors in a circle of this radius if spread evenly over the ring
+        const ringArea = Math.PI * (meteorSpawnRadiusMax * meteorSpawnRadiusMax - meteorSpawnRadiusMin * meteorSpawnRadiusMin);
+        const expectedCount = predictedMeteors.length * (Math.PI * radius * radius) / ringArea;
+        const excess = Math.max(-2, Math.min(localCount - expectedCount, 8));
+        
+        return -excess * this.weights.crowding;
     }
 
     /**
-     * Decision: Score penalty for being near edges
+     * Decision: Score penalty for ending close to a hole's edge
      */
-    scoreEdgeAvoidance(endX, endZ, worldHalf) {
-        const edgeDistX = worldHalf - Math.abs(endX);
-        const edgeDistZ = worldHalf - Math.abs(endZ);
-        const minEdgeDist = Math.min(edgeDistX, edgeDistZ);
+    scoreHoleClearance(endX, endZ, holes = []) {
+        if (!this.enableHoleAvoidance) {
+            return 0;
+        }
+        
+        let minEdgeDist = Infinity;
+        for (const hole of holes) {
+            const dist = Math.sqrt(Math.pow(endX - hole.x, 2) + Math.pow(endZ - hole.z, 2));
+            minEdgeDist = Math.min(minEdgeDist, dist - hole.halfSize);
+        }
         
-        if (minEdgeDist < 2) {
-            return -150 * (2 - minEdgeDist); // Strong penalty for being near edges
+        const { holeEdge, holeEdgeRange } = this.weights;
+        if (minEdgeDist < holeEdgeRange) {
+            return -holeEdge * (holeEdgeRange - Math.max(minEdgeDist, 0)); // Strong penalty for being near a hole
         }
         return 0;
     }
 
+    /**
+     * Decision: Score penalty for ending outside the loaded tiles, where holes are unknown
+     */
+    scoreUnknownTerritory(endX, endZ, startPos) {
+        const bounds = this.getKnownBounds(startPos);
+        const margin = 2;
+        
+        const outside =
+            Math.max(0, bounds.minX + margin - endX) + Math.max(0, endX - (bounds.maxX - margin)) +
+            Math.max(0, bounds.minZ + margin - endZ) + Math.max(0, endZ - (bounds.maxZ - margin));
+        
+        return -this.weights.unknownTerritory * outside;
+    }
+
     /**
      * Decision: Score penalty for staying still when there are threats
      */
@@ -503,9 +796,9 @@ class ComputerAI {
             const nearbyThreats = this.countNearbyThreats(startPos, predictedMeteors);
             
             if (nearbyThreats > 0) {
-                return -50 * Math.min(nearbyThreats, 5);
+                return -this.weights.stillnessPerThreat * Math.min(nearbyThreats, 5);
             } else {
-                return -10; // Small penalty even with no threats
+                return -this.weights.stillness; // Small penalty even with no threats
             }
         }
         return 0;
@@ -520,24 +813,69 @@ class ComputerAI {
                 Math.pow(startPos.x - m.currentX, 2) +
                 Math.pow(startPos.z - m.currentZ, 2)
             );
-            return dist < 6 && Math.abs(m.currentY - 1) < 5;
+            return dist < 6 && Math.abs(m.currentY - this.config.playerHeight) < 5;
         }).length;
     }
 
     /**
-     * Decision: Score penalty for paths that go through holes
+     * Decision: Score pickups the path collects, and getting closer to the nearest one
+     * Pickups are only worth a detour when nothing more dangerous is scored above.
+     */
+    scorePickupSeeking(direction, startPos, endX, endZ) {
+        if (!this.enablePickupSeeking || this.pickups.length === 0) {
+            return 0;
+        }
+
+        const reach = this.config.playerRadius + this.config.pickupRadius;
+        const seekRange = 20;
+        const pathX = endX - startPos.x;
+        const pathZ = endZ - startPos.z;
+        const pathLengthSq = pathX * pathX + pathZ * pathZ;
+        let score = 0;
+        let nearestEnd = Infinity;
+
+        for (const pickup of this.pickups) {
+            const px = pickup.x - startPos.x;
+            const pz = pickup.z - startPos.z;
+            if (px * px + pz * pz > seekRange * seekRange) continue;
+
+            // Closest point of the straight path to the pickup
+            const t = pathLengthSq > 0 ? Math.max(0, Math.min(1, (px * pathX + pz * pathZ) / pathLengthSq)) : 0;
+            const closest = Math.hypot(px - pathX * t, pz - pathZ * t);
+            if (closest < reach) {
+                score += this.weights.pickupCollect; // collected on the way
+            }
+
+            nearestEnd = Math.min(nearestEnd, Math.hypot(pickup.x - endX, pickup.z - endZ));
+        }
+
+        if (nearestEnd < seekRange) {
+            score += this.weights.pickupApproach * (1 - nearestEnd / seekRange);
+        }
+        return score;
+    }
+
+    /**
+     * Decision: Score penalty for flying through the holes' pull, and more for
+     * paths it carries into a hole
+     * The stronger the pull along the way, the less of the player's speed goes
+     * where it's aimed and the harder the next path is to fly.
      */
     scoreHolePenalty(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, aiLevel, holes = []) {
-        if (this.pathContainsHole(direction, startPos, predictedMeteors, pathDuration, lookaheadPercent, holes)) {
-            return -20 * aiLevel;
+        if (!this.enableHoleAvoidance) {
+            return 0;
         }
-        return 0;
+
+        const path = this.tracePathThroughPull(direction, startPos, pathDuration, holes);
+        const score = -this.weights.holePull * path.pull;
+        return path.fallsIn ? score - this.weights.holePath * aiLevel : score;
     }
 
     /**
      * Decision: Score enemy collision risks along the path
+     * timeOffset is when the path starts, relative to when the enemies were predicted.
      */
-    scoreEnemyCollisions(direction, startPos, predictedEnemies, pathDuration, playerSpeed) {
+    scoreEnemyCollisions(direction, startPos, predictedEnemies, pathDuration, playerSpeed, timeOffset = 0) {
         if (!this.enableEnemyAvoidance || !predictedEnemies || predictedEnemies.length === 0) {
             return 0;
         }
@@ -551,7 +889,7 @@ class ComputerAI {
             const playerX = startPos.x + direction.dx * playerSpeed * t;
             const playerZ = startPos.z + direction.dz * playerSpeed * t;
             
-            const collisionScore = this.scoreEnemyCollisionAtPoint(playerX, playerZ, t, predictedEnemies, startPos);
+            const collisionScore = this.scoreEnemyCollisionAtPoint(playerX, playerZ, timeOffset + t, predictedEnemies, startPos);
             score += collisionScore;
         }
         
@@ -566,6 +904,7 @@ class ComputerAI {
             return 0;
         }
 
+        const w = this.weights;
         let score = 0;
         let minDist = Infinity;
         let closestEnemyAtTime = null;
@@ -590,20 +929,20 @@ class ComputerAI {
             }
             
             // Collision zone - enemies are dangerous when very close
-            if (dist < 2.0) {
-                score -= 1500; // Very strong penalty for being too close to enemies
+            if (dist < w.enemyHitRange) {
+                score -= w.enemyHit; // Very strong penalty for being too close to enemies
             }
             // Danger zone
-            else if (dist < 4.0) {
-                score -= 400 / Math.max(dist, 0.5); // Strong penalty
+            else if (dist < w.enemyDangerRange) {
+                score -= w.enemyDanger / Math.max(dist, 0.5); // Strong penalty
             }
             // Warning zone
-            else if (dist < 6.0) {
-                score -= 50 / dist; // Moderate penalty
+            else if (dist < w.enemyWarningRange) {
+                score -= w.enemyWarning / Math.max(dist, 0.5); // Moderate penalty
             }
             // Caution zone
-            else if (dist < 8.0) {
-                score -= 10 / dist; // Light penalty
+            else if (dist < w.enemyCautionRange) {
+                score -= w.enemyCaution / Math.max(dist, 0.5); // Light penalty
             }
         }
         
@@ -624,34 +963,34 @@ class ComputerAI {
                 }
             }
             
-            if (minDist < this.minEnemyDistance) {
+            if (minDist < w.minEnemyDistance) {
                 // Below minimum distance - strongly penalize
-                const distanceBelow = this.minEnemyDistance - minDist;
-                score -= 300 * distanceBelow; // Strong penalty for being below minimum
+                const distanceBelow = w.minEnemyDistance - minDist;
+                score -= w.enemyTooClose * distanceBelow; // Strong penalty for being below minimum
                 
                 // Check if this path moves away from the closest enemy
                 if (closestEnemyAtStart && startDist < Infinity) {
                     if (minDist > startDist) {
                         // Moving away - bonus
-                        score += 150 * (minDist - startDist);
+                        score += w.enemyRetreat * (minDist - startDist);
                     } else if (minDist < startDist) {
                         // Moving closer - extra penalty
-                        score -= 200 * (startDist - minDist);
+                        score -= w.enemyApproach * (startDist - minDist);
                     }
                 }
             } else {
                 // Above minimum distance - reward maintaining safe distance
-                const distanceAbove = minDist - this.minEnemyDistance;
-                score += 40 * Math.min(distanceAbove, 5); // Bonus for maintaining safe distance (capped)
+                const distanceAbove = minDist - w.minEnemyDistance;
+                score += w.enemySafeDistance * Math.min(distanceAbove, w.enemySafeDistanceCap); // Bonus for maintaining safe distance (capped)
                 
                 // Extra bonus if we're well above minimum
-                if (distanceAbove > 2.0) {
-                    score += 30; // Additional bonus for being well above minimum
+                if (distanceAbove > w.enemyWellClearMargin) {
+                    score += w.enemyWellClear; // Additional bonus for being well above minimum
                 }
                 
                 // Bonus for increasing distance when already safe
                 if (closestEnemyAtStart && startDist < Infinity && minDist > startDist) {
-                    score += 20 * Math.min(minDist - startDist, 3); // Small bonus for increasing distance
+                    score += w.enemyOpening * Math.min(minDist - startDist, w.enemyOpeningCap); // Small bonus for increasing distance
                 }
             }
         }
@@ -663,10 +1002,55 @@ class ComputerAI {
      * Reset the AI state (call when game restarts)
      */
     reset() {
+        this.lastPlan = null;
         this.currentPath = null;
         this.pathStartTime = 0;
         this.pathEndTime = 0;
         this.waitEndTime = 0;
+        this.lastMove = { dx: 0, dz: 0 };
+    }
+
+    /**
+     * Use the world config the game is running with (sizes, speeds, spawn radii).
+     */
+    setWorldConfig(config) {
+        this.config = Object.assign({}, GameRules.WORLD_CONFIG, config);
+    }
+
+    /**
+     * Score with a weight profile from now on (see ai-weights.js; resolved or not)
+     * @throws {Error} - If the profile has unknown or invalid weights
+     */
+    setWeightProfile(profile) {
+        this.weightProfile = resolveWeightProfile(profile);
+        // Until the next planning call picks the level's weights
+        this.weights = this.weightProfile.default;
+    }
+
+    /**
+     * Closest the planner likes to get to an enemy (units), at the last planned level
+     */
+    get minEnemyDistance() {
+        return this.weights.minEnemyDistance;
+    }
+
+    /**
+     * Choose the planner: "greedy" (one path, 9 directions), "search" (beam search)
+     * or "auto" (greedy up to level 10, search above).
+     */
+    setPlannerMode(mode) {
+        if (!AI_PLANNER_MODES.includes(mode)) {
+            throw new Error(`Unknown planner mode: ${mode}`);
+        }
+        this.plannerMode = mode;
+    }
+
+    /**
+     * Keep (or stop keeping) the last plan's details in lastPlan.
+     */
+    setPlanRecording(enabled) {
+        this.recordPlans = !!enabled;
+        if (!this.recordPlans) this.lastPlan = null;
     }
 
     /**
@@ -683,6 +1067,13 @@ class ComputerAI {
         this.enableThinkingTime = !!enabled;
     }
 
+    /**
+     * Enable or disable steering toward pickups.
+     */
+    setPickupSeekingEnabled(enabled) {
+        this.enablePickupSeeking = !!enabled;
+    }
+
     /**
      * Enable or disable enemy avoidance behavior.
      */
@@ -694,10 +1085,12 @@ class ComputerAI {
 // For backward compatibility, export functions that use a singleton instance
 const defaultAI = new ComputerAI();
 
-function suggestMove(meteors, position, currentScore = 0, aiLevel = 5, enemies = [], holes = []) {
-    return defaultAI.suggestMove(meteors, position, currentScore, aiLevel, enemies, holes);
+function suggestMove(meteors, position, survivalTime = 0, aiLevel = 5, enemies = [], holes = [], pickups = [], playerSpeed = null) {
+    return defaultAI.suggestMove(meteors, position, survivalTime, aiLevel, enemies, holes, pickups, playerSpeed);
 }
 
 function resetAI() {
     defaultAI.reset();
 }
+
+export { ComputerAI, suggestMove, resetAI, AI_MAX_LEVEL, AI_SEARCH_MIN_LEVEL, AI_PLANNER_MODES };
@@ -0,0 +1,568 @@
+/**
+ * Controls for Meteor Dodge 3D
+ * Wires the page to the game: the InputManager (input.js) behind the keyboard,
+ * gamepad, touch joystick and on-screen buttons, the HUD's buttons and
+ * selects, and the key bindings panel. Every non-movement action lands in
+ * runAction; movement becomes a world-space move in getPlayerMove (one per
+ * player in two-player runs).
+ */
+
+import { InputManager, INPUT_ACTIONS } from "./input.js";
+import AIStrategies from "./strategies.js";
+import {
+    world,
+    isPrototypeMode,
+    useAI,
+    aiLevel,
+    aiStrategy,
+    partnerAI,
+    partnerStrategy,
+    computerAI,
+    adaptiveLevel,
+    versusMatch,
+    seedLocked,
+    gameClock,
+    audio,
+    getLocalStorage,
+    setMode,
+    setSeed,
+    setPlayers,
+    setPartnerAI,
+    toggleAI,
+    stepAILevel,
+    setLevelMode,
+    setStrategy,
+    setDifficulty,
+    setWeightProfile,
+    loadWeightsFile,
+    setDebugOverlay,
+    loadDifficultyFile,
+    loadStrategyFile,
+    toggleVersus,
+    startVersus,
+    stopGhost,
+    saveReplay,
+    exportRunLog,
+    loadReplayFile
+} from "./game.js";
+import { camForward, camRight, cameraMode, CAMERA_MODES, setCameraMode, orbitCamera, zoomCamera } from "./rendering.js";
+import {
+    btnPrototype,
+    btnFull,
+    btnAI,
+    chkHoleAvoid,
+    chkThinkingTime,
+    chkEnemyAvoid,
+    chkPickupSeek,
+    selPlanner,
+    selWeights,
+    btnLoadWeights,
+    weightsFileInput,
+    chkDebugOverlay,
+    chkPerf,
+    selStrategy,
+    selDifficulty,
+    btnLoadDifficulty,
+    difficultyFileInput,
+    btnLoadStrategy,
+    strategyFileInput,
+    selVersusOpponent,
+    btnVersus,
+    selPlayers,
+    chkPartnerAI,
+    seedInput,
+    btnNewSeed,
+    btnSaveReplay,
+    btnExportLog,
+    btnLoadReplay,
+    replayFileInput,
+    btnScores,
+    gameOverPanel,
+    selTimeScale,
+    selCamera,
+    btnPause,
+    btnKeys,
+    keysPanel,
+    keysTable,
+    hud,
+    btnHudToggle,
+    canvasContainer,
+    joystickZone,
+    joystickBase,
+    joystickKnob,
+    selLevelMode,
+    targetTimeInput,
+    chkGhost,
+    btnMute,
+    volumeSlider,
+    updateInstructions,
+    updateAIStatus,
+    updateClockHud,
+    updateSoundHud,
+    setPerfHud,
+    populateStrategySelects,
+    populateDifficultySelect,
+    populateWeightsSelect,
+    populateCameraSelect,
+    updateCameraHud,
+    showLeaderboard,
+    setLeaderboardView,
+    setLeaderboardFilter
+} from "./hud.js";
+
+// Keyboard, gamepad and on-screen buttons all go through one input manager
+const input = new InputManager({ storage: getLocalStorage(), onAction: runAction });
+let rebindTarget = null; // {action, slot, button} while waiting for a key in the keys panel
+const JOYSTICK_RADIUS = 50; // px the touch joystick's knob travels for full speed
+
+// ------------------------------------------------------------
+// Input handling
+// ------------------------------------------------------------
+function setupInput() {
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    // Browsers only allow sound to start from a user gesture
+    for (const type of ["keydown", "pointerdown", "touchstart"]) {
+        window.addEventListener(type, () => audio.unlock());
+    }
+    btnMute.addEventListener("click", () => {
+        audio.toggleMute();
+        updateSoundHud();
+    });
+    volumeSlider.addEventListener("input", () => {
+        audio.setVolume(parseFloat(volumeSlider.value));
+        if (audio.muted) audio.setMuted(false);
+        updateSoundHud();
+    });
+    updateSoundHud();
+
+    // Key-ups that happen while the window is unfocused never arrive
+    window.addEventListener("blur", () => input.releaseAll());
+
+    btnKeys.addEventListener("click", () => {
+        keysPanel.hidden = !keysPanel.hidden;
+        if (!keysPanel.hidden) renderKeysPanel();
+    });
+    document.getElementById("btnCloseKeys").addEventListener("click", closeKeysPanel);
+    document.getElementById("btnResetKeys").addEventListener("click", () => {
+        input.resetBindings();
+        rebindTarget = null;
+        renderKeysPanel();
+        updateInstructions();
+        updateAIStatus();
+    });
+    updateInstructions();
+
+    btnPrototype.addEventListener("click", () => setMode(true));
+    btnFull.addEventListener("click", () => setMode(false));
+    btnAI.addEventListener("click", toggleAI);
+
+    // Empty => new random seed every run
+    seedInput.addEventListener("change", () => setSeed(seedInput.value));
+    btnNewSeed.addEventListener("click", () => setSeed(""));
+
+    btnSaveReplay.addEventListener("click", saveReplay);
+    btnExportLog.addEventListener("click", exportRunLog);
+    btnLoadReplay.addEventListener("click", () => replayFileInput.click());
+    replayFileInput.addEventListener("change", () => {
+        if (replayFileInput.files.length > 0) {
+            loadReplayFile(replayFileInput.files[0]);
+        }
+        replayFileInput.value = "";
+    });
+
+    if (chkHoleAvoid) {
+        chkHoleAvoid.addEventListener("change", () => {
+            if (computerAI.setHoleAvoidanceEnabled) {
+                computerAI.setHoleAvoidanceEnabled(chkHoleAvoid.checked);
+            }
+        });
+    }
+    if (chkThinkingTime) {
+        chkThinkingTime.addEventListener("change", () => {
+            if (computerAI.setThinkingTimeEnabled) {
+                computerAI.setThinkingTimeEnabled(chkThinkingTime.checked);
+            }
+        });
+    }
+    if (chkEnemyAvoid) {
+        chkEnemyAvoid.addEventListener("change", () => {
+            if (computerAI.setEnemyAvoidanceEnabled) {
+                computerAI.setEnemyAvoidanceEnabled(chkEnemyAvoid.checked);
+            }
+        });
+    }
+    if (chkPickupSeek) {
+        chkPickupSeek.addEventListener("change", () => {
+            computerAI.setPickupSeekingEnabled(chkPickupSeek.checked);
+        });
+    }
+    if (selPlanner) {
+        selPlanner.addEventListener("change", () => {
+            computerAI.setPlannerMode(selPlanner.value);
+            updateAIStatus();
+        });
+    }
+
+    chkDebugOverlay.addEventListener("change", () => setDebugOverlay(chkDebugOverlay.checked));
+    chkPerf.addEventListener("change", () => setPerfHud(chkPerf.checked));
+
+    selLevelMode.addEventListener("change", () => setLevelMode(selLevelMode.value));
+    targetTimeInput.addEventListener("change", () => {
+        const target = parseFloat(targetTimeInput.value);
+        if (target > 0) adaptiveLevel.setTarget(target, true);
+        targetTimeInput.value = String(adaptiveLevel.targetTime);
+        updateAIStatus();
+    });
+    // Takes effect from the next run, so the ghost always starts with the player
+    chkGhost.addEventListener("change", () => {
+        if (!chkGhost.checked) stopGhost();
+    });
+
+    populateStrategySelects();
+    selVersusOpponent.value = "reactive";
+    selStrategy.addEventListener("change", () => setStrategy(selStrategy.value));
+    selDifficulty.addEventListener("change", () => setDifficulty(selDifficulty.value));
+    btnLoadDifficulty.addEventListener("click", () => difficultyFileInput.click());
+    difficultyFileInput.addEventListener("change", () => {
+        if (difficultyFileInput.files.length > 0) {
+            loadDifficultyFile(difficultyFileInput.files[0]);
+        }
+        difficultyFileInput.value = "";
+    });
+    populateDifficultySelect();
+
+    selWeights.addEventListener("change", () => setWeightProfile(selWeights.value));
+    btnLoadWeights.addEventListener("click", () => weightsFileInput.click());
+    weightsFileInput.addEventListener("change", () => {
+        if (weightsFileInput.files.length > 0) {
+            loadWeightsFile(weightsFileInput.files[0]);
+        }
+        weightsFileInput.value = "";
+    });
+    populateWeightsSelect();
+
+    btnLoadStrategy.addEventListener("click", () => strategyFileInput.click());
+    strategyFileInput.addEventListener("change", () => {
+        if (strategyFileInput.files.length > 0) {
+            loadStrategyFile(strategyFileInput.files[0]);
+        }
+        strategyFileInput.value = "";
+    });
+    btnVersus.addEventListener("click", toggleVersus);
+
+    // "1", or two players' team mode
+    selPlayers.addEventListener("change", () => {
+        if (selPlayers.value === "1") setPlayers(1);
+        else setPlayers(2, selPlayers.value);
+    });
+    chkPartnerAI.addEventListener("change", () => setPartnerAI(chkPartnerAI.checked));
+
+    selTimeScale.addEventListener("change", () => {
+        gameClock.setTimeScale(parseFloat(selTimeScale.value));
+        updateClockHud();
+    });
+    btnPause.addEventListener("click", () => {
+        gameClock.togglePause();
+        updateClockHud();
+    });
+
+    selCamera.addEventListener("change", () => selectCamera(selCamera.value));
+    populateCameraSelect();
+
+    // Never keep running in a background tab
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) {
+            gameClock.pause();
+            updateClockHud();
+        }
+    });
+
+    btnScores.addEventListener("click", () => {
+        if (gameOverPanel.hidden) {
+            showLeaderboard(null);
+        } else {
+            gameOverPanel.hidden = true;
+        }
+    });
+    document.getElementById("btnCloseScores").addEventListener("click", () => {
+        gameOverPanel.hidden = true;
+    });
+    gameOverPanel.querySelectorAll("button[data-view]").forEach(btn => {
+        btn.addEventListener("click", () => setLeaderboardView(btn.dataset.view));
+    });
+    gameOverPanel.querySelectorAll("button[data-filter]").forEach(btn => {
+        btn.addEventListener("click", () => setLeaderboardFilter(btn.dataset.filter));
+    });
+
+    setupTouchControls();
+    setupCameraControls();
+    btnHudToggle.addEventListener("click", () => {
+        btnHudToggle.textContent = hud.classList.toggle("expanded") ? "×" : "☰";
+    });
+
+    updateAIStatus();
+}
+
+/**
+ * Floating joystick: wherever a finger lands in the zone becomes the stick's
+ * centre, and dragging up to JOYSTICK_RADIUS from it is full speed. Only
+ * that finger steers, so others can press the buttons at the same time.
+ */
+function setupTouchControls() {
+    let pointerId = null;
+    let originX = 0;
+    let originY = 0;
+
+    function moveKnob(dx, dy) {
+        const len = Math.sqrt(dx * dx + dy * dy);
+        const scale = len > JOYSTICK_RADIUS ? JOYSTICK_RADIUS / len : 1;
+        joystickKnob.style.transform = `translate(${dx * scale}px, ${dy * scale}px)`;
+        // Screen y grows downwards; the input's y is "up"
+        input.setTouchStick((dx * scale) / JOYSTICK_RADIUS, (-dy * scale) / JOYSTICK_RADIUS);
+    }
+
+    function release(e) {
+        if (e.pointerId !== pointerId) return;
+        pointerId = null;
+        joystickBase.hidden = true;
+        input.setTouchStick(0, 0);
+    }
+
+    joystickZone.addEventListener("pointerdown", e => {
+        if (pointerId !== null) return;
+        e.preventDefault();
+        pointerId = e.pointerId;
+        if (joystickZone.setPointerCapture) joystickZone.setPointerCapture(pointerId);
+
+        const rect = joystickZone.getBoundingClientRect();
+        originX = e.clientX;
+        originY = e.clientY;
+        joystickBase.style.left = (originX - rect.left) + "px";
+        joystickBase.style.top = (originY - rect.top) + "px";
+        joystickBase.hidden = false;
+        moveKnob(0, 0);
+    });
+    joystickZone.addEventListener("pointermove", e => {
+        if (e.pointerId !== pointerId) return;
+        e.preventDefault();
+        moveKnob(e.clientX - originX, e.clientY - originY);
+    });
+    joystickZone.addEventListener("pointerup", release);
+    joystickZone.addEventListener("pointercancel", release);
+
+    document.querySelectorAll("#touchButtons button[data-action]").forEach(btn => {
+        btn.addEventListener("pointerdown", e => {
+            e.preventDefault();
+            input.press(btn.dataset.action);
+        });
+    });
+}
+
+/**
+ * Free orbit camera: drag on the view to turn it around the rocket, and the
+ * wheel zooms. The other camera modes leave the pointer alone.
+ */
+function setupCameraControls() {
+    let pointerId = null;
+    let lastX = 0;
+    let lastY = 0;
+
+    function release(e) {
+        if (e.pointerId === pointerId) pointerId = null;
+    }
+
+    canvasContainer.addEventListener("pointerdown", e => {
+        if (cameraMode !== "orbit" || pointerId !== null) return;
+        pointerId = e.pointerId;
+        if (canvasContainer.setPointerCapture) canvasContainer.setPointerCapture(pointerId);
+        lastX = e.clientX;
+        lastY = e.clientY;
+    });
+    canvasContainer.addEventListener("pointermove", e => {
+        if (e.pointerId !== pointerId) return;
+        orbitCamera(e.clientX - lastX, e.clientY - lastY);
+        lastX = e.clientX;
+        lastY = e.clientY;
+    });
+    canvasContainer.addEventListener("pointerup", release);
+    canvasContainer.addEventListener("pointercancel", release);
+    canvasContainer.addEventListener("wheel", e => {
+        if (cameraMode !== "orbit") return;
+        e.preventDefault(); // don't zoom or scroll the page
+        zoomCamera(Math.sign(e.deltaY));
+    }, { passive: false });
+}
+
+/**
+ * Action: Switch the camera and keep the HUD's select in step
+ */
+function selectCamera(mode) {
+    setCameraMode(mode);
+    updateCameraHud();
+}
+
+function onKeyDown(e) {
+    if (rebindTarget) {
+        e.preventDefault();
+        finishRebind(e.key);
+        return;
+    }
+
+    // Don't steer the rocket while typing a seed or picking from a list
+    if (e.target && (e.target.tagName === "INPUT" || e.target.tagName === "SELECT")) return;
+
+    if (input.keyDown(e.key, e.repeat) && e.key.startsWith("Arrow")) {
+        e.preventDefault(); // don't scroll the page
+    }
+}
+
+function onKeyUp(e) {
+    input.keyUp(e.key);
+}
+
+/**
+ * Every non-movement input (keys, gamepad buttons) ends up here
+ */
+function runAction(action) {
+    switch (action) {
+        case "restart":
+            if (versusMatch) {
+                startVersus(!seedLocked);
+            } else {
+                setMode(isPrototypeMode);
+            }
+            break;
+        case "pause":
+            gameClock.togglePause();
+            updateClockHud();
+            break;
+        case "slower":
+            gameClock.stepTimeScale(-1);
+            updateClockHud();
+            break;
+        case "faster":
+            gameClock.stepTimeScale(1);
+            updateClockHud();
+            break;
+        case "versus":
+            toggleVersus();
+            break;
+        case "overlay":
+            if (!chkDebugOverlay.disabled) setDebugOverlay(!chkDebugOverlay.checked);
+            break;
+        case "perf":
+            setPerfHud(!chkPerf.checked);
+            break;
+        case "camera": {
+            const next = (CAMERA_MODES.findIndex(m => m.id === cameraMode) + 1) % CAMERA_MODES.length;
+            selectCamera(CAMERA_MODES[next].id);
+            break;
+        }
+        case "toggleAI":
+            toggleAI();
+            break;
+        case "levelDown":
+            stepAILevel(-1);
+            break;
+        case "mute":
+            audio.toggleMute();
+            updateSoundHud();
+            break;
+        case "levelUp":
+            stepAILevel(1);
+            break;
+    }
+}
+
+// ------------------------------------------------------------
+// Key bindings panel
+// ------------------------------------------------------------
+/**
+ * Label for the key that triggers an action, e.g. "R"
+ */
+function keyName(action) {
+    const key = input.bindings[action][0];
+    return key !== undefined ? InputManager.keyLabel(key) : "(unbound)";
+}
+
+function renderKeysPanel() {
+    keysTable.innerHTML = "";
+    for (const action of INPUT_ACTIONS) {
+        const row = document.createElement("tr");
+        const label = document.createElement("td");
+        label.textContent = action.label;
+        row.appendChild(label);
+
+        // A primary and a secondary key per action
+        const keys = input.bindings[action.id];
+        for (let slot = 0; slot < 2; slot++) {
+            const cell = document.createElement("td");
+            const button = document.createElement("button");
+            button.textContent = keys[slot] !== undefined ? InputManager.keyLabel(keys[slot]) : "–";
+            button.addEventListener("click", () => startRebind(action.id, slot, button));
+            cell.appendChild(button);
+            row.appendChild(cell);
+        }
+        keysTable.appendChild(row);
+    }
+}
+
+function startRebind(action, slot, button) {
+    if (rebindTarget) rebindTarget.button.classList.remove("waiting");
+    rebindTarget = { action: action, slot: slot, button: button };
+    button.classList.add("waiting");
+    button.textContent = "Press a key…";
+    button.blur(); // so Space / Enter reach the rebind instead of clicking again
+}
+
+function finishRebind(key) {
+    const target = rebindTarget;
+    rebindTarget = null;
+    if (key !== "Escape") {
+        input.bind(target.action, key, target.slot);
+        updateInstructions();
+        updateAIStatus();
+    }
+    renderKeysPanel();
+}
+
+function closeKeysPanel() {
+    rebindTarget = null;
+    keysPanel.hidden = true;
+}
+
+// ------------------------------------------------------------
+// Player input -> world-space move
+// ------------------------------------------------------------
+/**
+ * @param {Number|null} seat - Player 0 or 1 of a two-player run, or null with one player
+ */
+function getPlayerMove(seat = null) {
+    const index = seat || 0;
+    if (!world.players[index].alive) return { dx: 0, dz: 0 };
+
+    const strategy = index === 0 ? (useAI ? aiStrategy : null) : (partnerAI ? partnerStrategy : null);
+    if (strategy) {
+        const state = Object.assign(world.getObservation(index), { level: aiLevel });
+
+        // Strategies already plan in world space
+        return AIStrategies.normalizeMove(strategy.suggestMove(state));
+    }
+
+    // Player input is in screen space: map it through the camera basis (which
+    // follows the camera mode; see computeCameraBasis in rendering.js).
+    // Its length (below 1 for a half-pushed stick) is kept as the speed.
+    const screenMove = input.getMove(seat);
+    const ix = screenMove.x;
+    const iz = screenMove.y;
+
+    if (ix === 0 && iz === 0) return { dx: 0, dz: 0 };
+
+    return {
+        dx: camRight.x * ix + camForward.x * iz,
+        dz: camRight.z * ix + camForward.z * iz
+    };
+}
+
+export { input, setupInput, keyName, getPlayerMove };
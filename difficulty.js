@@ -0,0 +1,177 @@
+/**
+ * Difficulty definitions and presets for Meteor Dodge 3D
+ * A difficulty is plain JSON describing how the run ramps up:
+ *
+ *   {
+ *     "id": "standard", "name": "Standard", "description": "...",
+ *     "meteors": { "startCount", "maxCount", "growthInterval", "growthAmount",
+ *                  "baseSpeed", "speedPerSecond" },
+ *     "enemies": { "startTime", "startCount", "growthInterval", "maxCount",
+ *                  "baseSpeed", "speedPerSecond", "maxSpeedBoost" },
+ *     "holes": { "gravity", "gravityRange", "driftRadius", "driftSpeed",
+ *                "growthRate", "maxGrowth" }
+ *   }
+ *
+ * Counts grow by growthAmount (meteors) or one (enemies) every growthInterval
+ * seconds up to maxCount; speeds grow by speedPerSecond of survival time.
+ * Holes pull with gravity (units/sec at their edge) out to gravityRange times
+ * their size, circle driftRadius around their spot at driftSpeed, and grow by
+ * growthRate of their size per second up to maxGrowth.
+ * A definition only needs the values it changes; the rest come from Standard.
+ * toConfig() turns a definition into GameRules.WORLD_CONFIG overrides, which is
+ * all WorldSimulation reads, so a difficulty also travels with every replay.
+ *
+ * An ES module; the default export is the GameDifficulty namespace.
+ */
+
+const GameDifficulty = (function () {
+    const PRESETS = [
+        {
+            "id": "casual",
+            "name": "Casual",
+            "description": "Fewer, slower meteors; aliens arrive late and stay slow",
+            "meteors": { "startCount": 16, "maxCount": 160, "growthInterval": 15, "growthAmount": 4, "baseSpeed": 6, "speedPerSecond": 0.08 },
+            "enemies": { "startTime": 20, "startCount": 1, "growthInterval": 20, "maxCount": 8, "baseSpeed": 2.0, "speedPerSecond": 0.02, "maxSpeedBoost": 2.5 },
+            "holes": { "gravity": 3.5, "gravityRange": 2.5, "driftRadius": 0, "driftSpeed": 0, "growthRate": 0, "maxGrowth": 0 }
+        },
+        {
+            "id": "standard",
+            "name": "Standard",
+            "description": "The original meteors and aliens, with black holes that pull",
+            "meteors": { "startCount": 24, "maxCount": 360, "growthInterval": 10, "growthAmount": 6, "baseSpeed": 8, "speedPerSecond": 0.15 },
+            "enemies": { "startTime": 8, "startCount": 1, "growthInterval": 12, "maxCount": 18, "baseSpeed": 2.6, "speedPerSecond": 0.03, "maxSpeedBoost": 4.0 },
+            "holes": { "gravity": 5, "gravityRange": 3, "driftRadius": 0, "driftSpeed": 0, "growthRate": 0, "maxGrowth": 0 }
+        },
+        {
+            "id": "hardcore",
+            "name": "Hardcore",
+            "description": "Dense, fast meteors from the start, aliens within seconds, and holes that drift and grow",
+            "meteors": { "startCount": 40, "maxCount": 360, "growthInterval": 6, "growthAmount": 8, "baseSpeed": 11, "speedPerSecond": 0.2 },
+            "enemies": { "startTime": 3, "startCount": 2, "growthInterval": 8, "maxCount": 24, "baseSpeed": 3.4, "speedPerSecond": 0.04, "maxSpeedBoost": 5.0 },
+            "holes": { "gravity": 6, "gravityRange": 3, "driftRadius": 3, "driftSpeed": 1.5, "growthRate": 0.01, "maxGrowth": 0.6 }
+        },
+        {
+            "id": "meteorStorm",
+            "name": "Meteor Storm",
+            "description": "Meteors only, and lots of them; no aliens, but the holes drift",
+            "meteors": { "startCount": 60, "maxCount": 360, "growthInterval": 5, "growthAmount": 10, "baseSpeed": 9, "speedPerSecond": 0.18 },
+            "enemies": { "maxCount": 0 },
+            "holes": { "driftRadius": 4, "driftSpeed": 2 }
+        }
+    ];
+
+    const DEFAULT_ID = "standard";
+
+    // Definition field -> WORLD_CONFIG key
+    const CONFIG_KEYS = {
+        meteors: {
+            startCount: "baseMeteorCount",
+            maxCount: "maxMeteorCount",
+            growthInterval: "meteorGrowthInterval",
+            growthAmount: "meteorGrowthAmount",
+            baseSpeed: "baseMeteorSpeed",
+            speedPerSecond: "meteorSpeedPerSecond"
+        },
+        enemies: {
+            startTime: "enemyStartTime",
+            startCount: "enemyStartCount",
+            growthInterval: "enemyGrowthInterval",
+            maxCount: "maxEnemyCount",
+            baseSpeed: "baseEnemySpeed",
+            speedPerSecond: "enemySpeedPerSecond",
+            maxSpeedBoost: "maxEnemySpeedBoost"
+        },
+        holes: {
+            gravity: "holeGravity",
+            gravityRange: "holeGravityRange",
+            driftRadius: "holeDriftRadius",
+            driftSpeed: "holeDriftSpeed",
+            growthRate: "holeGrowthRate",
+            maxGrowth: "holeMaxGrowth"
+        }
+    };
+
+    function getPreset(id) {
+        return PRESETS.find(p => p.id === id) || null;
+    }
+
+    /**
+     * Fill in everything a definition leaves out from Standard
+     * @throws {Error} - If a value is missing its section, not a number, or out of range
+     */
+    function resolve(definition) {
+        const base = getPreset(DEFAULT_ID);
+        const resolved = {
+            id: definition.id || "custom",
+            name: definition.name || definition.id || "Custom",
+            description: definition.description || ""
+        };
+
+        for (const section of Object.keys(CONFIG_KEYS)) {
+            const values = definition[section] || {};
+            if (typeof values !== "object") {
+                throw new Error(`Difficulty "${resolved.name}": "${section}" must be an object.`);
+            }
+            resolved[section] = Object.assign({}, base[section]);
+
+            for (const key of Object.keys(values)) {
+                if (!(key in CONFIG_KEYS[section])) {
+                    throw new Error(`Difficulty "${resolved.name}": unknown setting ${section}.${key}.`);
+                }
+                const value = values[key];
+                if (typeof value !== "number" || !isFinite(value) || value < 0) {
+                    throw new Error(`Difficulty "${resolved.name}": ${section}.${key} must be a number >= 0.`);
+                }
+                resolved[section][key] = value;
+            }
+
+            if (resolved[section].growthInterval <= 0) {
+                throw new Error(`Difficulty "${resolved.name}": ${section}.growthInterval must be more than 0.`);
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Parse and validate a difficulty file's text
+     * @throws {Error} - If the text is not a usable difficulty definition
+     */
+    function parse(text) {
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (err) {
+            throw new Error("Difficulty file is not valid JSON.");
+        }
+        if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+            throw new Error("Difficulty file must contain one JSON object.");
+        }
+        return resolve(definition);
+    }
+
+    /**
+     * WORLD_CONFIG overrides for a definition (resolved or not)
+     */
+    function toConfig(definition) {
+        const resolved = resolve(definition);
+        const config = {};
+        for (const section of Object.keys(CONFIG_KEYS)) {
+            for (const key of Object.keys(CONFIG_KEYS[section])) {
+                config[CONFIG_KEYS[section][key]] = resolved[section][key];
+            }
+        }
+        return config;
+    }
+
+    return {
+        PRESETS,
+        DEFAULT_ID,
+        getPreset,
+        resolve,
+        parse,
+        toConfig
+    };
+})();
+
+export default GameDifficulty;
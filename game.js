@@ -0,0 +1,1045 @@
+/**
+ * Meteor Dodge 3D: the game
+ * Entry module (index.html loads it with <script type="module">). Owns the run:
+ * the WorldSimulation, seeds, replays and event logs, the mode and difficulty,
+ * the players, the AI strategy and level, versus, the demo and ghost, sound and
+ * the scores, and the loop that steps the world and brings the view
+ * (rendering.js) and HUD (hud.js) up to date with it. Input arrives through
+ * controls.js.
+ *
+ * Other modules read this state through live bindings; only this module
+ * assigns it, through the functions exported below.
+ */
+
+import * as THREE from "./vendor/three/build/three.module.js";
+import GameDifficulty from "./difficulty.js";
+import { GameClock } from "./clock.js";
+import { GameAudio } from "./audio.js";
+import { WorldSimulation } from "./simulation.js";
+import { createRandom, normalizeSeed, randomSeed } from "./spawning.js";
+import { ReplayRecorder, ReplayPlayer, parseReplay, getReplayWorldOptions } from "./replay.js";
+import { RunLog } from "./runlog.js";
+import { ComputerAI, AI_MAX_LEVEL } from "./computer.js";
+import { DEFAULT_WEIGHT_PROFILE, parseWeightProfile } from "./ai-weights.js";
+import { AdaptiveLevel, ADAPTIVE_DEFAULT_TARGET } from "./adaptive.js";
+import { Leaderboard } from "./leaderboard.js";
+import AIStrategies from "./strategies.js";
+import { VersusMatch, VersusView } from "./versus.js";
+import { PerfMonitor } from "./perf.js";
+import {
+    scene,
+    camera,
+    renderer,
+    player,
+    aiOverlay,
+    isFalling,
+    camRight,
+    initScene,
+    preloadAssets,
+    clearDynamicObjects,
+    createPrototypePlayer,
+    createFullPlayer,
+    createPartnerPlayer,
+    ensureMeteors,
+    ensureEnemies,
+    updateInfiniteFloorAndHoles,
+    updatePlayer,
+    updateRocketExhaust,
+    updateCameraFollow,
+    updateSkyFollow,
+    updateMeteors,
+    updateEnemies,
+    updatePickups,
+    updateShieldBubble,
+    updateGhost,
+    updateExplosionDebris,
+    onMeteorLanded,
+    activateDebrisExplosion,
+    startFalling,
+    stopFalling,
+    PICKUP_STYLES
+} from "./rendering.js";
+import {
+    scoreDisplay,
+    statusMessage,
+    btnPrototype,
+    btnFull,
+    chkHoleAvoid,
+    chkThinkingTime,
+    chkEnemyAvoid,
+    chkPickupSeek,
+    selPlanner,
+    selWeights,
+    chkDebugOverlay,
+    selStrategy,
+    selPlayers,
+    chkPartnerAI,
+    selDifficulty,
+    selVersusOpponent,
+    btnVersus,
+    seedInput,
+    btnSaveReplay,
+    btnExportLog,
+    gameOverPanel,
+    selLevelMode,
+    chkGhost,
+    ghostDisplay,
+    loadingScreen,
+    btnSkipLoading,
+    updateAIStatus,
+    updateGamepadStatus,
+    formatLevel,
+    populateStrategySelects,
+    populateDifficultySelect,
+    populateWeightsSelect,
+    showVersusHud,
+    updateVersusHud,
+    updatePerfHud,
+    updateEffectsHud,
+    updateGhostHud,
+    formatScore,
+    onEnemySwallowed,
+    onPickupCollected,
+    showGameOverMessage
+} from "./hud.js";
+import { input, setupInput, keyName, getPlayerMove } from "./controls.js";
+
+// ------------------------------------------------------------
+// Global state
+// ------------------------------------------------------------
+// Gameplay state lives in the simulation; rendering.js is the view over it
+let world = null;
+
+// Run seed: fixed when given via ?seed= or the HUD, otherwise new every run
+const urlSeed = new URLSearchParams(window.location.search).get("seed");
+let runSeed = urlSeed !== null && urlSeed !== "" ? normalizeSeed(urlSeed) : randomSeed();
+let seedLocked = urlSeed !== null && urlSeed !== "";
+let visualRandom = Math.random; // seeded per run for cosmetic effects (debris)
+
+// Replays
+let replayRecorder = null; // records the current live run
+let replayPlayer = null;   // plays back a loaded replay (input/AI ignored)
+let lastReplay = null;     // last finished recording, for saving
+
+// Event log of the current run (live or replayed), and of the last one to finish, for exporting
+let runLog = null;
+let lastRunLog = null;
+
+// Meteor collision animation (landed meteors stay down while debris plays)
+const meteorAnimationDuration = 0.5; // seconds for collision animation
+
+// Sound: synthesized, started on the first key press or touch
+const audio = new GameAudio(getLocalStorage());
+const WHISTLE_TOP = 26; // meteors spawn at most this high; the whistle starts there
+const HOLE_DRONE_RANGE = 8; // units from a hole's edge where its drone starts
+let enemyAlertActive = false; // an enemy is inside minEnemyDistance (alert plays once per approach)
+
+let isPrototypeMode = false;
+
+let lastTime = 0;
+const perfMonitor = new PerfMonitor(); // real frame times, for the performance stats
+
+// Game time: paused / scaled real time. The world, the AI (on world.time) and
+// view animations all advance by it, never by Date.now().
+const gameClock = new GameClock();
+let replayTimeBudget = 0; // game time owed to replay frames not yet played
+
+// Difficulty: the presets plus any definitions loaded from files (by id)
+const difficulties = GameDifficulty.PRESETS.map(GameDifficulty.resolve);
+let difficulty = difficulties.find(d => d.id === GameDifficulty.DEFAULT_ID);
+
+// AI (paths are timed on the world clock so runs replay identically)
+let useAI = false;
+let aiLevel = 5;
+// Planning runs inside a frame here: cap the search's time too (the Node tools don't)
+const FRAME_SEARCH_BUDGET = { maxMs: 6 };
+const computerAI = new ComputerAI({ clock: () => (world ? world.time : 0), debug: false, searchBudget: FRAME_SEARCH_BUDGET });
+let aiStrategyId = "path";
+let aiStrategy = AIStrategies.registry.create("path", { ai: computerAI });
+// Path planner scoring weights: the defaults plus any profiles loaded from files (by id)
+const weightProfiles = [DEFAULT_WEIGHT_PROFILE];
+
+// Two players on one screen (see simulation.js): player 2 is the second key set
+// or gamepad, or the AI with its own instance of the selected strategy
+let playerCount = 1;
+let teamMode = "coop"; // "coop" | "lastStanding"
+let partnerAI = false;
+let partnerStrategy = null; // drives player 2 while partnerAI is on
+
+// Versus: two strategies on one seed, split screen (the normal game is paused meanwhile)
+let versusMatch = null;
+let versusView = null;
+
+// Adaptive level: tunes aiLevel from run outcomes toward a target survival time,
+// and restarts runs by itself (demo mode)
+let levelMode = "manual"; // "manual" | "adaptive"
+const adaptiveLevel = new AdaptiveLevel({ targetTime: ADAPTIVE_DEFAULT_TARGET });
+const DEMO_RESTART_DELAY = 3; // game seconds between a demo run ending and the next
+let demoRestartAt = null; // game-clock time of the next demo run
+
+// Ghost: an AI plays the same seed next to the player, drawn as a see-through
+// rocket, at a level matched to the player's recent runs
+const GHOST_HISTORY_RUNS = 10; // recent human runs the ghost's target comes from
+const ghostLevel = new AdaptiveLevel({ targetTime: ADAPTIVE_DEFAULT_TARGET });
+let ghostLevelEstimated = false; // first ghost starts from the calibration, later ones keep learning
+let ghost = null; // {world, strategy, recorded} for this run
+
+// High scores and run history
+const leaderboard = new Leaderboard(getLocalStorage());
+let lastRunResult = null; // {run, rank, ...} for the run that just ended
+
+// Full mode waits for its models (see preloadAssets in rendering.js)
+let assetsLoaded = false; // true once every asset has loaded or failed (failures use primitives)
+let pendingFullMode = null; // {replay} of a Full mode start waiting for the assets
+
+init();
+animate(0);
+
+// Offline play (sw.js); service workers only run on pages served over http(s)
+if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+    navigator.serviceWorker.register("sw.js").catch(err => {
+        console.warn("Service worker not registered; the game won't work offline.", err);
+    });
+}
+
+// ------------------------------------------------------------
+// Initialization
+// ------------------------------------------------------------
+function init() {
+    initScene();
+
+    // Full mode waits behind the loading screen; input is wired up with the first run
+    btnSkipLoading.addEventListener("click", skipLoading);
+    setMode(false);
+    preloadAssets().then(onAssetsLoaded);
+}
+
+function onAssetsLoaded() {
+    const firstRun = !world;
+    assetsLoaded = true;
+    loadingScreen.hidden = true;
+
+    if (pendingFullMode) setMode(false, pendingFullMode.replay);
+    if (firstRun) setupInput();
+}
+
+/**
+ * Action: Close the loading screen and play Prototype mode (no models needed) meanwhile
+ */
+function skipLoading() {
+    const firstRun = !world;
+    pendingFullMode = null;
+    loadingScreen.hidden = true;
+
+    if (firstRun) {
+        setMode(true);
+        setupInput();
+    }
+}
+
+// ------------------------------------------------------------
+// Mode switching
+// ------------------------------------------------------------
+function setMode(prototype, replay = null) {
+    if (!prototype && !assetsLoaded) {
+        // Full mode starts once its models are in (onAssetsLoaded)
+        pendingFullMode = { replay: replay };
+        loadingScreen.hidden = false;
+        return;
+    }
+    if (pendingFullMode) {
+        pendingFullMode = null;
+        loadingScreen.hidden = true;
+    }
+
+    stopVersus();
+    isPrototypeMode = prototype;
+    btnPrototype.classList.toggle("active", prototype);
+    btnFull.classList.toggle("active", !prototype);
+
+    resetGameState(replay);
+    clearDynamicObjects();
+
+    if (isPrototypeMode) {
+        createPrototypePlayer();
+        statusMessage.textContent = "Prototype mode: primitive geometries only.";
+    } else {
+        createFullPlayer();
+        statusMessage.textContent = "Full mode: using loaded objected and textures.";
+    }
+    if (world.playerCount > 1) createPartnerPlayer(isPrototypeMode);
+
+    // Create meshes for the baseline meteors
+    ensureMeteors(world.meteors.length);
+    ensureEnemies(world.enemies.length);
+
+    updateAIStatus();
+    updateCameraFollow(0);
+}
+
+function resetGameState(replay = null) {
+    stopFalling();
+    lastTime = 0;
+    replayTimeBudget = 0;
+
+    if (replay) {
+        // Replays bring their own seed and config
+        runSeed = replay.seed;
+        replayPlayer = new ReplayPlayer(replay);
+        replayRecorder = null;
+        world = new WorldSimulation(getReplayWorldOptions(replay));
+    } else {
+        if (!seedLocked) runSeed = randomSeed();
+        replayPlayer = null;
+
+        // Prototype mode respawns landed meteors instantly (no debris animation)
+        const config = Object.assign(GameDifficulty.toConfig(difficulty), {
+            meteorRespawnDelay: isPrototypeMode ? 0 : meteorAnimationDuration
+        });
+        world = new WorldSimulation({ seed: runSeed, config: config, playerCount: playerCount, teamMode: teamMode });
+        replayRecorder = new ReplayRecorder({
+            seed: world.seed,
+            mode: isPrototypeMode ? "prototype" : "full",
+            difficulty: difficulty.name,
+            config: config,
+            players: { count: playerCount, mode: teamMode }
+        });
+    }
+
+    runLog = new RunLog({
+        seed: world.seed,
+        difficulty: replay ? replay.difficulty : difficulty.name,
+        players: { count: world.playerCount, mode: world.teamMode }
+    });
+    lastRunLog = null;
+
+    visualRandom = createRandom(world.seed ^ 0x9e3779b9);
+    seedInput.value = seedLocked || replay ? String(world.seed) : "";
+    seedInput.placeholder = String(world.seed);
+    btnSaveReplay.disabled = true;
+    btnExportLog.disabled = true;
+    lastRunResult = null;
+    gameOverPanel.hidden = true;
+
+    scoreDisplay.textContent = "Score: 0.0";
+    statusMessage.textContent = "";
+    demoRestartAt = null;
+
+    aiStrategy.reset(world.config);
+    partnerStrategy = world.playerCount > 1 ? createStrategyInstance(aiStrategyId) : null;
+    if (partnerStrategy) partnerStrategy.reset(world.config);
+    if (levelMode === "adaptive") aiLevel = adaptiveLevel.getLevel(0);
+    // The ghost races one player
+    startGhost(!replay && chkGhost.checked && world.playerCount === 1);
+}
+
+/**
+ * Fix the run seed (any text; see normalizeSeed) and restart on it, or
+ * with an empty one go back to a new random seed every run
+ */
+function setSeed(text) {
+    seedLocked = text.trim() !== "";
+    if (seedLocked) runSeed = normalizeSeed(text);
+    setMode(isPrototypeMode);
+}
+
+// ------------------------------------------------------------
+// Players
+// ------------------------------------------------------------
+/**
+ * Start a new run with one or two players
+ * @param {String} mode - Two players' team mode: "coop" or "lastStanding"
+ */
+function setPlayers(count, mode = teamMode) {
+    playerCount = count;
+    teamMode = mode;
+    selPlayers.value = count > 1 ? mode : "1";
+    setMode(isPrototypeMode);
+}
+
+/**
+ * Let the AI fly player 2 (or hand them back to the second key set / gamepad)
+ */
+function setPartnerAI(enabled) {
+    partnerAI = enabled;
+    chkPartnerAI.checked = enabled;
+    updateAIStatus();
+}
+
+// ------------------------------------------------------------
+// AI
+// ------------------------------------------------------------
+function toggleAI() {
+    useAI = !useAI;
+    updateAIStatus();
+}
+
+/**
+ * Step the AI level up or down by one, back in manual level mode
+ */
+function stepAILevel(step) {
+    setLevelMode("manual");
+    aiLevel = Math.max(1, Math.min(AI_MAX_LEVEL, Math.round(aiLevel) + step));
+    updateAIStatus();
+}
+
+function setLevelMode(mode) {
+    levelMode = mode;
+    selLevelMode.value = mode;
+    if (mode === "adaptive") {
+        aiLevel = adaptiveLevel.getLevel(world.time);
+    } else {
+        aiLevel = Math.round(aiLevel);
+        demoRestartAt = null;
+    }
+    updateAIStatus();
+}
+
+// ------------------------------------------------------------
+// AI strategies and difficulty
+// ------------------------------------------------------------
+/**
+ * Switch difficulty and start a new run with it
+ */
+function setDifficulty(id) {
+    difficulty = difficulties.find(d => d.id === id) || difficulty;
+    selDifficulty.value = difficulty.id;
+    setMode(isPrototypeMode);
+}
+
+function loadDifficultyFile(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+        let loaded;
+        try {
+            loaded = GameDifficulty.parse(reader.result);
+        } catch (err) {
+            statusMessage.style.color = "#ff6666";
+            statusMessage.textContent = err.message;
+            return;
+        }
+
+        // A file may redefine a preset; give file definitions their own ids
+        loaded.id = "file:" + (loaded.id === "custom" ? file.name : loaded.id);
+        const index = difficulties.findIndex(d => d.id === loaded.id);
+        if (index >= 0) difficulties[index] = loaded;
+        else difficulties.push(loaded);
+
+        populateDifficultySelect();
+        setDifficulty(loaded.id);
+        statusMessage.style.color = "#66ccff";
+        statusMessage.textContent = "Loaded difficulty \"" + loaded.name + "\".";
+    };
+    reader.readAsText(file);
+}
+
+function setStrategy(id) {
+    aiStrategyId = id;
+    // The HUD's ComputerAI stays the "path" strategy so its feature toggles keep applying
+    aiStrategy = id === "path"
+        ? AIStrategies.registry.create("path", { ai: computerAI })
+        : AIStrategies.registry.create(id, { config: world.config, searchBudget: FRAME_SEARCH_BUDGET });
+    aiStrategy.reset(world.config);
+    if (partnerStrategy) {
+        partnerStrategy = createStrategyInstance(id);
+        partnerStrategy.reset(world.config);
+    }
+    selStrategy.value = id;
+
+    // Feature toggles and the planner only exist for the path planner
+    document.querySelectorAll("#aiFeatures input, #aiFeatures select, #aiFeatures button").forEach(el => {
+        el.disabled = id !== "path";
+    });
+    updateAIStatus();
+}
+
+/**
+ * Score the path planner with a weight profile (new versus sides and ghosts too)
+ */
+function setWeightProfile(id) {
+    computerAI.setWeightProfile(weightProfiles.find(p => p.id === id) || computerAI.weightProfile);
+    selWeights.value = computerAI.weightProfile.id;
+    updateAIStatus();
+}
+
+function loadWeightsFile(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+        let loaded;
+        try {
+            loaded = parseWeightProfile(reader.result);
+        } catch (err) {
+            statusMessage.style.color = "#ff6666";
+            statusMessage.textContent = err.message;
+            return;
+        }
+
+        // Same as difficulties: file profiles get their own ids
+        loaded.id = "file:" + (loaded.id === "custom" ? file.name : loaded.id);
+        const index = weightProfiles.findIndex(p => p.id === loaded.id);
+        if (index >= 0) weightProfiles[index] = loaded;
+        else weightProfiles.push(loaded);
+
+        populateWeightsSelect();
+        setWeightProfile(loaded.id);
+        statusMessage.style.color = "#66ccff";
+        statusMessage.textContent = "Loaded AI weights \"" + loaded.name + "\".";
+    };
+    reader.readAsText(file);
+}
+
+function setDebugOverlay(enabled) {
+    chkDebugOverlay.checked = enabled;
+    computerAI.setPlanRecording(enabled);
+}
+
+/**
+ * A fresh strategy instance with the HUD's AI settings, for versus sides and player 2
+ */
+function createStrategyInstance(id) {
+    const strategy = AIStrategies.registry.create(id, { config: world.config, searchBudget: FRAME_SEARCH_BUDGET });
+    if (strategy.ai) {
+        strategy.ai.setHoleAvoidanceEnabled(chkHoleAvoid.checked);
+        strategy.ai.setThinkingTimeEnabled(chkThinkingTime.checked);
+        strategy.ai.setEnemyAvoidanceEnabled(chkEnemyAvoid.checked);
+        strategy.ai.setPickupSeekingEnabled(chkPickupSeek.checked);
+        strategy.ai.setPlannerMode(selPlanner.value);
+        strategy.ai.setWeightProfile(computerAI.weightProfile);
+    }
+    return strategy;
+}
+
+function loadStrategyFile(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+        const id = "script:" + file.name;
+        let entry;
+        try {
+            entry = AIStrategies.compileStrategyScript(reader.result, file.name.replace(/\.js$/, ""));
+        } catch (err) {
+            statusMessage.style.color = "#ff6666";
+            statusMessage.textContent = err.message;
+            return;
+        }
+
+        AIStrategies.registry.register(id, entry);
+        populateStrategySelects();
+        setStrategy(id);
+        statusMessage.style.color = "#66ccff";
+        statusMessage.textContent = "Loaded strategy \"" + entry.label + "\". Press " + keyName("toggleAI") + " to let it play.";
+    };
+    reader.readAsText(file);
+}
+
+// ------------------------------------------------------------
+// Versus
+// ------------------------------------------------------------
+function toggleVersus() {
+    if (versusMatch) {
+        stopVersus();
+    } else {
+        startVersus(false);
+    }
+}
+
+/**
+ * @param {Boolean} newSeed - Roll a new seed instead of playing the current run's
+ */
+function startVersus(newSeed) {
+    if (versusView) versusView.dispose();
+    if (newSeed) runSeed = randomSeed();
+
+    const ids = [aiStrategyId, selVersusOpponent.value];
+    versusMatch = new VersusMatch({
+        seed: newSeed ? runSeed : world.seed,
+        config: Object.assign(GameDifficulty.toConfig(difficulty), { meteorRespawnDelay: meteorAnimationDuration }),
+        level: aiLevel,
+        sides: ids.map(id => ({
+            id: id,
+            label: AIStrategies.registry.get(id).label,
+            strategy: createStrategyInstance(id)
+        }))
+    });
+    versusView = new VersusView(versusMatch);
+    audio.silence();
+
+    showVersusHud(true);
+    btnVersus.textContent = "Exit";
+    statusMessage.style.color = "#66ccff";
+    statusMessage.textContent = "Versus on seed " + versusMatch.seed + ". " + keyName("restart") + ": new seed, " + keyName("versus") + ": back to the game.";
+}
+
+function stopVersus() {
+    if (!versusMatch) return;
+
+    versusView.dispose();
+    versusMatch = null;
+    versusView = null;
+    showVersusHud(false);
+    btnVersus.textContent = "Start";
+    updateAIStatus();
+}
+
+// ------------------------------------------------------------
+// Game loop
+// ------------------------------------------------------------
+function animate(timestamp) {
+    requestAnimationFrame(animate);
+
+    const t = timestamp * 0.001;
+    const frameTime = lastTime ? t - lastTime : 0;
+    const delta = gameClock.tick(frameTime);
+    lastTime = t;
+
+    // renderer.info still holds last frame's counts (it's reset here, not per render call)
+    perfMonitor.frame(frameTime);
+    updatePerfHud(t);
+    renderer.info.reset();
+
+    // Still on the loading screen
+    if (!world) {
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // Gamepads have no events for buttons or sticks; read them every frame (even paused, for Start)
+    input.poll();
+    updateGamepadStatus();
+
+    if (versusMatch) {
+        if (delta > 0) versusMatch.step(delta);
+        versusView.update();
+        versusView.render(renderer);
+        updateVersusHud();
+        return;
+    }
+
+    if (!player) {
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // Advance the simulation, then bring the view up to date with it
+    if (delta > 0) stepWorld(delta);
+    if (demoRestartAt !== null && gameClock.now() >= demoRestartAt) {
+        demoRestartAt = null;
+        setMode(isPrototypeMode);
+    }
+
+    ensureMeteors(world.meteors.length);
+    ensureEnemies(world.enemies.length);
+    updateInfiniteFloorAndHoles();
+
+    updatePlayer(delta); // also handles falling animation
+    updateRocketExhaust(delta);
+    updateCameraFollow(delta);
+    updateSkyFollow();
+
+    updateMeteors(delta);
+    updateEnemies(delta);
+    updatePickups();
+    updateShieldBubble();
+    updateGhost(ghost ? ghost.world : null);
+    if (ghost) updateGhostHud(ghost);
+    updateAudio();
+    updateExplosionDebris(delta);
+
+    const showPlan = chkDebugOverlay.checked && useAI && aiStrategyId === "path" && !replayPlayer;
+    aiOverlay.update(showPlan ? computerAI.lastPlan : null, world.player);
+
+    if (!world.isGameOver) {
+        scoreDisplay.textContent = formatScore();
+    }
+    updateEffectsHud();
+
+    renderer.render(scene, camera);
+}
+
+function stepWorld(delta) {
+    if (ghost) stepGhost(delta);
+
+    if (world.isGameOver) {
+        world.step(delta, null);
+        handleWorldEvents();
+        return;
+    }
+
+    // Replays drive the world with their recorded timesteps and moves, playing
+    // as many frames as the game clock has advanced (so pause and speed apply)
+    if (replayPlayer) {
+        replayTimeBudget += delta;
+        let frame = replayPlayer.peek();
+        while (frame && replayTimeBudget >= frame.delta - 1e-9 && !world.isGameOver) {
+            replayPlayer.next();
+            replayTimeBudget -= frame.delta;
+            world.step(frame.delta, frame.move);
+            handleWorldEvents();
+            frame = replayPlayer.peek();
+        }
+        if (!frame && !world.isGameOver) {
+            world.step(delta, null);
+            handleWorldEvents();
+        }
+        return;
+    }
+
+    if (levelMode === "adaptive" && useAI) {
+        const level = adaptiveLevel.getLevel(world.time);
+        const shown = formatLevel(aiLevel) !== formatLevel(level);
+        aiLevel = level;
+        if (shown) updateAIStatus();
+    }
+
+    const move = world.playerCount > 1 ? [getPlayerMove(0), getPlayerMove(1)] : getPlayerMove();
+    world.step(delta, move);
+    handleWorldEvents();
+
+    if (replayRecorder) {
+        replayRecorder.record(delta, move);
+        replayRecorder.noteAI(useAI || (partnerAI && world.playerCount > 1), aiLevel, aiStrategyId);
+    }
+}
+
+function handleWorldEvents() {
+    if (runLog) runLog.record(world.time, world.events);
+
+    for (const event of world.events) {
+        if (event.type === "meteorLanded") {
+            onMeteorLanded(event);
+        } else if (event.type === "pickupCollected") {
+            onPickupCollected(event);
+        } else if (event.type === "shieldBroken") {
+            onShieldBroken(event);
+        } else if (event.type === "nearMiss") {
+            onNearMiss(event);
+        } else if (event.type === "enemySwallowed") {
+            onEnemySwallowed(event);
+        } else if (event.type === "playerDown") {
+            onPlayerDown(event);
+        } else if (event.type === "playerRevived") {
+            onPlayerRevived(event);
+        } else if (event.type === "gameOver") {
+            onGameOver(event);
+        }
+    }
+}
+
+// ------------------------------------------------------------
+// Ghost
+// ------------------------------------------------------------
+/**
+ * Survival time the ghost aims for: the median of the player's recent runs on
+ * this difficulty (null until there are some)
+ */
+function getGhostTarget() {
+    const times = leaderboard.recent("human")
+        .filter(run => run.difficulty === difficulty.name && typeof run.time === "number")
+        .slice(0, GHOST_HISTORY_RUNS)
+        .map(run => run.time)
+        .sort((a, b) => a - b);
+    return times.length > 0 ? times[Math.floor(times.length / 2)] : null;
+}
+
+function startGhost(enabled) {
+    stopGhost();
+    if (!enabled) return;
+
+    ghostLevel.setTarget(getGhostTarget() || ADAPTIVE_DEFAULT_TARGET, !ghostLevelEstimated);
+    ghostLevelEstimated = true;
+
+    const ghostWorld = new WorldSimulation({ seed: world.seed, config: world.config });
+    const strategy = AIStrategies.registry.create("path", {
+        ai: new ComputerAI({
+            clock: () => ghostWorld.time,
+            debug: false,
+            config: ghostWorld.config,
+            searchBudget: FRAME_SEARCH_BUDGET,
+            weights: computerAI.weightProfile
+        })
+    });
+    strategy.reset(ghostWorld.config);
+    ghost = { world: ghostWorld, strategy: strategy, recorded: false };
+    ghostDisplay.hidden = false;
+}
+
+/**
+ * Let the ghost's level learn from how its run went, then drop it
+ */
+function stopGhost() {
+    if (ghost && !ghost.recorded && ghost.world.time > ghostLevel.targetTime) {
+        // Cut short, but it already outlasted the target: that's worth knowing
+        ghostLevel.recordRun(ghost.world.time);
+    }
+    ghost = null;
+    ghostDisplay.hidden = true;
+}
+
+function stepGhost(delta) {
+    const ghostWorld = ghost.world;
+    if (ghostWorld.isGameOver) return;
+
+    const state = Object.assign(ghostWorld.getObservation(), { level: ghostLevel.getLevel(ghostWorld.time) });
+    ghostWorld.step(delta, AIStrategies.normalizeMove(ghost.strategy.suggestMove(state)));
+    if (ghostWorld.isGameOver) {
+        ghostLevel.recordRun(ghostWorld.time);
+        ghost.recorded = true;
+    }
+}
+
+// ------------------------------------------------------------
+// Sound
+// ------------------------------------------------------------
+function updateAudio() {
+    const p = world.player;
+    audio.setListener(p.x, p.z, camRight.x, camRight.z);
+
+    const alive = !world.isGameOver;
+    audio.updateEngine(Math.hypot(p.vx, p.vz) / world.config.playerSpeed, alive);
+
+    // Whistle for the meteor coming down closest to the player, soonest
+    let whistling = null;
+    let best = Infinity;
+    for (const m of world.meteors) {
+        if (m.respawnTimer > 0 || m.y <= world.config.meteorGroundHeight) continue;
+        const rank = Math.hypot(m.x - p.x, m.z - p.z) + m.y * 0.5;
+        if (rank < best) {
+            best = rank;
+            whistling = m;
+        }
+    }
+    audio.updateWhistle(alive && whistling
+        ? { x: whistling.x, z: whistling.z, height: Math.min(1, whistling.y / WHISTLE_TOP) }
+        : null);
+
+    // Drone grows toward the nearest hole's edge
+    let edgeDistance = Infinity;
+    for (const hole of world.holes) {
+        edgeDistance = Math.min(edgeDistance, Math.hypot(p.x - hole.x, p.z - hole.z) - hole.halfSize);
+    }
+    const proximity = Math.max(0, Math.min(1, 1 - edgeDistance / HOLE_DRONE_RANGE));
+    audio.updateHoleDrone(alive || isFalling ? proximity : 0);
+
+    // Alert once each time an enemy closes inside the AI's safe distance
+    const close = alive && world.enemies.some(e =>
+        Math.hypot(e.x - p.x, e.z - p.z) < computerAI.minEnemyDistance);
+    if (close && !enemyAlertActive) audio.playAlert();
+    enemyAlertActive = close;
+}
+
+function onShieldBroken(event) {
+    statusMessage.style.color = "#" + PICKUP_STYLES.shield.color.toString(16).padStart(6, "0");
+    statusMessage.textContent = "Shield absorbed a meteor!";
+
+    activateDebrisExplosion(new THREE.Vector3(event.x, event.y, event.z));
+}
+
+function onNearMiss(event) {
+    audio.playNearMiss(event.combo);
+    statusMessage.style.color = "#ffaa33";
+    statusMessage.textContent = (world.playerCount > 1 ? `P${event.player + 1}: ` : "") +
+        (event.combo > 1 ? "Near miss, combo ×" + event.combo : "Near miss") + "! +" + event.bonus.toFixed(0);
+}
+
+// ------------------------------------------------------------
+// Two players
+// ------------------------------------------------------------
+/**
+ * One of two players is out (with one player, onGameOver takes it from here)
+ */
+function onPlayerDown(event) {
+    if (world.playerCount === 1) return;
+
+    if (event.cause !== "blackHole") activateDebrisExplosion(new THREE.Vector3(event.x, 1, event.z));
+    if (world.isGameOver) return; // that was the end of the run
+
+    audio.playAlert();
+    const causes = { meteor: "hit by a meteor", enemy: "caught by an enemy", blackHole: "swallowed by a black hole" };
+    statusMessage.style.color = "#ff9966";
+    statusMessage.textContent = "Player " + (event.player + 1) + " was " + (causes[event.cause] || event.cause) +
+        (world.teamMode === "coop" ? "! Back in " + world.config.coopReviveDelay + "s." : "!");
+}
+
+function onPlayerRevived(event) {
+    statusMessage.style.color = "#" + PICKUP_STYLES.shield.color.toString(16).padStart(6, "0");
+    statusMessage.textContent = "Player " + (event.player + 1) + " is back in!";
+}
+
+// ------------------------------------------------------------
+// Game over
+// ------------------------------------------------------------
+function onGameOver(event) {
+    stopFalling();
+    audio.playGameOver(event.cause);
+    statusMessage.style.color = "#ffcc66";
+
+    runLog.finish(world);
+    lastRunLog = runLog;
+    runLog = null;
+    btnExportLog.disabled = false;
+
+    if (replayRecorder) {
+        replayRecorder.finish(world);
+        // Two-player runs keep their replay but stay off the (one-player) scores
+        if (world.playerCount === 1) recordRun(replayRecorder.replay, event.cause);
+        lastReplay = replayRecorder;
+        replayRecorder = null;
+        btnSaveReplay.disabled = false;
+
+        if (useAI && levelMode === "adaptive" && world.playerCount === 1) {
+            adaptiveLevel.recordRun(world.time);
+            demoRestartAt = gameClock.now() + DEMO_RESTART_DELAY;
+        }
+    }
+
+    // Prototype mode: no black hole spinning/shrinking animation (instant game over message).
+    // Nor with two players: the camera frames both, not the one falling.
+    if (event.cause !== "blackHole" || isPrototypeMode || world.playerCount > 1) {
+        showGameOverMessage(event.cause);
+        return;
+    }
+
+    // Fall toward the black hole the player was caught by
+    startFalling(event.hole);
+}
+
+// ------------------------------------------------------------
+// Leaderboard
+// ------------------------------------------------------------
+function getLocalStorage() {
+    // Accessing localStorage throws when storage is blocked (e.g. some private modes)
+    try {
+        return window.localStorage;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Store the run that just ended (live runs only, not replays)
+ */
+function recordRun(replay, cause) {
+    const ai = replay.ai;
+    lastRunResult = leaderboard.add({
+        score: world.score,
+        time: world.time,
+        seed: world.seed,
+        date: new Date().toISOString(),
+        mode: replay.mode,
+        difficulty: replay.difficulty,
+        ai: { enabled: ai.enabled, level: ai.level, strategy: ai.strategy || null },
+        // The feature checkboxes only apply to the path planner
+        features: ai.enabled && ai.strategy === "path" ? {
+            holeAvoidance: chkHoleAvoid.checked,
+            thinkingTime: chkThinkingTime.checked,
+            enemyAvoidance: chkEnemyAvoid.checked,
+            pickupSeeking: chkPickupSeek.checked,
+            planner: selPlanner.value,
+            weights: computerAI.weightProfile.name
+        } : null,
+        cause: cause
+    });
+}
+
+// ------------------------------------------------------------
+// Replay and event log files
+// ------------------------------------------------------------
+function saveReplay() {
+    if (!lastReplay) return;
+    downloadJSON(lastReplay.serialize(), "meteor-dodge-" + lastReplay.replay.seed + "-" +
+        lastReplay.replay.result.score.toFixed(1) + ".json");
+}
+
+/**
+ * Download the last finished run's event log (see runlog.js)
+ */
+function exportRunLog() {
+    if (!lastRunLog) return;
+    downloadJSON(lastRunLog.serialize(), "meteor-dodge-events-" + lastRunLog.log.seed + "-" +
+        lastRunLog.log.result.score.toFixed(1) + ".json");
+}
+
+function downloadJSON(text, filename) {
+    const blob = new Blob([text], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function loadReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = function () {
+        let replay;
+        try {
+            replay = parseReplay(reader.result);
+        } catch (err) {
+            statusMessage.style.color = "#ff6666";
+            statusMessage.textContent = err.message;
+            return;
+        }
+
+        setMode(replay.mode === "prototype", replay);
+        statusMessage.style.color = "#66ccff";
+        statusMessage.textContent = "Replaying seed " + replay.seed +
+            (replay.difficulty ? " on " + replay.difficulty : "") +
+            (replay.ai && replay.ai.enabled ? " (AI level " + formatLevel(replay.ai.level) + ", " + (replay.ai.strategy || "path") + ")" : "") +
+            (replay.players ? ", " + (replay.players.mode === "coop" ? "two-player co-op" : "last one standing") : "") +
+            ". Press " + keyName("restart") + " to play.";
+    };
+    reader.readAsText(file);
+}
+
+export {
+    world,
+    seedLocked,
+    visualRandom,
+    replayPlayer,
+    isPrototypeMode,
+    gameClock,
+    audio,
+    difficulties,
+    difficulty,
+    weightProfiles,
+    useAI,
+    aiLevel,
+    computerAI,
+    aiStrategyId,
+    aiStrategy,
+    playerCount,
+    teamMode,
+    partnerAI,
+    partnerStrategy,
+    versusMatch,
+    levelMode,
+    adaptiveLevel,
+    demoRestartAt,
+    ghostLevel,
+    leaderboard,
+    lastRunResult,
+    perfMonitor,
+    getLocalStorage,
+    setMode,
+    setSeed,
+    setPlayers,
+    setPartnerAI,
+    toggleAI,
+    stepAILevel,
+    setLevelMode,
+    setDifficulty,
+    loadDifficultyFile,
+    setStrategy,
+    setWeightProfile,
+    loadWeightsFile,
+    setDebugOverlay,
+    loadStrategyFile,
+    toggleVersus,
+    startVersus,
+    stopGhost,
+    saveReplay,
+    exportRunLog,
+    loadReplayFile
+};
@@ -0,0 +1,703 @@
+/**
+ * HUD for Meteor Dodge 3D
+ * The page's DOM elements and everything that writes to them: the status line,
+ * AI and clock controls, the effects and ghost readouts, the loading screen,
+ * versus labels, game over messages, the run stats and scores panel and the
+ * performance stats. State changes
+ * happen in game.js; these functions only show it.
+ */
+
+import { InputManager, MOVE_ACTIONS } from "./input.js";
+import AIStrategies from "./strategies.js";
+import { RUN_CAUSE_LABELS } from "./leaderboard.js";
+import GameRules from "./rules.js";
+import {
+    world,
+    replayPlayer,
+    useAI,
+    aiLevel,
+    aiStrategyId,
+    computerAI,
+    partnerAI,
+    levelMode,
+    adaptiveLevel,
+    ghostLevel,
+    demoRestartAt,
+    versusMatch,
+    difficulties,
+    difficulty,
+    weightProfiles,
+    gameClock,
+    audio,
+    leaderboard,
+    lastRunResult,
+    perfMonitor
+} from "./game.js";
+import {
+    renderer,
+    renderStats,
+    loadingCounts,
+    downloadProgress,
+    cameraMode,
+    CAMERA_MODES,
+    PRELOAD_MODELS,
+    PRELOAD_TEXTURES,
+    PICKUP_STYLES,
+    ENEMY_COLORS
+} from "./rendering.js";
+import { input, keyName } from "./controls.js";
+
+// ------------------------------------------------------------
+// Elements
+// ------------------------------------------------------------
+const scoreDisplay = document.getElementById("scoreDisplay");
+const effectsDisplay = document.getElementById("effectsDisplay");
+const statusMessage = document.getElementById("statusMessage");
+const aiLevelDisplay = document.getElementById("aiLevelDisplay");
+const btnPrototype = document.getElementById("btnPrototype");
+const btnFull = document.getElementById("btnFull");
+const btnAI = document.getElementById("btnAI");
+const chkHoleAvoid = document.getElementById("chkHoleAvoid");
+const chkThinkingTime = document.getElementById("chkThinkingTime");
+const chkEnemyAvoid = document.getElementById("chkEnemyAvoid");
+const chkPickupSeek = document.getElementById("chkPickupSeek");
+const selPlanner = document.getElementById("selPlanner");
+const selWeights = document.getElementById("selWeights");
+const btnLoadWeights = document.getElementById("btnLoadWeights");
+const weightsFileInput = document.getElementById("weightsFileInput");
+const chkDebugOverlay = document.getElementById("chkDebugOverlay");
+const aiDebugPanel = document.getElementById("aiDebugPanel");
+const selStrategy = document.getElementById("selStrategy");
+const selDifficulty = document.getElementById("selDifficulty");
+const btnLoadDifficulty = document.getElementById("btnLoadDifficulty");
+const difficultyFileInput = document.getElementById("difficultyFileInput");
+const btnLoadStrategy = document.getElementById("btnLoadStrategy");
+const strategyFileInput = document.getElementById("strategyFileInput");
+const selVersusOpponent = document.getElementById("selVersusOpponent");
+const selPlayers = document.getElementById("selPlayers");
+const chkPartnerAI = document.getElementById("chkPartnerAI");
+const btnVersus = document.getElementById("btnVersus");
+const versusLabels = document.querySelectorAll("#versusLabels .versusLabel");
+const seedInput = document.getElementById("seedInput");
+const btnNewSeed = document.getElementById("btnNewSeed");
+const btnSaveReplay = document.getElementById("btnSaveReplay");
+const btnLoadReplay = document.getElementById("btnLoadReplay");
+const replayFileInput = document.getElementById("replayFileInput");
+const btnScores = document.getElementById("btnScores");
+const gameOverPanel = document.getElementById("gameOverPanel");
+const gameOverTitle = document.getElementById("gameOverTitle");
+const gameOverSummary = document.getElementById("gameOverSummary");
+const runStats = document.getElementById("runStats");
+const runStatsTable = document.getElementById("runStatsTable");
+const btnExportLog = document.getElementById("btnExportLog");
+const leaderboardSection = document.getElementById("leaderboardSection");
+const leaderboardTable = document.getElementById("leaderboardTable");
+const selTimeScale = document.getElementById("selTimeScale");
+const selCamera = document.getElementById("selCamera");
+const btnPause = document.getElementById("btnPause");
+const pauseOverlay = document.getElementById("pauseOverlay");
+const pauseHint = document.getElementById("pauseHint");
+const gameOverHint = document.getElementById("gameOverHint");
+const btnKeys = document.getElementById("btnKeys");
+const gamepadStatus = document.getElementById("gamepadStatus");
+const keysPanel = document.getElementById("keysPanel");
+const keysTable = document.getElementById("keysTable");
+const canvasContainer = document.getElementById("canvasContainer");
+const hud = document.getElementById("hud");
+const btnHudToggle = document.getElementById("btnHudToggle");
+const joystickZone = document.getElementById("joystickZone");
+const joystickBase = document.getElementById("joystickBase");
+const joystickKnob = document.getElementById("joystickKnob");
+const btnTouchAI = document.getElementById("btnTouchAI");
+const btnTouchPause = document.getElementById("btnTouchPause");
+const selLevelMode = document.getElementById("selLevelMode");
+const targetTimeInput = document.getElementById("targetTimeInput");
+const chkGhost = document.getElementById("chkGhost");
+const btnMute = document.getElementById("btnMute");
+const volumeSlider = document.getElementById("volumeSlider");
+const ghostDisplay = document.getElementById("ghostDisplay");
+const loadingScreen = document.getElementById("loadingScreen");
+const loadingFill = document.getElementById("loadingFill");
+const loadingStatus = document.getElementById("loadingStatus");
+const btnSkipLoading = document.getElementById("btnSkipLoading");
+const chkPerf = document.getElementById("chkPerf");
+const perfDisplay = document.getElementById("perfDisplay");
+
+// ------------------------------------------------------------
+// HUD state
+// ------------------------------------------------------------
+let loadingShown = 0; // progress bar fraction (never moves back)
+let versusResultShown = false;
+let leaderboardView = "top"; // "top" | "recent"
+let leaderboardFilter = "all"; // "all" | "human" | "ai"
+let perfUpdatedAt = 0; // when the performance stats were last written (seconds)
+const PERF_HUD_INTERVAL = 0.25; // seconds between updates, so the numbers can be read
+
+// ------------------------------------------------------------
+// Loading screen
+// ------------------------------------------------------------
+function updateLoadingScreen() {
+    let downloading = 0;
+    for (const fraction of downloadProgress.values()) {
+        if (fraction < 1) downloading += fraction;
+    }
+
+    // The manager only learns about a file when it starts, so count the known ones up front
+    const expected = Object.keys(PRELOAD_TEXTURES).length + PRELOAD_MODELS.length * 2;
+    const total = Math.max(loadingCounts.total, expected);
+    loadingShown = Math.max(loadingShown, Math.min(1, (loadingCounts.loaded + downloading) / total));
+
+    loadingFill.style.width = (loadingShown * 100).toFixed(0) + "%";
+    loadingStatus.textContent = `Loading models and textures… ${Math.round(loadingShown * 100)}%`;
+}
+
+// ------------------------------------------------------------
+// Status and controls
+// ------------------------------------------------------------
+/**
+ * Keep the on-screen help in step with the current bindings
+ */
+function updateInstructions() {
+    // Up, left, down, right; a player's primary keys, then any secondary ones
+    const moveKeys = (seat, slot) => [0, 2, 1, 3]
+        .map(dir => input.bindings[MOVE_ACTIONS[seat][dir]][slot])
+        .filter(key => key !== undefined)
+        .map(InputManager.keyLabel)
+        .join(" ");
+    const keySet = seat => [moveKeys(seat, 0), moveKeys(seat, 1)].filter(Boolean).join(" / ") || "(unbound)";
+
+    document.getElementById("keyHelp").innerHTML =
+        `Keyboard: ${keySet(0)} or ${keySet(1)} to move (with two players, ${keySet(1)} is player 2), ` +
+        `${keyName("restart")} to restart, ${keyName("pause")} to pause, ` +
+        `${keyName("slower")} / ${keyName("faster")} for game speed, ${keyName("mute")} to mute.<br />` +
+        `AI: Press ${keyName("toggleAI")} to toggle, ${keyName("levelDown")} ${keyName("levelUp")} to adjust level ` +
+        `(1-12; 11-12 plan several moves ahead), ${keyName("overlay")} for the debug overlay, ` +
+        `${keyName("perf")} for performance stats.<br />` +
+        `Camera: ${keyName("camera")} switches between isometric, top-down, chase and free orbit ` +
+        `(drag to turn it around the rocket, scroll to zoom).`;
+    pauseHint.textContent = `Press ${keyName("pause")} to resume`;
+    gameOverHint.textContent = `Press ${keyName("restart")} to play again.`;
+}
+
+function updateGamepadStatus() {
+    const count = input.gamepadIds.length;
+    const text = count > 1 ? "🎮 2 gamepads connected" : count === 1 ? "🎮 Gamepad connected" : "";
+    if (gamepadStatus.textContent !== text) gamepadStatus.textContent = text;
+}
+
+function updateAIStatus() {
+    btnAI.textContent = useAI ? "ON" : "OFF";
+    btnAI.classList.toggle("active", useAI);
+    btnTouchAI.classList.toggle("active", useAI);
+
+    const levelDesc = getLevelDescription(aiLevel);
+    const planner = aiStrategyId === "path" && computerAI.usesSearchPlanner(aiLevel) ? ", search" : "";
+    const adaptive = levelMode === "adaptive" ? `, adaptive to ${adaptiveLevel.targetTime}s` : "";
+    const weights = aiStrategyId === "path" && computerAI.weightProfile.id !== "default"
+        ? `, ${computerAI.weightProfile.name} weights` : "";
+    const seats = world && world.playerCount > 1 && partnerAI ? (useAI ? ", flying both rockets" : ", flying player 2") : "";
+    aiLevelDisplay.textContent = `AI Level: ${formatLevel(aiLevel)} (${levelDesc}${planner}${adaptive}${weights})${seats}`;
+    if (versusMatch) versusMatch.level = aiLevel;
+
+    if (!world.isGameOver && !replayPlayer && !versusMatch) {
+        statusMessage.textContent = useAI && levelMode === "adaptive"
+            ? `AI DEMO - runs restart by themselves; press ${keyName("toggleAI")} to take over`
+            : useAI
+            ? `AI ACTIVE - Press ${keyName("levelDown")} ${keyName("levelUp")} to adjust level, ${keyName("toggleAI")} to disable`
+            : `Manual control - Press ${keyName("toggleAI")} to enable AI`;
+        statusMessage.style.color = useAI ? "#4caf50" : "#ffcc66";
+    }
+}
+
+/**
+ * Whole levels as "5", adaptive ones as "6.4"
+ */
+function formatLevel(level) {
+    return Number.isInteger(level) ? String(level) : level.toFixed(1);
+}
+
+function getLevelDescription(level) {
+    if (level <= 3) return "Beginner";
+    if (level <= 6) return "Intermediate";
+    if (level <= 9) return "Advanced";
+    if (level <= 10) return "Expert";
+    return "Master";
+}
+
+function updateClockHud() {
+    pauseOverlay.hidden = !gameClock.paused;
+    btnPause.textContent = gameClock.paused ? "Resume" : "Pause";
+    btnTouchPause.textContent = gameClock.paused ? "▶" : "❚❚";
+    selTimeScale.value = String(gameClock.timeScale);
+    audio.setPaused(gameClock.paused);
+}
+
+function updateSoundHud() {
+    btnMute.textContent = audio.muted ? "Off" : "On";
+    btnMute.classList.toggle("active", !audio.muted);
+    volumeSlider.value = String(audio.volume);
+}
+
+function populateStrategySelects() {
+    for (const select of [selStrategy, selVersusOpponent]) {
+        const value = select.value;
+        select.innerHTML = "";
+        for (const entry of AIStrategies.registry.list()) {
+            const option = document.createElement("option");
+            option.value = entry.id;
+            option.textContent = entry.label;
+            option.title = entry.description;
+            select.appendChild(option);
+        }
+        if (value) select.value = value;
+    }
+    selStrategy.value = aiStrategyId;
+}
+
+function populateDifficultySelect() {
+    selDifficulty.innerHTML = "";
+    for (const d of difficulties) {
+        const option = document.createElement("option");
+        option.value = d.id;
+        option.textContent = d.name;
+        option.title = d.description;
+        selDifficulty.appendChild(option);
+    }
+    selDifficulty.value = difficulty.id;
+}
+
+function populateWeightsSelect() {
+    selWeights.innerHTML = "";
+    for (const p of weightProfiles) {
+        const option = document.createElement("option");
+        option.value = p.id;
+        option.textContent = p.name;
+        option.title = p.description;
+        selWeights.appendChild(option);
+    }
+    selWeights.value = computerAI.weightProfile.id;
+}
+
+function populateCameraSelect() {
+    selCamera.innerHTML = "";
+    for (const mode of CAMERA_MODES) {
+        const option = document.createElement("option");
+        option.value = mode.id;
+        option.textContent = mode.label;
+        selCamera.appendChild(option);
+    }
+    updateCameraHud();
+}
+
+function updateCameraHud() {
+    selCamera.value = cameraMode;
+}
+
+// ------------------------------------------------------------
+// Versus
+// ------------------------------------------------------------
+/**
+ * Show or hide the versus labels; a new match announces its result again
+ */
+function showVersusHud(visible) {
+    versusLabels[0].parentNode.hidden = !visible;
+    versusResultShown = false;
+}
+
+function updateVersusHud() {
+    const causes = { meteor: "meteor", enemy: "caught", blackHole: "black hole" };
+
+    versusMatch.sides.forEach((side, i) => {
+        const w = side.world;
+        const end = w.isGameOver ? " — " + (causes[w.gameOverCause] || w.gameOverCause) : "";
+        versusLabels[i].textContent = side.label + ": " + w.time.toFixed(1) + "s (score " + w.score.toFixed(0) + ")" + end;
+    });
+    scoreDisplay.textContent = "Versus, AI level " + formatLevel(versusMatch.level);
+
+    if (versusMatch.isOver && !versusResultShown) {
+        versusResultShown = true;
+        const winner = versusMatch.getWinner();
+        statusMessage.style.color = "#ffcc66";
+        statusMessage.textContent = (winner < 0 ? "Tie" : versusMatch.sides[winner].label + " wins") +
+            " on seed " + versusMatch.seed + ". " + keyName("restart") + ": new seed, " + keyName("versus") + ": back to the game.";
+    }
+}
+
+// ------------------------------------------------------------
+// Performance stats
+// ------------------------------------------------------------
+function setPerfHud(visible) {
+    perfDisplay.hidden = !visible;
+    chkPerf.checked = visible;
+    perfUpdatedAt = 0;
+}
+
+/**
+ * Action: Show the frame rate and last frame's draw counts (call before
+ * renderer.info is reset for the next frame)
+ */
+function updatePerfHud(now) {
+    if (perfDisplay.hidden || now - perfUpdatedAt < PERF_HUD_INTERVAL) return;
+    perfUpdatedAt = now;
+
+    const stats = perfMonitor.getStats();
+    const render = renderer.info.render;
+    let text = `${stats.fps.toFixed(0)} fps  ${stats.frameMs.toFixed(1)} ms (worst ${stats.worstMs.toFixed(1)})\n` +
+        `${render.calls} draws  ${render.triangles} triangles`;
+    // Versus draws its own panes; these counts are the single-player view's
+    if (!versusMatch) {
+        text += `\nmeteors ${renderStats.meteors}/${renderStats.meteorsTotal}  ` +
+            `shadows ${renderStats.shadows}  debris ${renderStats.debris}`;
+    }
+    if (perfDisplay.textContent !== text) perfDisplay.textContent = text;
+}
+
+// ------------------------------------------------------------
+// Score, effects, ghost and world events
+// ------------------------------------------------------------
+/**
+ * The score line: the run's score, and with two players each one's
+ */
+function formatScore() {
+    if (world.playerCount === 1) return "Score: " + world.score.toFixed(1);
+
+    const players = world.players.map(p => {
+        const state = p.alive ? "" : p.reviveTimer > 0 ? ` (back in ${Math.ceil(p.reviveTimer)}s)` : " (out)";
+        return `P${p.index + 1} ${p.score.toFixed(1)}${state}`;
+    });
+    return world.teamMode === "coop"
+        ? `Team: ${world.score.toFixed(1)} — ${players.join(", ")}`
+        : players.join(" vs ");
+}
+
+function updateEffectsHud() {
+    let html = "";
+    for (const p of world.players) {
+        for (const type of GameRules.PICKUP_TYPES) {
+            const left = p.effects[type];
+            if (left <= 0) continue;
+            const style = PICKUP_STYLES[type];
+            const label = (world.playerCount > 1 ? `P${p.index + 1} ` : "") +
+                (type === "multiplier" ? style.label + world.config.scoreMultiplierFactor : style.label);
+            html += `<span style="color:#${style.color.toString(16).padStart(6, "0")}">${label} ${left.toFixed(1)}s</span>`;
+        }
+        if (p.combo > 1) {
+            const label = (world.playerCount > 1 ? `P${p.index + 1} ` : "") + "Combo ×" + world.getComboMultiplier(p);
+            html += `<span style="color:#ffaa33">${label} ${p.comboTimer.toFixed(1)}s</span>`;
+        }
+    }
+    // Only touch the DOM when something changed
+    if (effectsDisplay.innerHTML !== html) effectsDisplay.innerHTML = html;
+}
+
+function updateGhostHud(ghost) {
+    const level = formatLevel(ghostLevel.getLevel(ghost.world.time));
+    const text = ghost.world.isGameOver
+        ? `Ghost: ${ghost.world.score.toFixed(1)}, out` + (world.isGameOver ? "" : " — you're ahead")
+        : `Ghost: ${ghost.world.score.toFixed(1)} (AI ${level}, aiming for ${Math.round(ghostLevel.targetTime)}s)`;
+    if (ghostDisplay.textContent !== text) ghostDisplay.textContent = text;
+}
+
+function onEnemySwallowed(event) {
+    if (event.bonus <= 0) return;
+    statusMessage.style.color = "#" + (ENEMY_COLORS[event.archetype] || ENEMY_COLORS.chaser).toString(16).padStart(6, "0");
+    statusMessage.textContent = "Lured a " + event.archetype + " into a black hole! +" + event.bonus.toFixed(0) +
+        (event.combo > 1 ? " (combo ×" + event.combo + ")" : "");
+}
+
+function onPickupCollected(event) {
+    statusMessage.style.color = "#" + PICKUP_STYLES[event.pickup.type].color.toString(16).padStart(6, "0");
+    statusMessage.textContent = (world.playerCount > 1 ? `P${event.player + 1}: ` : "") +
+        PICKUP_STYLES[event.pickup.type].label +
+        (event.pickup.type === "multiplier" ? world.config.scoreMultiplierFactor : "") + "!";
+}
+
+// ------------------------------------------------------------
+// Game over
+// ------------------------------------------------------------
+function showGameOverMessage(cause) {
+    const reasons = {
+        meteor: "Hit by a meteor!",
+        enemy: "Caught by an enemy!",
+        blackHole: "You were consumed by a black hole!"
+    };
+
+    let base = "Game over! Final score " + world.score.toFixed(1) + ".";
+    let reasonText = reasons[cause] ? " " + reasons[cause] : "";
+    if (world.teamMode === "lastStanding") {
+        const scores = world.players.map(p => p.score.toFixed(1)).join(" to ");
+        base = (world.winner === null ? "Draw!" : "Player " + (world.winner + 1) + " wins!") + " (" + scores + ")";
+        reasonText = "";
+    } else if (world.playerCount > 1) {
+        base = "Game over! Team score " + world.score.toFixed(1) + ".";
+        reasonText = " Both players are down.";
+    }
+    statusMessage.style.color = "#ffcc66";
+
+    if (replayPlayer) {
+        const recorded = replayPlayer.replay.result;
+        const recordedText = recorded ? " (recorded " + recorded.score.toFixed(1) + ")" : "";
+        statusMessage.textContent = "Replay finished: score " + world.score.toFixed(1) + recordedText + "." +
+            reasonText + " Press " + keyName("restart") + " to play.";
+        showRunSummary("Replay finished", "Score " + world.score.toFixed(1) + recordedText + ".");
+        return;
+    }
+
+    if (demoRestartAt !== null) {
+        // Demo mode keeps the scores panel closed and just carries on
+        statusMessage.textContent = base + reasonText + " Next run at AI level " + formatLevel(adaptiveLevel.level) + "…";
+        return;
+    }
+
+    statusMessage.textContent = base + reasonText + " Seed " + world.seed + ". Press " + keyName("restart") + " or switch mode to restart.";
+    if (lastRunResult) {
+        showLeaderboard(lastRunResult);
+    } else {
+        // Two-player runs stay off the scores
+        showRunSummary(world.teamMode === "lastStanding" ? "Game over" : "Game over: both players down", base);
+    }
+}
+
+/**
+ * Open the game-over panel on just the run's stats (runs that aren't on the scores)
+ */
+function showRunSummary(title, summary) {
+    gameOverTitle.textContent = title;
+    gameOverSummary.textContent = summary;
+    renderRunStats();
+    runStats.hidden = false;
+    leaderboardSection.hidden = true;
+    gameOverPanel.hidden = false;
+}
+
+/**
+ * The stats table: one column per player
+ */
+function renderRunStats() {
+    const rows = [
+        ["Distance traveled", s => Math.round(s.distance) + " units"],
+        ["Meteors dodged", s => String(s.meteorsDodged)],
+        ["Near misses", s => s.nearMisses + (s.bestCombo > 1 ? ", best combo ×" + s.bestCombo : "")],
+        ["Aliens lured in", s => String(s.lures)],
+        ["Closest enemy call", s => s.closestEnemy === null ? "—" : s.closestEnemy.toFixed(2) + " units"],
+        ["Pickups", s => String(s.pickups)],
+        ["Bonus points", s => s.bonus.toFixed(1)]
+    ];
+
+    runStatsTable.innerHTML = "";
+    const header = runStatsTable.insertRow();
+    const titles = ["Survived " + world.time.toFixed(1) + "s"];
+    if (world.playerCount > 1) titles.push(...world.players.map(p => "Player " + (p.index + 1)));
+    for (const title of titles) {
+        const th = document.createElement("th");
+        th.textContent = title;
+        header.appendChild(th);
+    }
+
+    for (const [label, format] of rows) {
+        const row = runStatsTable.insertRow();
+        row.insertCell().textContent = label;
+        for (const p of world.players) row.insertCell().textContent = format(p.stats);
+    }
+}
+
+// ------------------------------------------------------------
+// Leaderboard
+// ------------------------------------------------------------
+/**
+ * @param {Object|null} result - Leaderboard.add() result for the run that just ended, or null to just browse
+ */
+function showLeaderboard(result) {
+    if (result) {
+        leaderboardView = "top";
+        leaderboardFilter = result.category;
+        renderRunStats();
+    }
+    // A run that just ended shows its stats above the scores
+    runStats.hidden = !result;
+    leaderboardSection.hidden = false;
+    gameOverPanel.hidden = false;
+    renderLeaderboard();
+}
+
+function setLeaderboardView(view) {
+    leaderboardView = view;
+    renderLeaderboard();
+}
+
+function setLeaderboardFilter(filter) {
+    leaderboardFilter = filter;
+    renderLeaderboard();
+}
+
+function renderLeaderboard() {
+    const result = gameOverPanel.hidden ? null : lastRunResult;
+    const categoryName = { human: "human", ai: "AI" };
+
+    if (result) {
+        const run = result.run;
+        gameOverTitle.textContent = "Game over: " + (RUN_CAUSE_LABELS[run.cause] || run.cause);
+        gameOverSummary.textContent = "Score " + run.score.toFixed(1) + ", rank #" + result.rank + " of " +
+            result.total + " " + categoryName[result.category] + " runs. " +
+            (result.isPersonalBest ? "New personal best!" : "Personal best: " + result.personalBest.toFixed(1) + ".");
+    } else {
+        gameOverTitle.textContent = "Scores";
+        gameOverSummary.textContent = "";
+    }
+
+    gameOverPanel.querySelectorAll("button[data-view]").forEach(btn => {
+        btn.classList.toggle("active", btn.dataset.view === leaderboardView);
+    });
+    gameOverPanel.querySelectorAll("button[data-filter]").forEach(btn => {
+        btn.classList.toggle("active", btn.dataset.filter === leaderboardFilter);
+    });
+
+    const runs = leaderboardView === "top"
+        ? leaderboard.top(leaderboardFilter, 20)
+        : leaderboard.recent(leaderboardFilter, 20);
+
+    leaderboardTable.innerHTML = "";
+    const header = leaderboardTable.insertRow();
+    for (const title of ["#", "Score", "Player", "Mode", "Cause", "Date"]) {
+        const th = document.createElement("th");
+        th.textContent = title;
+        header.appendChild(th);
+    }
+
+    if (runs.length === 0) {
+        leaderboardTable.insertRow().insertCell().textContent = "No runs yet.";
+        return;
+    }
+
+    runs.forEach((run, i) => {
+        const row = leaderboardTable.insertRow();
+        row.classList.toggle("current", !!result && run === result.run);
+        row.title = describeRunFeatures(run) + "Seed " + run.seed;
+
+        const cells = [
+            String(i + 1),
+            run.score.toFixed(1),
+            run.ai && run.ai.enabled ? "AI " + formatLevel(run.ai.level) + (run.ai.strategy && run.ai.strategy !== "path" ? " (" + run.ai.strategy + ")" : "") : "Human",
+            (run.mode === "prototype" ? "Prototype" : "Full") + (run.difficulty ? ", " + run.difficulty : ""),
+            RUN_CAUSE_LABELS[run.cause] || run.cause,
+            new Date(run.date).toLocaleString()
+        ];
+        for (const text of cells) {
+            row.insertCell().textContent = text;
+        }
+    });
+}
+
+function describeRunFeatures(run) {
+    if (!run.features) return "";
+    const f = run.features;
+    const on = [
+        f.holeAvoidance ? "hole avoidance" : null,
+        f.thinkingTime ? "thinking time" : null,
+        f.enemyAvoidance ? "enemy avoidance" : null,
+        f.pickupSeeking ? "pickup seeking" : null
+    ].filter(Boolean);
+    return "AI features: " + (on.length ? on.join(", ") : "none") + "; planner " + f.planner +
+        (f.weights ? "; " + f.weights + " weights" : "") + ". ";
+}
+
+export {
+    scoreDisplay,
+    effectsDisplay,
+    statusMessage,
+    aiLevelDisplay,
+    btnPrototype,
+    btnFull,
+    btnAI,
+    chkHoleAvoid,
+    chkThinkingTime,
+    chkEnemyAvoid,
+    chkPickupSeek,
+    selPlanner,
+    selWeights,
+    btnLoadWeights,
+    weightsFileInput,
+    chkDebugOverlay,
+    aiDebugPanel,
+    selStrategy,
+    selDifficulty,
+    btnLoadDifficulty,
+    difficultyFileInput,
+    btnLoadStrategy,
+    strategyFileInput,
+    selVersusOpponent,
+    btnVersus,
+    versusLabels,
+    selPlayers,
+    chkPartnerAI,
+    seedInput,
+    btnNewSeed,
+    btnSaveReplay,
+    btnLoadReplay,
+    replayFileInput,
+    btnScores,
+    gameOverPanel,
+    gameOverTitle,
+    gameOverSummary,
+    runStats,
+    runStatsTable,
+    btnExportLog,
+    leaderboardSection,
+    leaderboardTable,
+    selTimeScale,
+    selCamera,
+    btnPause,
+    pauseOverlay,
+    pauseHint,
+    gameOverHint,
+    btnKeys,
+    gamepadStatus,
+    keysPanel,
+    keysTable,
+    canvasContainer,
+    hud,
+    btnHudToggle,
+    joystickZone,
+    joystickBase,
+    joystickKnob,
+    btnTouchAI,
+    btnTouchPause,
+    selLevelMode,
+    targetTimeInput,
+    chkGhost,
+    btnMute,
+    volumeSlider,
+    ghostDisplay,
+    loadingScreen,
+    loadingFill,
+    loadingStatus,
+    btnSkipLoading,
+    chkPerf,
+    perfDisplay,
+    updateLoadingScreen,
+    updateInstructions,
+    updateGamepadStatus,
+    updateAIStatus,
+    formatLevel,
+    updateClockHud,
+    updateSoundHud,
+    populateStrategySelects,
+    populateDifficultySelect,
+    populateWeightsSelect,
+    populateCameraSelect,
+    updateCameraHud,
+    showVersusHud,
+    updateVersusHud,
+    setPerfHud,
+    updatePerfHud,
+    formatScore,
+    updateEffectsHud,
+    updateGhostHud,
+    onEnemySwallowed,
+    onPickupCollected,
+    showGameOverMessage,
+    showLeaderboard,
+    setLeaderboardView,
+    setLeaderboardFilter,
+    renderLeaderboard
+};
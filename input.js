@@ -0,0 +1,338 @@
+/**
+ * Player input: keyboard, gamepad and on-screen buttons
+ * Every source feeds the same actions. Movement actions ("up", "down", "left",
+ * "right", and "up2" ... for player 2) are held; the others fire once per press
+ * and go to the onAction callback. getMove() combines held movement with the
+ * analog sticks (the gamepad's left stick and the on-screen touch joystick)
+ * into one screen-space vector whose length is the speed (so a stick moves at
+ * partial speed when only partly pushed).
+ *
+ * Two players each have a key set and a gamepad (the first and second
+ * connected); touch and the on-screen buttons are player 1's. With one player,
+ * getMove() takes both key sets and gamepads.
+ *
+ * Key bindings can be changed and are stored (as {action: [keys]}) under one
+ * localStorage key. Keys are KeyboardEvent.key values; letters are stored in
+ * lower case, so bindings don't depend on Shift or Caps Lock.
+ *
+ * The storage and the gamepad source are injectable, so this also runs in Node.
+ */
+
+const INPUT_BINDINGS_KEY = "meteorDodge.keys";
+
+const INPUT_ACTIONS = [
+    { id: "up", label: "Move up", held: true },
+    { id: "down", label: "Move down", held: true },
+    { id: "left", label: "Move left", held: true },
+    { id: "right", label: "Move right", held: true },
+    { id: "up2", label: "Player 2 up", held: true },
+    { id: "down2", label: "Player 2 down", held: true },
+    { id: "left2", label: "Player 2 left", held: true },
+    { id: "right2", label: "Player 2 right", held: true },
+    { id: "restart", label: "Restart" },
+    { id: "pause", label: "Pause" },
+    { id: "toggleAI", label: "Toggle AI" },
+    { id: "levelDown", label: "AI level down" },
+    { id: "levelUp", label: "AI level up" },
+    { id: "slower", label: "Slower" },
+    { id: "faster", label: "Faster" },
+    { id: "versus", label: "Versus" },
+    { id: "overlay", label: "Debug overlay" },
+    { id: "perf", label: "Performance stats" },
+    { id: "camera", label: "Camera mode" },
+    { id: "mute", label: "Mute sound" }
+];
+
+const DEFAULT_KEY_BINDINGS = {
+    up: ["w"],
+    down: ["s"],
+    left: ["a"],
+    right: ["d"],
+    up2: ["ArrowUp"],
+    down2: ["ArrowDown"],
+    left2: ["ArrowLeft"],
+    right2: ["ArrowRight"],
+    restart: ["r"],
+    pause: ["p", "Escape"],
+    toggleAI: ["i"],
+    levelDown: ["[", "{"],
+    levelUp: ["]", "}"],
+    slower: ["-", "_"],
+    faster: ["=", "+"],
+    versus: ["v"],
+    overlay: ["o"],
+    perf: ["f"],
+    camera: ["c"],
+    mute: ["m"]
+};
+
+// Held movement actions per player, in the order up, down, left, right
+const MOVE_ACTIONS = [
+    ["up", "down", "left", "right"],
+    ["up2", "down2", "left2", "right2"]
+];
+
+// Standard gamepad mapping button indices (the D-pad moves that gamepad's player)
+const DEFAULT_GAMEPAD_BINDINGS = {
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+    restart: 8, // Back / Select
+    pause: 9, // Start
+    toggleAI: 3, // Y
+    levelDown: 4, // LB
+    levelUp: 5 // RB
+};
+
+const GAMEPAD_DEADZONE = 0.2;
+
+class InputManager {
+    /**
+     * @param {Object} options.storage - localStorage or a stand-in for the key bindings; null keeps them in memory
+     * @param {Function} options.getGamepads - Returns the connected gamepads (default: navigator.getGamepads)
+     * @param {Function} options.onAction - Called with the action id of every non-movement press
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.key = options.key || INPUT_BINDINGS_KEY;
+        this.getGamepads = options.getGamepads || (() =>
+            typeof navigator !== "undefined" && navigator.getGamepads ? Array.from(navigator.getGamepads()) : []);
+        this.onAction = options.onAction || (() => {});
+
+        this.bindings = this.load();
+        this.gamepadBindings = Object.assign({}, DEFAULT_GAMEPAD_BINDINGS);
+
+        // Held movement, per source, so releasing a key doesn't cancel a held button
+        this.heldKeys = new Set();
+        this.heldButtons = new Set(); // on-screen buttons
+        this.sticks = [{ x: 0, y: 0 }, { x: 0, y: 0 }]; // left stick of each player's gamepad
+        this.touchStick = { x: 0, y: 0 }; // on-screen joystick
+        this.padButtons = [[], []]; // buttons of each player's gamepad pressed last poll
+        this.gamepadIds = []; // ids of the gamepads in use, player 1's first
+    }
+
+    // ------------------------------------------------------------
+    // Bindings
+    // ------------------------------------------------------------
+    load() {
+        const bindings = InputManager.copyBindings(DEFAULT_KEY_BINDINGS);
+        if (!this.storage) return bindings;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key) || "{}");
+            const taken = new Set();
+            for (const action of Object.keys(bindings)) {
+                if (Array.isArray(saved[action])) {
+                    bindings[action] = saved[action].filter(k => typeof k === "string").map(InputManager.normalizeKey);
+                    bindings[action].forEach(k => taken.add(k));
+                }
+            }
+            // Actions added since the bindings were saved don't get defaults already in use
+            for (const action of Object.keys(bindings)) {
+                if (!Array.isArray(saved[action])) bindings[action] = bindings[action].filter(k => !taken.has(k));
+            }
+        } catch (err) {
+            console.warn("Saved key bindings are unreadable; using the defaults.", err);
+        }
+        return bindings;
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.warn("Could not save the key bindings.", err);
+        }
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        for (const action of Object.keys(bindings)) {
+            copy[action] = bindings[action].slice();
+        }
+        return copy;
+    }
+
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * How a key is shown in the bindings panel
+     */
+    static keyLabel(key) {
+        const names = { " ": "Space", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc" };
+        return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    /**
+     * Decision: Which action a key triggers (null if none)
+     */
+    actionForKey(key) {
+        const normalized = InputManager.normalizeKey(key);
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(normalized)) || null;
+    }
+
+    /**
+     * Bind a key to an action, in the given slot (0 = primary). A key only ever
+     * does one thing, so it is taken off any other action first.
+     */
+    bind(action, key, slot = 0) {
+        if (!(action in this.bindings)) throw new Error(`Unknown input action: ${action}`);
+        const normalized = InputManager.normalizeKey(key);
+
+        for (const other of Object.keys(this.bindings)) {
+            this.bindings[other] = this.bindings[other].filter(k => k !== normalized);
+        }
+        const keys = this.bindings[action];
+        keys.splice(Math.min(slot, keys.length), slot < keys.length ? 1 : 0, normalized);
+
+        this.heldKeys.clear();
+        this.save();
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.copyBindings(DEFAULT_KEY_BINDINGS);
+        this.heldKeys.clear();
+        this.save();
+    }
+
+    // ------------------------------------------------------------
+    // Sources
+    // ------------------------------------------------------------
+    /**
+     * @returns {Boolean} - True if the key is bound (the caller may then preventDefault)
+     */
+    keyDown(key, repeat = false) {
+        const action = this.actionForKey(key);
+        if (!action) return false;
+
+        if (InputManager.isHeld(action)) {
+            this.heldKeys.add(action);
+        } else if (!repeat) {
+            this.onAction(action);
+        }
+        return true;
+    }
+
+    keyUp(key) {
+        const action = this.actionForKey(key);
+        if (action) this.heldKeys.delete(action);
+    }
+
+    /**
+     * On-screen buttons: press/release a movement action, or fire any other action
+     */
+    press(action) {
+        if (InputManager.isHeld(action)) {
+            this.heldButtons.add(action);
+        } else {
+            this.onAction(action);
+        }
+    }
+
+    release(action) {
+        this.heldButtons.delete(action);
+    }
+
+    /**
+     * Forget everything held (e.g. when the window loses focus and key-ups go missing)
+     */
+    releaseAll() {
+        this.heldKeys.clear();
+        this.heldButtons.clear();
+        this.touchStick = { x: 0, y: 0 };
+    }
+
+    /**
+     * On-screen joystick: screen-space x right, y up; longer than 1 is clamped
+     */
+    setTouchStick(x, y) {
+        const len = Math.sqrt(x * x + y * y);
+        this.touchStick = len > 1 ? { x: x / len, y: y / len } : { x: x, y: y };
+    }
+
+    static isHeld(action) {
+        return MOVE_ACTIONS.some(actions => actions.includes(action));
+    }
+
+    /**
+     * Read the first two connected gamepads (players 1 and 2): the left
+     * sticks, and button presses since the last poll
+     */
+    poll() {
+        const pads = this.getGamepads().filter(p => p && p.connected).slice(0, 2);
+        this.gamepadIds = pads.map(pad => pad.id);
+
+        for (let seat = 0; seat < 2; seat++) {
+            const pad = pads[seat];
+            if (!pad) {
+                this.sticks[seat] = { x: 0, y: 0 };
+                this.padButtons[seat] = [];
+                continue;
+            }
+
+            // Left stick, with a radial deadzone and the rest rescaled to 0..1
+            const x = pad.axes[0] || 0;
+            const y = -(pad.axes[1] || 0); // stick up is negative
+            const len = Math.sqrt(x * x + y * y);
+            if (len < GAMEPAD_DEADZONE) {
+                this.sticks[seat] = { x: 0, y: 0 };
+            } else {
+                const scaled = Math.min(1, (len - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE));
+                this.sticks[seat] = { x: (x / len) * scaled, y: (y / len) * scaled };
+            }
+
+            // Either gamepad's buttons work the menus
+            const pressed = pad.buttons.map(b => !!(b && (b.pressed || b.value > 0.5)));
+            for (const action of Object.keys(this.gamepadBindings)) {
+                const index = this.gamepadBindings[action];
+                if (InputManager.isHeld(action)) continue;
+                if (pressed[index] && !this.padButtons[seat][index]) this.onAction(action);
+            }
+            this.padButtons[seat] = pressed;
+        }
+    }
+
+    /**
+     * Screen-space movement: x right, y up (away from the camera); length 0..1
+     * @param {Number|null} seat - Player 0 or 1, or null for one player on every key set and gamepad
+     */
+    getMove(seat = null) {
+        const seats = seat === null ? [0, 1] : [seat];
+        // dir: 0 up, 1 down, 2 left, 3 right
+        const held = dir => seats.some(s => {
+            const action = MOVE_ACTIONS[s][dir];
+            return this.heldKeys.has(action) || this.heldButtons.has(action) ||
+                !!this.padButtons[s][this.gamepadBindings[MOVE_ACTIONS[0][dir]]];
+        });
+
+        let x = (held(3) ? 1 : 0) - (held(2) ? 1 : 0);
+        let y = (held(0) ? 1 : 0) - (held(1) ? 1 : 0);
+        const digital = Math.sqrt(x * x + y * y);
+        if (digital > 0) {
+            // Digital input is always full speed
+            return { x: x / digital, y: y / digital };
+        }
+
+        // The touch joystick (player 1's) wins while it's held, then the first stick pushed
+        const sticks = seats.map(s => this.sticks[s]);
+        if (seats.includes(0)) sticks.unshift(this.touchStick);
+        const stick = sticks.find(st => st.x !== 0 || st.y !== 0) || { x: 0, y: 0 };
+        x = stick.x;
+        y = stick.y;
+        const len = Math.sqrt(x * x + y * y);
+        return len > 1 ? { x: x / len, y: y / len } : { x: x, y: y };
+    }
+}
+
+export {
+    InputManager,
+    INPUT_ACTIONS,
+    MOVE_ACTIONS,
+    DEFAULT_KEY_BINDINGS,
+    DEFAULT_GAMEPAD_BINDINGS,
+    INPUT_BINDINGS_KEY
+};
@@ -0,0 +1,139 @@
+/**
+ * Instanced meshes for Meteor Dodge 3D
+ * An InstancedPool draws many copies of one geometry and material in a single
+ * draw call. Each frame the view writes the copies it wants drawn to indices
+ * 0..n-1 and sets count to n; nothing past count is drawn. The capacity grows
+ * (the InstancedMesh is rebuilt) when more copies are needed, so callers never
+ * have to know the meteor cap up front.
+ *
+ * Every instance has its own colour (multiplied with the material's) and,
+ * with options.opacity, its own opacity, which plain three.js materials
+ * don't have; the material's shader is patched for it.
+ *
+ * The copies are culled by the caller (see updateViewFrustum in rendering.js):
+ * three.js can only cull an InstancedMesh as a whole, so frustumCulled is off.
+ *
+ * Browser only.
+ */
+
+import * as THREE from "./vendor/three/build/three.module.js";
+
+const tmpMatrix = new THREE.Matrix4();
+const tmpQuaternion = new THREE.Quaternion();
+const tmpEuler = new THREE.Euler();
+const tmpScale = new THREE.Vector3();
+const tmpColor = new THREE.Color();
+
+class InstancedPool {
+    /**
+     * @param {THREE.Object3D} parent - Scene (or group) the mesh lives in
+     * @param {THREE.BufferGeometry} geometry - Owned by the pool from now on (disposed with it)
+     * @param {THREE.Material} material - Shared by every instance; owned by the pool too
+     * @param {Object} options
+     * @param {Number} options.capacity - Instances to make room for up front
+     * @param {Boolean} options.opacity - Give each instance its own opacity (material must be transparent)
+     */
+    constructor(parent, geometry, material, options = {}) {
+        this.parent = parent;
+        this.geometry = geometry;
+        this.material = material;
+        this.hasOpacity = !!options.opacity;
+        this.capacity = 0;
+        this.mesh = null;
+        this.count = 0;
+
+        if (this.hasOpacity) patchInstanceOpacity(material);
+        this.ensureCapacity(Math.max(1, options.capacity || 64));
+    }
+
+    /**
+     * Action: Make room for at least n instances (rebuilds the mesh, keeping what's written so far)
+     */
+    ensureCapacity(n) {
+        if (n <= this.capacity) return;
+
+        const capacity = Math.max(n, this.capacity * 2);
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Allocated before the first render: the shader only has instance colours if they exist then
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+        if (this.hasOpacity) {
+            const opacity = new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1);
+            opacity.setUsage(THREE.DynamicDrawUsage);
+            if (this.mesh) opacity.array.set(this.geometry.getAttribute("instanceOpacity").array);
+            this.geometry.setAttribute("instanceOpacity", opacity);
+        }
+
+        if (this.mesh) {
+            mesh.instanceMatrix.array.set(this.mesh.instanceMatrix.array);
+            mesh.instanceColor.array.set(this.mesh.instanceColor.array);
+            this.parent.remove(this.mesh);
+            this.mesh.dispose();
+        }
+
+        this.mesh = mesh;
+        this.capacity = capacity;
+        mesh.count = this.count;
+        this.parent.add(mesh);
+    }
+
+    /**
+     * Action: Place instance i (growing the pool if needed)
+     * @param {THREE.Vector3} position
+     * @param {THREE.Euler|null} rotation - null for none
+     * @param {Number} scale - Uniform scale
+     */
+    setTransform(i, position, rotation, scale) {
+        this.ensureCapacity(i + 1);
+        tmpQuaternion.setFromEuler(rotation || tmpEuler.set(0, 0, 0));
+        tmpMatrix.compose(position, tmpQuaternion, tmpScale.set(scale, scale, scale));
+        this.mesh.setMatrixAt(i, tmpMatrix);
+    }
+
+    setColor(i, hex) {
+        this.ensureCapacity(i + 1);
+        this.mesh.setColorAt(i, tmpColor.setHex(hex));
+    }
+
+    setOpacity(i, opacity) {
+        this.ensureCapacity(i + 1);
+        this.geometry.getAttribute("instanceOpacity").array[i] = opacity;
+    }
+
+    /**
+     * Action: Draw instances 0..n-1 from now on and upload what changed this frame
+     */
+    setCount(n) {
+        this.ensureCapacity(n);
+        this.count = n;
+        this.mesh.count = n;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        if (this.hasOpacity) this.geometry.getAttribute("instanceOpacity").needsUpdate = true;
+    }
+
+    dispose() {
+        this.parent.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Action: Multiply a material's opacity by the instanceOpacity attribute
+ * Works for the built-in materials, which all start their fragment shader from
+ * `vec4 diffuseColor = vec4( diffuse, opacity );`.
+ */
+function patchInstanceOpacity(material) {
+    material.onBeforeCompile = function (shader) {
+        shader.vertexShader = "attribute float instanceOpacity;\nvarying float vInstanceOpacity;\n" +
+            shader.vertexShader.replace("#include <begin_vertex>", "#include <begin_vertex>\n\tvInstanceOpacity = instanceOpacity;");
+        shader.fragmentShader = "varying float vInstanceOpacity;\n" +
+            shader.fragmentShader.replace("vec4 diffuseColor = vec4( diffuse, opacity );", "vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );");
+    };
+}
+
+export { InstancedPool };
@@ -0,0 +1,128 @@
+/**
+ * Local leaderboard and run history
+ * Every finished run is stored (newest last) under one localStorage key, so the
+ * high-score table and the history survive reloads. Runs driven by the AI at any
+ * point are ranked separately from human runs.
+ *
+ * Run record:
+ * {
+ *   score, time (seconds survived; missing on older runs), seed, date (ISO string),
+ *   mode: "full" | "prototype", difficulty (name; missing on older runs),
+ *   ai: { enabled, level, strategy },
+ *   features: { holeAvoidance, thinkingTime, enemyAvoidance, pickupSeeking, planner,
+ *               weights },  // AI checkboxes at game over; weights is the profile's name (missing on older runs)
+ *   cause: "meteor" | "enemy" | "blackHole"
+ * }
+ *
+ * The storage is injectable (anything with getItem/setItem), so this also runs
+ * in Node without a browser.
+ */
+
+const LEADERBOARD_KEY = "meteorDodge.runs";
+const LEADERBOARD_MAX_RUNS = 500; // oldest runs are dropped past this
+
+const RUN_CAUSE_LABELS = {
+    meteor: "Hit by a meteor",
+    enemy: "Caught by an enemy",
+    blackHole: "Black hole"
+};
+
+class Leaderboard {
+    /**
+     * @param {Object} storage - localStorage or a stand-in; null keeps runs in memory only
+     */
+    constructor(storage = null, key = LEADERBOARD_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.runs = this.load();
+    }
+
+    load() {
+        if (!this.storage) return [];
+        try {
+            const runs = JSON.parse(this.storage.getItem(this.key) || "[]");
+            return Array.isArray(runs) ? runs : [];
+        } catch (err) {
+            console.warn("Leaderboard data is unreadable; starting a new one.", err);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.runs));
+        } catch (err) {
+            // Full or disabled storage: keep playing with the in-memory table
+            console.warn("Could not save the leaderboard.", err);
+        }
+    }
+
+    /**
+     * Decision: Which table a run competes in
+     * @returns {String} - "ai" or "human"
+     */
+    static categoryOf(run) {
+        return run.ai && run.ai.enabled ? "ai" : "human";
+    }
+
+    /**
+     * Store a finished run
+     * @returns {Object} - {run, rank, total, personalBest, isPersonalBest} within the run's category
+     */
+    add(run) {
+        const category = Leaderboard.categoryOf(run);
+        const previous = this.best(category);
+
+        this.runs.push(run);
+        if (this.runs.length > LEADERBOARD_MAX_RUNS) {
+            this.runs.splice(0, this.runs.length - LEADERBOARD_MAX_RUNS);
+        }
+        this.save();
+
+        const ranked = this.top(category);
+        return {
+            run: run,
+            category: category,
+            rank: ranked.indexOf(run) + 1,
+            total: ranked.length,
+            personalBest: previous ? Math.max(previous.score, run.score) : run.score,
+            isPersonalBest: !previous || run.score > previous.score
+        };
+    }
+
+    /**
+     * @param {String} filter - "all", "human" or "ai"
+     */
+    filter(filter = "all") {
+        if (filter === "all") return this.runs.slice();
+        return this.runs.filter(run => Leaderboard.categoryOf(run) === filter);
+    }
+
+    /**
+     * Runs by score, best first (ties: the earlier run ranks higher)
+     */
+    top(filter = "all", limit = Infinity) {
+        return this.filter(filter)
+            .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Runs by date, newest first
+     */
+    recent(filter = "all", limit = Infinity) {
+        return this.filter(filter).reverse().slice(0, limit);
+    }
+
+    best(filter = "all") {
+        return this.top(filter, 1)[0] || null;
+    }
+
+    clear() {
+        this.runs = [];
+        this.save();
+    }
+}
+
+export { Leaderboard, RUN_CAUSE_LABELS, LEADERBOARD_KEY, LEADERBOARD_MAX_RUNS };
@@ -0,0 +1,56 @@
+/**
+ * Frame timing for the performance HUD
+ * PerfMonitor keeps the real (wall clock, not game clock) duration of recent
+ * frames and reports the frame rate, the average frame time and the worst
+ * frame over the last `window` seconds, so one slow frame shows up even when
+ * the average looks fine.
+ *
+ * No DOM, so it also runs in Node.
+ */
+
+const PERF_WINDOW = 1; // seconds of frames the stats cover
+
+class PerfMonitor {
+    /**
+     * @param {Object} options
+     * @param {Number} options.window - Seconds of recent frames to report on
+     */
+    constructor(options = {}) {
+        this.window = options.window || PERF_WINDOW;
+        this.reset();
+    }
+
+    reset() {
+        this.frames = []; // frame durations (seconds), oldest first
+        this.total = 0;
+    }
+
+    /**
+     * Action: Record a frame that took `seconds` of real time
+     */
+    frame(seconds) {
+        if (!(seconds > 0)) return;
+
+        this.frames.push(seconds);
+        this.total += seconds;
+        while (this.frames.length > 1 && this.total - this.frames[0] >= this.window) {
+            this.total -= this.frames.shift();
+        }
+    }
+
+    /**
+     * Decision: {fps, frameMs, worstMs} over the window (all 0 before the first frame)
+     */
+    getStats() {
+        if (this.frames.length === 0) return { fps: 0, frameMs: 0, worstMs: 0 };
+
+        const average = this.total / this.frames.length;
+        return {
+            fps: 1 / average,
+            frameMs: average * 1000,
+            worstMs: Math.max(...this.frames) * 1000
+        };
+    }
+}
+
+export { PerfMonitor, PERF_WINDOW };
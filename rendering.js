@@ -0,0 +1,1643 @@
+/**
+ * Rendering for Meteor Dodge 3D
+ * The three.js view over the running WorldSimulation (game.js): the camera
+ * that follows the player (isometric, top-down, chase or free orbit), the rocket, pooled meteor, enemy, hole and pickup
+ * meshes (index-aligned with the world's lists each frame), debris explosions,
+ * the black hole fall, and the Full mode models and textures, which are
+ * preloaded behind the loading screen. The view only reads the world.
+ */
+
+import * as THREE from "./vendor/three/build/three.module.js";
+import { MTLLoader } from "./vendor/three/examples/jsm/loaders/MTLLoader.js";
+import { OBJLoader } from "./vendor/three/examples/jsm/loaders/OBJLoader.js";
+import GameRules from "./rules.js";
+import { AIDebugOverlay } from "./ai-overlay.js";
+import { InstancedPool } from "./instanced.js";
+import { world, isPrototypeMode, visualRandom, gameClock, audio } from "./game.js";
+import { canvasContainer, aiDebugPanel, statusMessage, updateLoadingScreen, showGameOverMessage } from "./hud.js";
+
+// ------------------------------------------------------------
+// View state
+// ------------------------------------------------------------
+let scene, camera, renderer;
+
+let player = null;
+let rocketExhaust = null; // Particle system for rocket exhaust
+let partner = null; // player 2's rocket, in two-player runs
+let partnerExhaust = null;
+const PARTNER_COLOR = 0xff9800; // player 2's rocket is tinted this
+
+// Meteors and their shadows are instanced (instanced.js): one draw call per mesh
+// of the meteor model and one for all the shadows, however many meteors there are
+let meteorPools = []; // InstancedPool per mesh of the meteor model (just one for spheres)
+let meteorShadowPool = null;
+let meteorSpins = []; // {rotation, baseScale} per meteor (index-aligned with world.meteors)
+let asteroidTemplate = null; // loaded OBJ for full-mode meteors
+
+// Enemies
+let alienTemplate = null; // loaded OBJ for enemies
+
+// Explosion debris, instanced like the meteors: one pool per fragment shape
+let debrisPools = []; // created with the first Full mode explosion (textured like the asteroids)
+let activeDebris = []; // Currently active debris pieces with animation data
+const debrisCount = 20; // Number of debris pieces per explosion
+const debrisPoolSize = 200; // Pieces room is made for up front (~10 simultaneous explosions; grows)
+const debrisLifetime = 2.0; // How long debris stays visible (seconds)
+const DEBRIS_COLOR = 0xff6347; // tint of debris that isn't from a meteor (a shield breaking)
+
+// Prototype meteor colours by type (GameRules.METEOR_TYPES)
+const METEOR_COLORS = {
+    normal: 0xff6347,
+    large: 0xb71c1c,
+    small: 0xffa726,
+    angled: 0xff5722,
+    aimed: 0xe040fb
+};
+
+// Enemy meshes (aliens, index-aligned with world.enemies)
+let enemies = [];
+// Archetype colours: prototype boxes, and the ring under each full-mode alien
+const ENEMY_COLORS = {
+    chaser: 0xffcc66,
+    interceptor: 0xff7043,
+    flanker: 0x66bb6a,
+    patroller: 0x90a4ae
+};
+
+// Infinite floor
+let floorGroup = null;
+let floorTiles = [];
+let skySphere = null;
+
+// Holes are dynamic (for visible tiles only) and come from world.holes
+let holeMeshes = []; // visuals for holes (pooled per tile)
+let holeHaloMaterial = null; // glow out to the reach of a hole's pull, shared by every hole
+
+// Pickups come from world.pickups (loaded tiles, not yet collected)
+const PICKUP_STYLES = {
+    shield: { color: 0x00e5ff, label: "Shield" },
+    speed: { color: 0xffeb3b, label: "Speed" },
+    slow: { color: 0xb388ff, label: "Time slow" },
+    multiplier: { color: 0xffc107, label: "Score x" }
+};
+let pickupGeometry = null;
+let pickupMaterials = {};
+let pickupMeshes = []; // pooled, index-aligned with world.pickups each frame
+let shieldBubbles = []; // per player, shown while their shield is up
+let ghostMesh = null; // see-through rocket for the ghost (game.js)
+
+// AI debug overlay (path planner only)
+let aiOverlay = null;
+
+// Rendering at the full devicePixelRatio (3 on many phones) costs far more
+// fill rate than it's worth here; 2 keeps edges sharp and the frame rate up
+const MAX_PIXEL_RATIO = 2;
+
+// Black hole animation state
+let isFalling = false;
+let blackHoleAnimationStartTime = 0;
+let initialPlayerScale = new THREE.Vector3(1, 1, 1);
+let blackHoleTargetPos = new THREE.Vector3(); // Center of the black hole
+
+// Loaders
+let loadingManager; // every Full mode asset goes through it (loading screen progress)
+let textureLoader;
+let mtlLoader;
+let objLoader;
+let rocketShipTemplate = null; // loaded OBJ for player
+
+// Full mode only starts once its models and textures are in (see preloadAssets)
+const PRELOAD_MODELS = ["cartoon_rocket_ship", "Asteroid_2b", "cute_alien_character"];
+const PRELOAD_TEXTURES = {
+    rocketBase: "Rocketship_baseColor.png",
+    asteroidColor: "Asteroid2b_Color_1K.png",
+    asteroidNormal: "Asteroid2b_NormalGL_1K.png"
+};
+const loadingCounts = { loaded: 0, total: 0 }; // files, from the loading manager
+const downloadProgress = new Map(); // file -> fraction downloaded, for the big OBJ files
+
+// Simple texture cache
+const textures = {
+    rocketBase: null,
+    asteroidColor: null,
+    asteroidNormal: null,
+    galaxy: null
+};
+
+// Camera-aligned movement basis
+const camForward = new THREE.Vector3();
+const camRight = new THREE.Vector3();
+const tmpDir = new THREE.Vector3();
+const worldUp = new THREE.Vector3(0, 1, 0);
+
+// View frustum, for skipping meteors, shadows and debris that are off screen
+const viewFrustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+const viewSphere = new THREE.Sphere();
+const tmpPosition = new THREE.Vector3();
+
+// What the last frame drew, for the performance HUD (hud.js)
+const renderStats = { meteors: 0, meteorsTotal: 0, shadows: 0, debris: 0 };
+
+// ------------------------------------------------------------
+// View config (gameplay config lives in GameRules.WORLD_CONFIG, rules.js)
+// ------------------------------------------------------------
+
+// Black hole animation
+const blackHoleAnimationDuration = 2.0; // seconds to complete animation
+const blackHoleSpinSpeed = 3.0; // rotations per second
+
+// Camera follow
+const CAMERA_MODES = [
+    { id: "iso", label: "Isometric" },
+    { id: "top", label: "Top-down" },
+    { id: "chase", label: "Chase" }, // behind the rocket, turning with it (one player; two get isometric)
+    { id: "orbit", label: "Free orbit" } // drag to turn around the rocket, wheel to zoom
+];
+let cameraMode = "iso";
+const cameraOffset = new THREE.Vector3(26, 24, 26); // isometric
+const TOP_DOWN_HEIGHT = 44;
+const CHASE_DISTANCE = 10; // behind the rocket...
+const CHASE_HEIGHT = 4.5; // ...this high up...
+const CHASE_LOOK_AHEAD = 6; // ...looking this far ahead of it
+const CHASE_TURN_RATE = 2.5; // fraction of the way (per second) the chase cam turns toward the rocket's heading
+const CHASE_MIN_SPEED = 0.5; // slower than this, the heading stays where it was
+let chaseHeading = Math.PI; // radians; the direction (sin, cos) on the ground the chase cam faces
+const cameraOrbit = { yaw: 0, pitch: 0, distance: 0 }; // free orbit, around the focus
+const ORBIT_RADIANS_PER_PIXEL = 0.006;
+const ORBIT_MIN_PITCH = 0.1;
+const ORBIT_MAX_PITCH = 1.5;
+const ORBIT_MIN_DISTANCE = 8;
+const ORBIT_MAX_DISTANCE = 120;
+const ORBIT_ZOOM_STEP = 1.1; // distance factor per wheel notch
+const cameraOffsetNow = new THREE.Vector3(); // this frame's offset from the focus
+let cameraZoom = 1; // two players: how far the camera last pulled back to frame both
+const cameraTargetPos = new THREE.Vector3();
+const cameraLookAtPos = new THREE.Vector3();
+const cameraFocus = new THREE.Vector3(); // two players: the point between them the camera eases toward
+// Two players: the camera pulls back once they are more than CAMERA_FRAME_SPREAD
+// apart, by 1x its offset per CAMERA_SPREAD_PER_ZOOM further
+const CAMERA_FRAME_SPREAD = 10;
+const CAMERA_SPREAD_PER_ZOOM = 35;
+
+// ------------------------------------------------------------
+// Initialization
+// ------------------------------------------------------------
+/**
+ * Action: Create the renderer, scene, camera, lights, loaders and the meshes
+ * that live for the whole session (sky, hole pool, debris pool, AI overlay)
+ */
+function initScene() {
+    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(getPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setClearColor(0x4a148c); // Purple background
+    renderer.info.autoReset = false; // counted per frame (versus renders twice), see animate in game.js
+    canvasContainer.appendChild(renderer.domElement);
+
+    scene = new THREE.Scene();
+
+    camera = new THREE.PerspectiveCamera(
+        60,
+        window.innerWidth / window.innerHeight,
+        0.1,
+        240
+    );
+    camera.position.copy(cameraOffset);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    computeCameraBasis();
+
+    scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+    const dirLight = new THREE.DirectionalLight(0xffffff, 1.0);
+    dirLight.position.set(16, 26, 10);
+    scene.add(dirLight);
+
+    loadingManager = new THREE.LoadingManager();
+    loadingManager.onProgress = function (url, loaded, total) {
+        loadingCounts.loaded = loaded;
+        loadingCounts.total = total;
+        updateLoadingScreen();
+    };
+    textureLoader = new THREE.TextureLoader(loadingManager);
+
+    // OBJ / MTL loaders for the asteroid, rocket and alien models in full mode
+    mtlLoader = new MTLLoader(loadingManager);
+    mtlLoader.setPath("assets/");
+    objLoader = new OBJLoader(loadingManager);
+    objLoader.setPath("assets/");
+
+    createSky();
+    createInfiniteFloor(); // Creates black holes (no floor)
+    aiOverlay = new AIDebugOverlay(scene, aiDebugPanel);
+
+    window.addEventListener("resize", onWindowResize);
+}
+
+/**
+ * Action: Load the textures; resolves once all have loaded or failed
+ */
+function initTextures() {
+    return Promise.all(Object.keys(PRELOAD_TEXTURES).map(key => loadTexture(key, PRELOAD_TEXTURES[key])));
+}
+
+function loadTexture(key, file) {
+    return new Promise(resolve => {
+        textures[key] = textureLoader.load(
+            "assets/" + file,
+            resolve,
+            undefined,
+            function () {
+                console.warn("Failed to load " + file);
+                resolve();
+            }
+        );
+    });
+}
+
+// ------------------------------------------------------------
+// Asset preloading (loading screen)
+// ------------------------------------------------------------
+/**
+ * Action: Load every Full mode model and texture up front, so Full mode
+ * never starts on stand-ins and swaps models mid-run. Resolves once
+ * everything has loaded or failed; whatever failed is drawn with
+ * primitives (createFallbackFullPlayer, createFallbackRockMeteors, boxes).
+ */
+function preloadAssets() {
+    updateLoadingScreen();
+
+    // One model at a time: the OBJ loader holds the materials of the MTL loaded last
+    let models = Promise.resolve();
+    for (const name of PRELOAD_MODELS) {
+        models = models
+            .then(() => loadModel(name))
+            .then(obj => onModelLoaded(name, obj), err => {
+                console.warn(`Could not load ${name}, using primitives instead.`, err);
+            });
+    }
+
+    return Promise.all([initTextures(), models]).then(() => new Promise(resolve => {
+        // Textures named in the MTL files may still be on their way
+        if (loadingCounts.loaded >= loadingCounts.total) {
+            resolve();
+        } else {
+            loadingManager.onLoad = resolve;
+        }
+    }));
+}
+
+/**
+ * Action: Load assets/<name>.mtl and then assets/<name>.obj with its materials
+ */
+function loadModel(name) {
+    return new Promise((resolve, reject) => {
+        if (!mtlLoader || !objLoader) {
+            reject(new Error("Model loaders not available"));
+            return;
+        }
+
+        mtlLoader.load(
+            name + ".mtl",
+            function (materials) {
+                materials.preload();
+                objLoader.setMaterials(materials);
+                objLoader.load(
+                    name + ".obj",
+                    resolve,
+                    function (event) {
+                        if (!event.lengthComputable) return;
+                        downloadProgress.set(name, event.loaded / event.total);
+                        updateLoadingScreen();
+                    },
+                    reject
+                );
+            },
+            undefined,
+            reject
+        );
+    });
+}
+
+function onModelLoaded(name, obj) {
+    downloadProgress.delete(name);
+
+    if (name === "cartoon_rocket_ship") {
+        rocketShipTemplate = obj;
+    } else if (name === "Asteroid_2b") {
+        asteroidTemplate = obj;
+        applyAsteroidMaterials(asteroidTemplate);
+    } else if (name === "cute_alien_character") {
+        alienTemplate = obj;
+        alienTemplate.traverse(child => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+    }
+}
+
+/**
+ * Action: Take the screen's right and up on the ground from the camera, for
+ * turning screen-space input into world moves. Right is the camera's own x
+ * axis, which stays level in every mode; up is square to it, so looking
+ * straight down works as well as looking ahead.
+ */
+function computeCameraBasis() {
+    camRight.setFromMatrixColumn(camera.matrixWorld, 0).setY(0).normalize();
+    camForward.crossVectors(worldUp, camRight).normalize();
+}
+
+function createGalaxyTexture() {
+    // Create a canvas for the galaxy texture
+    const canvas = document.createElement('canvas');
+    canvas.width = 2048;
+    canvas.height = 1024;
+    const ctx = canvas.getContext('2d');
+
+    // Base dark purple
+    ctx.fillStyle = '#1a0a2e';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Create galaxy center (bright core)
+    const centerX = canvas.width * 0.5;
+    const centerY = canvas.height * 0.5;
+
+    // Radial gradient for galaxy core
+    const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, canvas.width * 0.4);
+    gradient.addColorStop(0, '#8e24aa'); // Bright purple center
+    gradient.addColorStop(0.3, '#6a1b9a'); // Medium purple
+    gradient.addColorStop(0.6, '#4a148c'); // Dark purple
+    gradient.addColorStop(1, '#1a0a2e'); // Very dark purple edge
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Add some spiral arms (simple diagonal gradients)
+    for (let i = 0; i < 4; i++) {
+        const angle = (i / 4) * Math.PI * 2;
+        const armGradient = ctx.createLinearGradient(
+            centerX, centerY,
+            centerX + Math.cos(angle) * canvas.width * 0.6,
+            centerY + Math.sin(angle) * canvas.height * 0.6
+        );
+        armGradient.addColorStop(0, 'rgba(142, 36, 170, 0.3)');
+        armGradient.addColorStop(0.5, 'rgba(106, 27, 154, 0.2)');
+        armGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        ctx.fillStyle = armGradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // Add stars (random white dots)
+    ctx.fillStyle = '#ffffff';
+    for (let i = 0; i < 2000; i++) {
+        const x = Math.random() * canvas.width;
+        const y = Math.random() * canvas.height;
+        const size = Math.random() * 2;
+        const brightness = Math.random();
+
+        ctx.globalAlpha = brightness * 0.8;
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.globalAlpha = 1.0;
+
+    // Make texture seamless by copying edge pixels
+    // Get image data to manipulate pixels
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const pixels = imageData.data;
+
+    // Copy rightmost column to leftmost column to ensure seamless wrap
+    for (let y = 0; y < canvas.height; y++) {
+        const leftIdx = (y * canvas.width + 0) * 4;
+        const rightIdx = (y * canvas.width + (canvas.width - 1)) * 4;
+
+        // Copy RGB from right edge to left edge
+        pixels[leftIdx] = pixels[rightIdx];
+        pixels[leftIdx + 1] = pixels[rightIdx + 1];
+        pixels[leftIdx + 2] = pixels[rightIdx + 2];
+        pixels[leftIdx + 3] = pixels[rightIdx + 3];
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    // Create texture from canvas
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    return texture;
+}
+
+function createSky() {
+    // Increase segments for smoother sphere (reduces visible seams)
+    const skyGeo = new THREE.SphereGeometry(120, 64, 64);
+    const galaxyTexture = createGalaxyTexture();
+    const skyMat = new THREE.MeshBasicMaterial({
+        map: galaxyTexture,
+        side: THREE.BackSide
+    });
+
+    skySphere = new THREE.Mesh(skyGeo, skyMat);
+    scene.add(skySphere);
+}
+
+// ------------------------------------------------------------
+// Black holes (no floor - holes float in space)
+// ------------------------------------------------------------
+function createInfiniteFloor() {
+    // No floor tiles or grid - just initialize hole meshes
+    floorGroup = null;
+    floorTiles = [];
+    holeMeshes = [];
+
+    // Pre-allocate hole meshes for black holes (more than before since we're not limited by tiles)
+    // Create enough for visible holes in a larger area
+    // (two players load more tiles; updateInfiniteFloorAndHoles adds meshes as needed)
+    const maxHoles = 20; // Enough for multiple tiles worth of holes
+    for (let i = 0; i < maxHoles; i++) {
+        createHoleMesh();
+    }
+}
+
+function createHoleMesh() {
+    // Create black hole as a dark circle with depth effect
+    const hg = new THREE.CircleGeometry(1, 32);
+    const hm = new THREE.MeshBasicMaterial({
+        color: 0x000000, // Pure black
+        transparent: true,
+        opacity: 0.95
+    });
+    const hmesh = new THREE.Mesh(hg, hm);
+    hmesh.rotation.x = -Math.PI / 2;
+    hmesh.position.y = 0.01;
+    hmesh.visible = false;
+
+    // The pull's reach, just under the hole (scaled to holeGravityRange each frame)
+    if (!holeHaloMaterial) holeHaloMaterial = createHoleHaloMaterial();
+    const halo = new THREE.Mesh(hg, holeHaloMaterial);
+    halo.position.z = -0.005;
+    halo.renderOrder = -1;
+    hmesh.add(halo);
+    hmesh.userData.halo = halo;
+
+    scene.add(hmesh);
+    holeMeshes.push(hmesh);
+    return hmesh;
+}
+
+/**
+ * A violet glow fading out from the centre, so it's faintest where the pull ends
+ */
+function createHoleHaloMaterial() {
+    const canvas = document.createElement("canvas");
+    canvas.width = 128;
+    canvas.height = 128;
+    const ctx = canvas.getContext("2d");
+    const gradient = ctx.createRadialGradient(64, 64, 0, 64, 64, 64);
+    gradient.addColorStop(0, "rgba(150, 90, 255, 0.45)");
+    gradient.addColorStop(1, "rgba(150, 90, 255, 0)");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 128, 128);
+
+    return new THREE.MeshBasicMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+function updateInfiniteFloorAndHoles() {
+    if (!world) return;
+
+    // Place visual black holes over the world's collision holes
+    let holeMeshIndex = 0;
+    const range = world.config.holeGravityRange;
+    const pulls = world.config.holeGravity > 0 && range > 1;
+
+    for (const h of world.holes) {
+        const mesh = holeMeshes[holeMeshIndex++] || createHoleMesh();
+        if (mesh) {
+            mesh.visible = true;
+            mesh.position.x = h.x;
+            mesh.position.z = h.z;
+            mesh.position.y = 0.01;
+            // Scale to match collision radius: CircleGeometry(1) scaled by halfSize gives radius = halfSize
+            mesh.scale.set(h.halfSize, h.halfSize, 1);
+            mesh.userData.halo.visible = pulls;
+            mesh.userData.halo.scale.set(range, range, 1);
+        }
+    }
+
+    // Hide unused hole meshes
+    for (let i = holeMeshIndex; i < holeMeshes.length; i++) {
+        holeMeshes[i].visible = false;
+    }
+}
+
+// ------------------------------------------------------------
+// Camera follow
+// ------------------------------------------------------------
+function updateCameraFollow(delta) {
+    if (!player) return;
+
+    const alpha = 1 - Math.pow(0.001, delta);
+    const zoom = partner ? updateCameraFocus(delta > 0 ? alpha : 1) : 1;
+    const focus = partner ? cameraFocus : player.position;
+    const mode = cameraMode === "chase" && partner ? "iso" : cameraMode;
+    cameraZoom = zoom;
+
+    cameraLookAtPos.set(focus.x, 0, focus.z);
+    camera.up.copy(worldUp);
+    if (mode === "top") {
+        // Straight down, with the screen's top toward -z
+        cameraOffsetNow.set(0, TOP_DOWN_HEIGHT * zoom, 0);
+        camera.up.set(0, 0, -1);
+    } else if (mode === "chase") {
+        updateChaseHeading(delta);
+        const hx = Math.sin(chaseHeading);
+        const hz = Math.cos(chaseHeading);
+        cameraOffsetNow.set(-hx * CHASE_DISTANCE, CHASE_HEIGHT, -hz * CHASE_DISTANCE);
+        cameraLookAtPos.set(focus.x + hx * CHASE_LOOK_AHEAD, 1, focus.z + hz * CHASE_LOOK_AHEAD);
+    } else if (mode === "orbit") {
+        const d = cameraOrbit.distance * zoom;
+        const level = Math.cos(cameraOrbit.pitch) * d;
+        cameraOffsetNow.set(
+            Math.sin(cameraOrbit.yaw) * level,
+            Math.sin(cameraOrbit.pitch) * d,
+            Math.cos(cameraOrbit.yaw) * level
+        );
+    } else {
+        cameraOffsetNow.copy(cameraOffset).multiplyScalar(zoom);
+    }
+
+    cameraTargetPos.set(focus.x + cameraOffsetNow.x, cameraOffsetNow.y, focus.z + cameraOffsetNow.z);
+
+    // The orbit follows the drag (and the rocket) exactly; the others ease after the rocket
+    if (delta > 0 && mode !== "orbit") {
+        camera.position.lerp(cameraTargetPos, alpha);
+    } else {
+        camera.position.copy(cameraTargetPos);
+    }
+    camera.lookAt(cameraLookAtPos);
+
+    updateViewFrustum();
+    computeCameraBasis();
+}
+
+/**
+ * Action: Turn the chase cam toward the way the rocket is going (it stays put
+ * while the rocket hovers); snapping (delta 0) keeps facing the way the view does
+ */
+function updateChaseHeading(delta) {
+    if (delta <= 0) {
+        chaseHeading = Math.atan2(camForward.x, camForward.z);
+        return;
+    }
+    const p = world.player;
+    if (!p.alive || Math.hypot(p.vx, p.vz) < CHASE_MIN_SPEED) return;
+
+    let turn = Math.atan2(p.vx, p.vz) - chaseHeading;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // the short way round
+    chaseHeading = Math.atan2(Math.sin(chaseHeading), Math.cos(chaseHeading)) + turn * Math.min(1, CHASE_TURN_RATE * delta);
+}
+
+/**
+ * Action: Switch camera mode (see CAMERA_MODES); the free orbit starts from
+ * wherever the camera is now
+ */
+function setCameraMode(mode) {
+    if (!CAMERA_MODES.some(m => m.id === mode)) return;
+
+    if (mode === "orbit" && player) {
+        const focus = partner ? cameraFocus : player.position;
+        tmpDir.set(camera.position.x - focus.x, camera.position.y, camera.position.z - focus.z);
+        const distance = tmpDir.length();
+        cameraOrbit.distance = THREE.MathUtils.clamp(distance / cameraZoom, ORBIT_MIN_DISTANCE, ORBIT_MAX_DISTANCE);
+        cameraOrbit.pitch = THREE.MathUtils.clamp(Math.asin(tmpDir.y / distance), ORBIT_MIN_PITCH, ORBIT_MAX_PITCH);
+        cameraOrbit.yaw = Math.atan2(tmpDir.x, tmpDir.z);
+    }
+    cameraMode = mode;
+    updateCameraFollow(0);
+}
+
+/**
+ * Action: Free orbit: turn the camera around the focus by a pointer drag (px)
+ */
+function orbitCamera(dx, dy) {
+    cameraOrbit.yaw -= dx * ORBIT_RADIANS_PER_PIXEL;
+    cameraOrbit.pitch = THREE.MathUtils.clamp(cameraOrbit.pitch + dy * ORBIT_RADIANS_PER_PIXEL, ORBIT_MIN_PITCH, ORBIT_MAX_PITCH);
+}
+
+/**
+ * Action: Free orbit: move in (steps < 0) or out by wheel notches
+ */
+function zoomCamera(steps) {
+    cameraOrbit.distance = THREE.MathUtils.clamp(
+        cameraOrbit.distance * Math.pow(ORBIT_ZOOM_STEP, steps), ORBIT_MIN_DISTANCE, ORBIT_MAX_DISTANCE);
+}
+
+/**
+ * Action: Ease the camera's focus toward the middle of the players still in
+ * the run (both once neither is); returns how far to pull back to frame them
+ */
+function updateCameraFocus(alpha) {
+    const active = world.players.filter(p => p.alive);
+    const framed = active.length > 0 ? active : world.players;
+
+    let x = 0;
+    let z = 0;
+    for (const p of framed) {
+        x += p.x;
+        z += p.z;
+    }
+    tmpPosition.set(x / framed.length, 0, z / framed.length);
+    cameraFocus.lerp(tmpPosition, alpha);
+
+    const [a, b] = framed;
+    const spread = b ? Math.hypot(a.x - b.x, a.z - b.z) : 0;
+    return 1 + Math.max(0, spread - CAMERA_FRAME_SPREAD) / CAMERA_SPREAD_PER_ZOOM;
+}
+
+/**
+ * Action: Take the view frustum from the camera where it is now
+ */
+function updateViewFrustum() {
+    camera.updateMatrixWorld();
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    viewFrustum.setFromProjectionMatrix(viewProjection);
+}
+
+/**
+ * Decision: Could a sphere be on screen? (as of the last updateViewFrustum)
+ */
+function isInView(x, y, z, radius) {
+    viewSphere.center.set(x, y, z);
+    viewSphere.radius = radius;
+    return viewFrustum.intersectsSphere(viewSphere);
+}
+
+function updateSkyFollow() {
+    if (!player || !skySphere) return;
+
+    // Make the sky sphere follow what the camera looks at (the player, or between two)
+    // Keep Y at 0 since it's a sphere centered around the player
+    skySphere.position.x = cameraLookAtPos.x;
+    skySphere.position.z = cameraLookAtPos.z;
+    skySphere.position.y = 0;
+}
+
+// ------------------------------------------------------------
+// Dynamic objects
+// ------------------------------------------------------------
+function clearDynamicObjects() {
+    if (player) {
+        scene.remove(player);
+        player = null;
+    }
+
+    if (rocketExhaust) {
+        scene.remove(rocketExhaust);
+        rocketExhaust = null;
+    }
+    if (partner) {
+        scene.remove(partner);
+        partner = null;
+    }
+    if (partnerExhaust) {
+        scene.remove(partnerExhaust);
+        partnerExhaust = null;
+    }
+
+    // Meteor pools are per mode (spheres or the asteroid model)
+    meteorPools.forEach(pool => pool.dispose());
+    meteorPools = [];
+    if (meteorShadowPool) {
+        meteorShadowPool.dispose();
+        meteorShadowPool = null;
+    }
+    meteorSpins = [];
+
+    // Reset debris (the pools stay)
+    activeDebris = [];
+    debrisPools.forEach(pool => pool.setCount(0));
+
+    enemies.forEach(e => scene.remove(e));
+    enemies = [];
+
+    pickupMeshes.forEach(p => scene.remove(p));
+    pickupMeshes = [];
+    shieldBubbles.forEach(b => scene.remove(b));
+    shieldBubbles = [];
+    if (ghostMesh) {
+        scene.remove(ghostMesh);
+        ghostMesh = null;
+    }
+}
+
+// ------------------------------------------------------------
+// Player
+// ------------------------------------------------------------
+function createPrototypePlayer() {
+    const playerGeo = new THREE.BoxGeometry(1.5, 1, 2);
+    const playerMat = new THREE.MeshStandardMaterial({ color: 0x4caf50 });
+    player = new THREE.Mesh(playerGeo, playerMat);
+    player.position.set(0, 1, 0);
+    player.rotation.y = -Math.PI / 4; // 45 degrees clockwise from top-down
+    scene.add(player);
+}
+
+function createFullPlayer() {
+    if (rocketShipTemplate) {
+        player = rocketShipTemplate.clone();
+        applyRocketMaterials(player);
+        player.scale.set(1.5, 1.5, 1.5);
+        player.position.set(0, 1, 0);
+    } else {
+        // The rocket model didn't load: basic cylinder+cone
+        player = createFallbackFullPlayer();
+    }
+    player.rotation.y = -Math.PI / 4; // 45 degrees clockwise from top-down
+    scene.add(player);
+
+    // Create rocket exhaust particles
+    if (!rocketExhaust) {
+        rocketExhaust = createRocketExhaust();
+        scene.add(rocketExhaust);
+    }
+}
+
+/**
+ * Action: Player 2's rocket, next to player 1's: the same model tinted orange
+ */
+function createPartnerPlayer(prototype) {
+    if (prototype) {
+        partner = new THREE.Mesh(new THREE.BoxGeometry(1.5, 1, 2), new THREE.MeshStandardMaterial({ color: PARTNER_COLOR }));
+    } else {
+        partner = rocketShipTemplate ? rocketShipTemplate.clone() : createFallbackFullPlayer();
+        if (rocketShipTemplate) {
+            applyRocketMaterials(partner);
+            partner.scale.set(1.5, 1.5, 1.5);
+        }
+        partner.traverse(obj => {
+            if (!obj.isMesh) return;
+            obj.material = obj.material.clone();
+            obj.material.color.setHex(PARTNER_COLOR);
+        });
+        partnerExhaust = createRocketExhaust();
+        scene.add(partnerExhaust);
+    }
+    partner.position.set(world.players[1].x, 1, world.players[1].z);
+    partner.rotation.y = -Math.PI / 4;
+    scene.add(partner);
+}
+
+function createFallbackFullPlayer() {
+    const bodyGeo = new THREE.CylinderGeometry(0.5, 0.8, 2.2, 12);
+    const bodyMat = new THREE.MeshStandardMaterial({ color: 0x00bcd4 });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+
+    const noseGeo = new THREE.ConeGeometry(0.5, 1.0, 12);
+    const noseMat = new THREE.MeshStandardMaterial({ color: 0xffeb3b });
+    const nose = new THREE.Mesh(noseGeo, noseMat);
+    nose.position.y = 1.5;
+
+    const group = new THREE.Group();
+    group.add(body);
+    group.add(nose);
+    group.position.set(0, 1, 0);
+    return group;
+}
+
+function applyRocketMaterials(root) {
+    root.traverse(obj => {
+        if (!obj.isMesh) return;
+
+        obj.castShadow = true;
+        obj.receiveShadow = true;
+
+        if (textures.rocketBase) {
+            obj.material = new THREE.MeshStandardMaterial({
+                map: textures.rocketBase,
+                metalness: 0.3,
+                roughness: 0.6
+            });
+        } else if (obj.material) {
+            obj.material = obj.material.clone();
+        }
+    });
+}
+
+// ------------------------------------------------------------
+// Rocket Exhaust Particles
+// ------------------------------------------------------------
+function createRocketExhaust() {
+    const particleCount = 150;
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(particleCount * 3);
+    const colors = new Float32Array(particleCount * 3);
+    const lifetimes = new Float32Array(particleCount);
+
+    // Initialize all particles as inactive
+    for (let i = 0; i < particleCount; i++) {
+        positions[i * 3] = 0;
+        positions[i * 3 + 1] = -1000; // Hide off-screen
+        positions[i * 3 + 2] = 0;
+        colors[i * 3] = 1; // R
+        colors[i * 3 + 1] = 0.5; // G
+        colors[i * 3 + 2] = 0; // B
+        lifetimes[i] = 0;
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.PointsMaterial({
+        size: 0.4,
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.9,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+
+    const particles = new THREE.Points(geometry, material);
+    particles.userData = {
+        positions: positions,
+        colors: colors,
+        lifetimes: lifetimes,
+        velocities: new Array(particleCount).fill(null).map(() => new THREE.Vector3()),
+        particleCount: particleCount
+    };
+
+    return particles;
+}
+
+function updateRocketExhaust(delta) {
+    if (rocketExhaust && player) {
+        updateExhaust(rocketExhaust, player, world.player, isFalling || (partner !== null && !world.player.alive), delta);
+    }
+    if (partnerExhaust && partner) {
+        updateExhaust(partnerExhaust, partner, world.players[1], !world.players[1].alive, delta);
+    }
+}
+
+/**
+ * Action: Move one rocket's exhaust particles along, spawning new ones behind
+ * it unless it's out of the run (then the rest fade out quickly)
+ * @param {Object} p - The rocket's player in the world (for its velocity)
+ */
+function updateExhaust(exhaust, rocket, p, fading, delta) {
+    const userData = exhaust.userData;
+    const positions = userData.positions;
+    const colors = userData.colors;
+    const lifetimes = userData.lifetimes;
+    const velocities = userData.velocities;
+
+    // If player is falling into black hole, quickly fade out all particles and stop spawning
+    if (fading) {
+        // Quickly expire all existing particles
+        for (let i = 0; i < userData.particleCount; i++) {
+            if (lifetimes[i] > 0) {
+                // Accelerate particle expiration
+                lifetimes[i] -= delta * 5; // 5x faster fade
+                if (lifetimes[i] <= 0) {
+                    lifetimes[i] = 0;
+                    // Hide particle
+                    positions[i * 3 + 1] = -1000;
+                } else {
+                    // Fade out existing particles quickly
+                    const lifeRatio = lifetimes[i] / 0.5;
+                    colors[i * 3] = 1.0 * lifeRatio;
+                    colors[i * 3 + 1] = (0.3 + lifeRatio * 0.4) * lifeRatio;
+                    colors[i * 3 + 2] = 0;
+                }
+            } else {
+                // Hide any inactive particles
+                positions[i * 3 + 1] = -1000;
+            }
+        }
+
+        // Update geometry attributes
+        exhaust.geometry.attributes.position.needsUpdate = true;
+        exhaust.geometry.attributes.color.needsUpdate = true;
+        return; // Don't spawn new particles or update normally
+    }
+
+    // Calculate exhaust position at the center of the rocket (in world space)
+    // Get rocket's forward direction (where the tip points)
+    const forward = new THREE.Vector3(0, 0, 1);
+    forward.applyQuaternion(rocket.quaternion);
+
+    // Get rocket's right direction for spread
+    const right = new THREE.Vector3(1, 0, 0);
+    right.applyQuaternion(rocket.quaternion);
+
+    // Get rocket's up direction
+    const up = new THREE.Vector3(0, 1, 0);
+    up.applyQuaternion(rocket.quaternion);
+
+    // Calculate exhaust position at the center of the rocket
+    // Particles spawn at the rocket's center position
+    const exhaustWorldPos = new THREE.Vector3(
+        rocket.position.x,
+        rocket.position.y,
+        rocket.position.z
+    );
+
+    // Update existing particles and spawn new ones
+    for (let i = 0; i < userData.particleCount; i++) {
+        if (lifetimes[i] > 0) {
+            // Update existing particle
+            lifetimes[i] -= delta;
+
+            if (lifetimes[i] <= 0) {
+                // Particle expired, hide it
+                positions[i * 3 + 1] = -1000;
+                continue;
+            }
+
+            // Update position (move backward/down relative to rocket)
+            positions[i * 3] += velocities[i].x * delta;
+            positions[i * 3 + 1] += velocities[i].y * delta;
+            positions[i * 3 + 2] += velocities[i].z * delta;
+
+            // Fade out as particle ages
+            const lifeRatio = lifetimes[i] / 0.5; // 0.5 second lifetime
+            const opacity = lifeRatio;
+
+            // Color gradient: bright orange/yellow at start, red at end
+            colors[i * 3] = 1.0; // R - always red/orange
+            colors[i * 3 + 1] = 0.3 + lifeRatio * 0.4; // G - more yellow when young
+            colors[i * 3 + 2] = 0; // B
+        } else {
+            // Spawn new particle (with some randomness)
+            if (Math.random() < 0.15) { // 15% chance per frame
+                lifetimes[i] = 0.3 + Math.random() * 0.4; // 0.3-0.7 second lifetime
+
+                // Start at exhaust position
+                positions[i * 3] = exhaustWorldPos.x + (Math.random() - 0.5) * 0.2;
+                positions[i * 3 + 1] = exhaustWorldPos.y;
+                positions[i * 3 + 2] = exhaustWorldPos.z + (Math.random() - 0.5) * 0.2;
+
+                // Determine if rocket is moving
+                const isMoving = Math.abs(p.vx) > 0.1 || Math.abs(p.vz) > 0.1;
+
+                // Down direction: straight down in world space if not moving, or relative to rocket angle if moving
+                let downVel;
+                if (isMoving) {
+                    // Use rocket's local down direction (negative of up vector)
+                    downVel = up.clone().multiplyScalar(-(3 + Math.random() * 3)); // Down relative to rocket's angle
+
+                    // Add some backward component when moving
+                    const speed = 2 + Math.random() * 3;
+                    const backwardVel = forward.clone().multiplyScalar(-speed); // Negative = backward
+                    const spreadVel = right.clone().multiplyScalar((Math.random() - 0.5) * 1.5); // Horizontal spread
+                    velocities[i].copy(backwardVel).add(downVel).add(spreadVel);
+                } else {
+                    // When not moving, go straight down in world space (no backward component)
+                    downVel = new THREE.Vector3(0, -(3 + Math.random() * 3), 0); // Straight down in world space
+                    const spreadVel = right.clone().multiplyScalar((Math.random() - 0.5) * 1.0); // Small horizontal spread
+                    velocities[i].copy(downVel).add(spreadVel);
+                }
+
+                // Initial color (bright orange/yellow)
+                colors[i * 3] = 1.0;
+                colors[i * 3 + 1] = 0.6 + Math.random() * 0.3;
+                colors[i * 3 + 2] = 0;
+            }
+        }
+    }
+
+    // Update geometry attributes
+    exhaust.geometry.attributes.position.needsUpdate = true;
+    exhaust.geometry.attributes.color.needsUpdate = true;
+}
+
+function applyAsteroidMaterials(root) {
+    root.traverse(obj => {
+        if (!obj.isMesh) return;
+
+        obj.castShadow = true;
+        obj.receiveShadow = true;
+
+        obj.material = new THREE.MeshStandardMaterial({
+            map: textures.asteroidColor || null,
+            normalMap: textures.asteroidNormal || null,
+            metalness: 0.1,
+            roughness: 0.9
+        });
+    });
+}
+
+// ------------------------------------------------------------
+// Meteors (pooled)
+// ------------------------------------------------------------
+function ensureMeteors(targetCount) {
+    const count = Math.min(targetCount, world.config.maxMeteorCount);
+    if (meteorPools.length === 0) createMeteorPools(count);
+
+    while (meteorSpins.length < count) {
+        // The asteroid model starts each meteor at a random angle and size; spheres all look alike
+        if (!isPrototypeMode && asteroidTemplate) {
+            meteorSpins.push({
+                rotation: new THREE.Euler(Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, Math.random() * Math.PI * 2),
+                baseScale: Math.random() * 0.2 + 0.8 // times the meteor type's size (see updateMeteors)
+            });
+        } else {
+            meteorSpins.push({ rotation: new THREE.Euler(), baseScale: 1 });
+        }
+    }
+}
+
+/**
+ * Action: Create the instanced meteors and shadows for the current mode
+ * Prototype: plain spheres, coloured by type. Full: the asteroid model (one pool
+ * per mesh in it, its place in the model baked into the geometry), or textured
+ * spheres if it didn't load.
+ */
+function createMeteorPools(capacity) {
+    const { meteorRadius } = world.config;
+
+    if (isPrototypeMode) {
+        meteorPools.push(new InstancedPool(scene,
+            new THREE.SphereGeometry(meteorRadius, 16, 16),
+            new THREE.MeshStandardMaterial({ color: 0xffffff }), // coloured per instance
+            { capacity }));
+    } else if (asteroidTemplate) {
+        asteroidTemplate.updateMatrixWorld(true);
+        asteroidTemplate.traverse(obj => {
+            if (!obj.isMesh) return;
+            const material = Array.isArray(obj.material) ? obj.material[0] : obj.material;
+            meteorPools.push(new InstancedPool(scene,
+                obj.geometry.clone().applyMatrix4(obj.matrixWorld),
+                material.clone(),
+                { capacity }));
+        });
+    } else {
+        meteorPools.push(new InstancedPool(scene,
+            new THREE.SphereGeometry(meteorRadius, 24, 24),
+            new THREE.MeshStandardMaterial({
+                map: textures.asteroidColor || null,
+                normalMap: textures.asteroidNormal || null,
+                metalness: 0.1,
+                roughness: 0.9
+            }),
+            { capacity }));
+    }
+
+    // Shadows: black (red for blast meteors) and fading with height, per instance
+    meteorShadowPool = new InstancedPool(scene,
+        new THREE.CircleGeometry(0.9, 16).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true }),
+        { capacity, opacity: true });
+}
+
+// ------------------------------------------------------------
+// Enemies (pooled chasers)
+// ------------------------------------------------------------
+function ensureEnemies(targetCount) {
+    const count = Math.min(targetCount, world.config.maxEnemyCount);
+
+    // Prototype mode: spawn simple rectangle enemies (no alien models).
+    // Full mode uses the same boxes if the alien model didn't load.
+    if (isPrototypeMode || !alienTemplate) {
+        const enemyGeo = new THREE.BoxGeometry(1.4, 1.2, 1.4);
+        while (enemies.length < count) {
+            const mat = new THREE.MeshStandardMaterial({ color: getEnemyColor(enemies.length) });
+            const e = new THREE.Mesh(enemyGeo, mat);
+            e.position.y = 0.6;
+            e.castShadow = true;
+            e.receiveShadow = true;
+            e.visible = true;
+            placeEnemyMesh(e, enemies.length);
+            scene.add(e);
+            enemies.push(e);
+        }
+        return;
+    }
+
+    while (enemies.length < count) {
+        enemies.push(spawnEnemyFromPrototype(alienTemplate, enemies.length));
+    }
+}
+
+// Full mode: alien OBJ model
+function spawnEnemyFromPrototype(prototype, index) {
+    const e = prototype.clone();
+    e.traverse(obj => {
+        if (obj.isMesh) {
+            obj.castShadow = true;
+            obj.receiveShadow = true;
+            obj.visible = true;
+        }
+    });
+
+    // Scale appropriately (3x size)
+    e.scale.set(3.0, 3.0, 3.0);
+    e.position.y = 0.6;
+    e.visible = true;
+
+    // Archetype ring on the ground (in the alien's scaled space)
+    const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.3, 0.38, 24),
+        new THREE.MeshBasicMaterial({ color: getEnemyColor(index), side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = -0.18;
+    e.add(ring);
+    placeEnemyMesh(e, index);
+    scene.add(e);
+    return e;
+}
+
+function getEnemyColor(index) {
+    const state = world.enemies[index];
+    return (state && ENEMY_COLORS[state.archetype]) || ENEMY_COLORS.chaser;
+}
+
+function placeEnemyMesh(mesh, index) {
+    const state = world.enemies[index];
+    if (!state) return;
+    mesh.position.x = state.x;
+    mesh.position.z = state.z;
+    mesh.rotation.y = state.heading;
+}
+
+// ------------------------------------------------------------
+// Player update (keeps your falling logic)
+// ------------------------------------------------------------
+function updatePlayer(delta) {
+    if (!player) return;
+
+    // Two players: a rocket out of the run disappears until it's revived
+    if (partner) {
+        player.visible = world.player.alive || world.isGameOver;
+        partner.visible = world.players[1].alive || world.isGameOver;
+        if (!world.isGameOver) placeRocket(partner, world.players[1]);
+    }
+
+    if (world.isGameOver) {
+        if (isFalling) {
+            const elapsed = gameClock.now() - blackHoleAnimationStartTime;
+            const progress = Math.min(elapsed / blackHoleAnimationDuration, 1.0);
+
+            // Spinning animation - rotate around all axes (faster as it gets pulled in)
+            const spinMultiplier = 1.0 + progress * 2.0; // Spin faster as it shrinks
+            player.rotation.x += blackHoleSpinSpeed * Math.PI * 2 * delta * 0.3 * spinMultiplier;
+            player.rotation.y += blackHoleSpinSpeed * Math.PI * 2 * delta * spinMultiplier;
+            player.rotation.z += blackHoleSpinSpeed * Math.PI * 2 * delta * 0.5 * spinMultiplier;
+
+            // Shrinking animation - scale down to 0
+            // Use easing for more dramatic effect (ease-in cubic)
+            const easedProgress = 1.0 - Math.pow(1.0 - progress, 3);
+            const easedScale = 1.0 - easedProgress;
+            player.scale.set(
+                initialPlayerScale.x * easedScale,
+                initialPlayerScale.y * easedScale,
+                initialPlayerScale.z * easedScale
+            );
+
+            // Move towards black hole center (stronger pull as it gets closer)
+            const pullStrength = easedProgress * 0.8;
+            const targetX = THREE.MathUtils.lerp(player.position.x, blackHoleTargetPos.x, pullStrength * delta * 3);
+            const targetZ = THREE.MathUtils.lerp(player.position.z, blackHoleTargetPos.z, pullStrength * delta * 3);
+            player.position.x = targetX;
+            player.position.z = targetZ;
+
+            // Slight downward movement (faster as it shrinks)
+            player.position.y -= 3 * delta * easedProgress;
+
+            if (progress >= 1.0 && !statusMessage.textContent.includes("Game over")) {
+                showGameOverMessage(world.gameOverCause);
+            }
+        }
+        return;
+    }
+
+    placeRocket(player, world.player);
+}
+
+/**
+ * Action: Put a rocket where its player is, tilted the way it's moving
+ */
+function placeRocket(rocket, p) {
+    rocket.position.x = p.x;
+    rocket.position.z = p.z;
+
+    const vx = p.vx;
+    const vz = p.vz;
+
+    // If not moving, return to neutral tilt and exit
+    if (vx === 0 && vz === 0) {
+        rocket.rotation.x = THREE.MathUtils.lerp(rocket.rotation.x, 0, 0.15);
+        rocket.rotation.z = THREE.MathUtils.lerp(rocket.rotation.z, 0, 0.15);
+        return;
+    }
+
+    // Tilt in the direction of movement (only when actually moving)
+    const maxTilt = 0.35;
+    const normalizedMove = new THREE.Vector3(vx, 0, vz).normalize();
+    // Tilt forward/backward based on Z movement, left/right based on X movement
+    // Forward (Z+) → tilt forward (rotation.x+), Backward (Z-) → tilt backward (rotation.x-)
+    // Left (X-) → tilt left (rotation.z+), Right (X+) → tilt right (rotation.z-)
+    const targetTiltX = THREE.MathUtils.clamp(normalizedMove.z * maxTilt, -maxTilt, maxTilt);
+    const targetTiltZ = THREE.MathUtils.clamp(-normalizedMove.x * maxTilt, -maxTilt, maxTilt);
+
+    rocket.rotation.x = THREE.MathUtils.lerp(rocket.rotation.x, targetTiltX, 0.15);
+    rocket.rotation.z = THREE.MathUtils.lerp(rocket.rotation.z, targetTiltZ, 0.15);
+}
+
+/**
+ * Action: Start the spin-and-shrink fall into the hole that caught the player
+ * (at the player's position if the hole is unknown)
+ */
+function startFalling(hole) {
+    isFalling = true;
+    blackHoleAnimationStartTime = gameClock.now();
+
+    // Store initial state
+    initialPlayerScale.copy(player.scale);
+
+    if (hole) {
+        blackHoleTargetPos.set(hole.x, 0.01, hole.z);
+    } else {
+        blackHoleTargetPos.set(player.position.x, 0.01, player.position.z);
+    }
+}
+
+function stopFalling() {
+    isFalling = false;
+}
+
+// ------------------------------------------------------------
+// Meteors update + shadows
+// ------------------------------------------------------------
+function updateMeteors(delta) {
+    const count = Math.min(meteorSpins.length, world.meteors.length);
+    const fallSpeed = world.getMeteorFallSpeed();
+    let drawn = 0;
+    let shadows = 0;
+
+    for (let i = 0; i < count; i++) {
+        const state = world.meteors[i];
+
+        // Landed meteor: hidden while the debris explosion plays
+        if (state.respawnTimer > 0) continue;
+
+        // Fall + spin, sized by the meteor's type (spinning on off screen too, so nothing jumps)
+        const spin = meteorSpins[i];
+        spin.rotation.x += 0.8 * delta;
+        spin.rotation.y += 0.5 * delta;
+        const size = state.radius / world.config.meteorRadius;
+
+        if (isInView(state.x, state.y, state.z, state.radius * 2)) {
+            tmpPosition.set(state.x, state.y, state.z);
+            for (const pool of meteorPools) {
+                pool.setTransform(drawn, tmpPosition, spin.rotation, spin.baseScale * size);
+            }
+            if (isPrototypeMode) meteorPools[0].setColor(drawn, METEOR_COLORS[state.type] || METEOR_COLORS.normal);
+            drawn++;
+        }
+
+        // Shadow: where the meteor will land (drifting meteors, and ones a hole
+        // pulls on, don't land below themselves), scaled by height; blast meteors
+        // show their blast area in red
+        const velocity = world.getMeteorVelocity(state, fallSpeed);
+        const landsIn = Math.max(0, (state.y - world.config.meteorGroundHeight) / Math.max(-velocity.y, 0.001));
+        const landX = state.x + velocity.x * landsIn;
+        const landZ = state.z + velocity.z * landsIn;
+        const t = THREE.MathUtils.clamp((state.y - 2) / 18, 0, 1);
+        const shadowSize = state.blastRadius > 0 ? state.blastRadius / 0.9 : size;
+        const shadowScale = THREE.MathUtils.lerp(1.5, 0.4, t) * shadowSize;
+
+        if (isInView(landX, 0.02, landZ, 0.9 * shadowScale)) {
+            meteorShadowPool.setTransform(shadows, tmpPosition.set(landX, 0.02, landZ), null, shadowScale);
+            meteorShadowPool.setColor(shadows, state.blastRadius > 0 ? 0x8b0000 : 0x000000);
+            meteorShadowPool.setOpacity(shadows, THREE.MathUtils.lerp(0.55, 0.15, t));
+            shadows++;
+        }
+    }
+
+    meteorPools.forEach(pool => pool.setCount(drawn));
+    if (meteorShadowPool) meteorShadowPool.setCount(shadows);
+
+    renderStats.meteors = drawn;
+    renderStats.meteorsTotal = count;
+    renderStats.shadows = shadows;
+}
+
+function onMeteorLanded(event) {
+    // Create debris explosion at collision point, bigger for bigger meteors;
+    // untinted, so the pieces look like the asteroid texture
+    const size = (event.blastRadius || event.radius || world.config.meteorRadius) / world.config.meteorRadius;
+    activateDebrisExplosion(new THREE.Vector3(event.x, event.y, event.z), 0xffffff, Math.sqrt(size));
+}
+
+// ------------------------------------------------------------
+// Explosion Debris System (Pre-baked)
+// ------------------------------------------------------------
+/**
+ * Action: Create the debris pools: three irregular fragment shapes, textured like
+ * the asteroids. Each piece gets its own size, tint and fade.
+ */
+function createDebrisPools() {
+    const shapes = [
+        new THREE.BoxGeometry(1, 0.8, 1.2),
+        new THREE.OctahedronGeometry(1, 0),
+        new THREE.TetrahedronGeometry(1, 0)
+    ];
+
+    debrisPools = shapes.map(geometry => new InstancedPool(scene, geometry,
+        new THREE.MeshStandardMaterial({
+            map: textures.asteroidColor || null,
+            normalMap: textures.asteroidNormal || null,
+            metalness: 0.1,
+            roughness: 0.9,
+            transparent: true
+        }),
+        { capacity: Math.ceil(debrisPoolSize / shapes.length), opacity: true }));
+}
+
+/**
+ * @param {Number} color - Tint of the pieces (white shows the asteroid texture as it is)
+ * @param {Number} size - Explosion size (1 = a plain meteor): more, bigger, faster pieces
+ */
+function activateDebrisExplosion(position, color = DEBRIS_COLOR, size = 1) {
+    audio.playImpact(position.x, position.z, size * size);
+
+    // Prototype mode: no debris/crumble effects (the sound still plays).
+    if (isPrototypeMode) return;
+
+    if (debrisPools.length === 0) createDebrisPools();
+    const countToUse = Math.round(debrisCount * size);
+
+    for (let i = 0; i < countToUse; i++) {
+        const shape = Math.min(debrisPools.length - 1, Math.floor(visualRandom() * debrisPools.length));
+        const pieceSize = (visualRandom() * 0.2 + 0.15) * size; // 0.15 to 0.35, times the explosion size
+
+        // Random initial rotation
+        const rotation = new THREE.Euler(
+            visualRandom() * Math.PI * 2,
+            visualRandom() * Math.PI * 2,
+            visualRandom() * Math.PI * 2
+        );
+
+        // Random explosion velocity (outward in all directions)
+        const angle = visualRandom() * Math.PI * 2; // Random horizontal direction
+        const verticalAngle = visualRandom() * Math.PI * 0.5; // 0 to 90 degrees up
+        const speed = (visualRandom() * 4 + 2) * size; // Random speed between 2 and 6, times the size
+
+        const velocity = new THREE.Vector3(
+            Math.cos(angle) * Math.sin(verticalAngle) * speed,
+            Math.cos(verticalAngle) * speed,
+            Math.sin(angle) * Math.sin(verticalAngle) * speed
+        );
+
+        // Random angular velocity for rotation
+        const angularVelocity = new THREE.Vector3(
+            (visualRandom() - 0.5) * 10,
+            (visualRandom() - 0.5) * 10,
+            (visualRandom() - 0.5) * 10
+        );
+
+        // Store animation data (debris starts slightly above ground)
+        activeDebris.push({
+            shape: shape,
+            size: pieceSize,
+            color: color,
+            position: new THREE.Vector3(position.x, Math.max(position.y, 0.2), position.z),
+            rotation: rotation,
+            velocity: velocity,
+            angularVelocity: angularVelocity,
+            startTime: gameClock.now(),
+            lifetime: debrisLifetime
+        });
+    }
+}
+
+function updateExplosionDebris(delta) {
+    // Prototype mode: no debris/crumble effects.
+    if (isPrototypeMode) return;
+
+    const gravity = -9.8; // Gravity acceleration
+    const currentTime = gameClock.now();
+    const drawn = debrisPools.map(() => 0);
+
+    for (let i = activeDebris.length - 1; i >= 0; i--) {
+        const data = activeDebris[i];
+
+        const elapsed = currentTime - data.startTime;
+        const lifeProgress = elapsed / data.lifetime;
+
+        // Remove if lifetime expired
+        if (lifeProgress >= 1.0) {
+            activeDebris.splice(i, 1);
+            continue;
+        }
+
+        // Apply physics
+        // Update velocity (gravity affects Y)
+        data.velocity.y += gravity * delta;
+
+        // Update position
+        data.position.addScaledVector(data.velocity, delta);
+
+        // Update rotation (same animation, but with random rotation)
+        data.rotation.x += data.angularVelocity.x * delta;
+        data.rotation.y += data.angularVelocity.y * delta;
+        data.rotation.z += data.angularVelocity.z * delta;
+
+        // Stop at ground level with bounce
+        if (data.position.y < 0.1) {
+            data.position.y = 0.1;
+            data.velocity.y *= -0.3; // Bounce with energy loss
+            data.velocity.x *= 0.8; // Friction
+            data.velocity.z *= 0.8;
+
+            // Slow down rotation when on ground
+            data.angularVelocity.multiplyScalar(0.9);
+        }
+
+        if (!isInView(data.position.x, data.position.y, data.position.z, data.size)) continue;
+
+        // Fade out over time
+        const pool = debrisPools[data.shape];
+        const n = drawn[data.shape]++;
+        pool.setTransform(n, data.position, data.rotation, data.size);
+        pool.setColor(n, data.color);
+        pool.setOpacity(n, 1.0 - lifeProgress);
+    }
+
+    debrisPools.forEach((pool, shape) => pool.setCount(drawn[shape]));
+    renderStats.debris = drawn.reduce((sum, n) => sum + n, 0);
+}
+
+// ------------------------------------------------------------
+// Enemies update
+// ------------------------------------------------------------
+function updateEnemies(delta) {
+    const count = Math.min(enemies.length, world.enemies.length);
+
+    for (let i = 0; i < count; i++) {
+        const e = enemies[i];
+        if (!e.visible) {
+            e.visible = true;
+            e.traverse(obj => { obj.visible = true; });
+        }
+
+        // Position and facing (toward the player) come from the world
+        placeEnemyMesh(e, i);
+    }
+    // Aliens the world dropped (swallowed with nowhere to come back) until it refills
+    for (let i = count; i < enemies.length; i++) enemies[i].visible = false;
+}
+
+// ------------------------------------------------------------
+// Pickups and effects
+// ------------------------------------------------------------
+function updatePickups() {
+    if (!pickupGeometry) {
+        pickupGeometry = new THREE.OctahedronGeometry(0.6);
+        for (const type of GameRules.PICKUP_TYPES) {
+            const color = PICKUP_STYLES[type].color;
+            pickupMaterials[type] = new THREE.MeshStandardMaterial({
+                color: color,
+                emissive: color,
+                emissiveIntensity: 0.6
+            });
+        }
+    }
+
+    while (pickupMeshes.length < world.pickups.length) {
+        const mesh = new THREE.Mesh(pickupGeometry, pickupMaterials.shield);
+        scene.add(mesh);
+        pickupMeshes.push(mesh);
+    }
+
+    // Spin and bob on the game clock so pickups freeze while paused
+    const t = gameClock.now();
+    pickupMeshes.forEach((mesh, i) => {
+        const pickup = world.pickups[i];
+        mesh.visible = !!pickup;
+        if (!pickup) return;
+        mesh.material = pickupMaterials[pickup.type];
+        mesh.position.set(pickup.x, 1 + 0.25 * Math.sin(t * 2 + i), pickup.z);
+        mesh.rotation.y = t * 1.5;
+    });
+}
+
+function updateShieldBubble() {
+    const rockets = [player, partner];
+    for (const p of world.players) {
+        const shielded = p.effects.shield > 0 && !world.isGameOver && rockets[p.index] !== null;
+        let bubble = shieldBubbles[p.index];
+        if (!shielded && !bubble) continue;
+
+        if (!bubble) {
+            bubble = new THREE.Mesh(
+                new THREE.SphereGeometry(world.config.playerRadius + 0.6, 24, 16),
+                new THREE.MeshBasicMaterial({ color: PICKUP_STYLES.shield.color, transparent: true, opacity: 0.25 })
+            );
+            scene.add(bubble);
+            shieldBubbles[p.index] = bubble;
+        }
+
+        bubble.visible = shielded;
+        if (!shielded) continue;
+        bubble.position.copy(rockets[p.index].position);
+        // Flicker during the last two seconds
+        const left = p.effects.shield;
+        bubble.material.opacity = left < 2 && Math.floor(left * 8) % 2 === 0 ? 0.08 : 0.25;
+    }
+}
+
+// ------------------------------------------------------------
+// Ghost
+// ------------------------------------------------------------
+/**
+ * Action: Draw the ghost's rocket over its world (hidden without a ghost or once it's out)
+ */
+function updateGhost(ghostWorld) {
+    if (!ghostWorld) {
+        if (ghostMesh) ghostMesh.visible = false;
+        return;
+    }
+
+    if (!ghostMesh) {
+        ghostMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(1.5, 1, 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        scene.add(ghostMesh);
+    }
+
+    const g = ghostWorld.player;
+    ghostMesh.visible = !ghostWorld.isGameOver;
+    ghostMesh.position.set(g.x, 1, g.z);
+    if (g.vx !== 0 || g.vz !== 0) ghostMesh.rotation.y = Math.atan2(g.vx, g.vz);
+}
+
+// ------------------------------------------------------------
+// Resize
+// ------------------------------------------------------------
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    // The ratio changes when the window moves to another screen or the page is zoomed
+    renderer.setPixelRatio(getPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+function getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+}
+
+export {
+    scene,
+    camera,
+    renderer,
+    player,
+    aiOverlay,
+    isFalling,
+    camForward,
+    camRight,
+    cameraMode,
+    CAMERA_MODES,
+    loadingCounts,
+    downloadProgress,
+    PRELOAD_MODELS,
+    PRELOAD_TEXTURES,
+    PICKUP_STYLES,
+    ENEMY_COLORS,
+    renderStats,
+    initScene,
+    preloadAssets,
+    clearDynamicObjects,
+    createPrototypePlayer,
+    createFullPlayer,
+    createPartnerPlayer,
+    ensureMeteors,
+    ensureEnemies,
+    updateInfiniteFloorAndHoles,
+    updatePlayer,
+    updateRocketExhaust,
+    updateCameraFollow,
+    setCameraMode,
+    orbitCamera,
+    zoomCamera,
+    updateSkyFollow,
+    updateMeteors,
+    updateEnemies,
+    updatePickups,
+    updateShieldBubble,
+    updateGhost,
+    updateExplosionDebris,
+    onMeteorLanded,
+    activateDebrisExplosion,
+    startFalling,
+    stopFalling
+};
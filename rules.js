@@ -0,0 +1,291 @@
+/**
+ * Shared world config and physics rules for Meteor Dodge 3D
+ * Single source of truth for sizes, speeds, scaling formulas, the hole
+ * containment test and the holes' pull. The simulation (and so the
+ * renderer) and ComputerAI's predictions both read from here, so the AI
+ * always plans against the physics the game actually runs.
+ *
+ * An ES module; the default export is the GameRules namespace.
+ */
+
+const GameRules = (function () {
+    // Meteor and enemy counts and speeds below are the Standard difficulty;
+    // difficulty.js presets override them.
+    const WORLD_CONFIG = {
+        // Infinite arena
+        tileSize: 32,
+        tileRadius: 1, // 3x3 tiles
+        spawnSafeRadius: 4, // no holes this close to the start position
+
+        // Black holes (difficulty.js presets set these too)
+        holeGravity: 5, // pull (units/sec) at a hole's edge, toward its centre; fades to 0 at holeGravityRange
+        holeGravityRange: 3, // the pull reaches this many times a hole's halfSize from its centre
+        holeDriftRadius: 0, // holes circle this far around where their tile put them (0 = they stay put)
+        holeDriftSpeed: 0, // units/sec along that circle
+        holeGrowthRate: 0, // holes grow by this fraction of their size per second of the run...
+        holeMaxGrowth: 0, // ...up to this fraction bigger
+
+        // Player
+        playerSpeed: 12,
+        playerRadius: 0.9,
+        playerHeight: 1,
+
+        // Meteors
+        meteorRadius: 0.8,
+        baseMeteorCount: 24,
+        maxMeteorCount: 90 * 4,
+        meteorGrowthInterval: 10, // seconds between meteor count increases
+        meteorGrowthAmount: 6,
+        baseMeteorSpeed: 8,
+        meteorSpeedPerSecond: 0.15,
+        meteorGroundHeight: 0.1,
+        meteorRespawnDelay: 0.5, // seconds a landed meteor stays down (0 = respawn instantly)
+        meteorTypeWeights: { normal: 0.58, large: 0.08, small: 0.17, angled: 0.12, aimed: 0.05 },
+        aimedMeteorOffsetMin: 3, // aimed meteors start this far (horizontally) from their target
+        aimedMeteorOffsetMax: 7,
+        meteorShowerChance: 0.015, // per respawn: start a shower instead
+        meteorShowerSize: 8, // small meteors per shower
+        meteorShowerRadius: 4,
+
+        // Enemies
+        enemyRadius: 0.9,
+        enemyHeight: 0.6,
+        baseEnemySpeed: 2.6,
+        enemySpeedPerSecond: 0.03,
+        maxEnemySpeedBoost: 4.0,
+        enemyStartTime: 8, // seconds before first enemy
+        enemyStartCount: 1,
+        enemyGrowthInterval: 12, // seconds between each extra enemy
+        maxEnemyCount: 18,
+        enemyDespawnDistance: 60,
+        enemyArchetypeCycle: ["chaser", "interceptor", "chaser", "flanker", "patroller", "interceptor"], // by spawn order
+        enemySeparationRadius: 2.5, // aliens closer than this push apart
+        enemySeparationWeight: 1.5,
+        enemyHoleMargin: 2.5, // hole-aware aliens steer off holes they come this close to
+        enemyHolePullLimit: 0.5, // the pull on an alien stays under this fraction of its own speed
+        enemyLureBonus: 5, // points for luring an alien into a hole (five seconds' worth)...
+        enemyLureRadius: 10, // ...when it falls in this close to the player it was chasing
+        interceptMaxLead: 1.5, // seconds an interceptor leads the player by, at most
+        flankOffset: 8, // how far to the side of the player a flanker aims
+        flankCommitDistance: 6, // flankers go straight in from this close
+        patrolRadius: 8,
+        patrolAggroRadius: 10, // patrollers give chase when the player comes this close
+        enemyRetargetMargin: 3, // with two players, an alien only switches rockets when the other is this much closer
+
+        // Spawn radii relative to player
+        meteorSpawnRadiusMin: 6,
+        meteorSpawnRadiusMax: 18 * 4,
+        enemySpawnRadiusMin: 12,
+        enemySpawnRadiusMax: 22,
+
+        // Pickups (0-2 per tile; durations in seconds)
+        pickupRadius: 0.8,
+        shieldDuration: 12, // or until it absorbs one meteor hit
+        speedBoostDuration: 6,
+        speedBoostFactor: 1.5,
+        timeSlowDuration: 5,
+        timeSlowFactor: 0.5, // meteors and enemies move at this fraction of their speed
+        scoreMultiplierDuration: 10,
+        scoreMultiplierFactor: 2,
+
+        // Scoring: a point a second, plus bonuses for near misses and lures (enemyLureBonus)
+        nearMissRing: 2, // a meteor landing within this of hitting a player is a near miss...
+        nearMissBonus: 2, // ...worth this many points, times their combo
+        meteorDodgeRing: 6, // one landing within this of hitting them counts as dodged (stats only)
+        comboWindow: 4, // seconds a near miss or lure keeps a combo going for
+        comboStep: 0.5, // each move in a combo adds this to its multiplier...
+        maxComboMultiplier: 4, // ...up to this
+
+        // Two players (WorldSimulation's playerCount)
+        twoPlayerStartOffset: 2.5, // each rocket starts this far to one side of the start position
+        maxPlayerSeparation: 30, // rockets are held this close together (the camera frames both)
+        coopReviveDelay: 5, // seconds until a downed co-op player comes back next to their partner
+        coopReviveShield: 3 // seconds of shield they come back with
+    };
+
+    const PICKUP_TYPES = ["shield", "speed", "slow", "multiplier"];
+
+    /**
+     * Meteor types, relative to the config: radius and blastRadius are factors on
+     * meteorRadius, speed on the fall speed. drift is horizontal speed as a
+     * fraction of the fall speed. A blastRadius also hits a player that close
+     * (horizontally) when the meteor lands. Aimed meteors drift toward where the
+     * player will be when they land.
+     */
+    const METEOR_TYPES = {
+        normal: { radius: 1, speed: 1, drift: 0 },
+        large: { radius: 2, speed: 0.6, drift: 0, blastRadius: 4 },
+        small: { radius: 0.55, speed: 1.6, drift: 0 },
+        angled: { radius: 1, speed: 1, drift: 0.5 },
+        aimed: { radius: 1, speed: 0.75, drift: 0 }
+    };
+
+    /**
+     * Enemy archetypes: speed is a factor on getEnemySpeed(); hole-aware aliens
+     * steer around holes, the others can be lured into them.
+     */
+    const ENEMY_ARCHETYPES = {
+        chaser: { speed: 1.0, avoidsHoles: false },
+        interceptor: { speed: 0.95, avoidsHoles: false },
+        flanker: { speed: 1.05, avoidsHoles: true },
+        patroller: { speed: 0.9, avoidsHoles: true }
+    };
+
+    /**
+     * Meteor fall speed (units/sec) after a given survival time (seconds)
+     */
+    function getMeteorFallSpeed(time, config = WORLD_CONFIG) {
+        return config.baseMeteorSpeed + time * config.meteorSpeedPerSecond;
+    }
+
+    /**
+     * A meteor's velocity, given the current (normal meteor) fall speed
+     * @param {Object} meteor - {speedFactor, driftX, driftZ}; drift is per unit of fall
+     */
+    function getMeteorVelocity(meteor, fallSpeed) {
+        const fall = fallSpeed * (meteor.speedFactor || 1);
+        return { x: (meteor.driftX || 0) * fall, y: -fall, z: (meteor.driftZ || 0) * fall };
+    }
+
+    /**
+     * Enemy chase speed (units/sec) after a given survival time (seconds)
+     */
+    function getEnemySpeed(time, config = WORLD_CONFIG) {
+        return config.baseEnemySpeed + Math.min(config.maxEnemySpeedBoost, time * config.enemySpeedPerSecond);
+    }
+
+    /**
+     * How many meteors are in play after a given survival time
+     */
+    function getMeteorCount(time, config = WORLD_CONFIG) {
+        const growth = Math.floor(time / config.meteorGrowthInterval) * config.meteorGrowthAmount;
+        return Math.min(config.maxMeteorCount, config.baseMeteorCount + growth);
+    }
+
+    /**
+     * How many enemies are in play after a given survival time
+     */
+    function getEnemyCount(time, config = WORLD_CONFIG) {
+        if (time < config.enemyStartTime) return 0;
+        const growth = Math.floor((time - config.enemyStartTime) / config.enemyGrowthInterval);
+        return Math.min(config.maxEnemyCount, config.enemyStartCount + growth);
+    }
+
+    /**
+     * Where an enemy is heading, before separation and hole steering
+     * Both the simulation and ComputerAI's predictions use this, so the AI
+     * expects each archetype to move the way it actually does.
+     * @param {Object} enemy - {x, z, archetype, side, patrolX, patrolZ}
+     * @param {Object} player - {x, z, vx, vz}
+     * @param {Number} speed - The enemy's speed (units/sec), for the interceptor's lead
+     * @returns {Object} - {x, z}
+     */
+    function getEnemyTarget(enemy, player, speed, config = WORLD_CONFIG) {
+        const dx = player.x - enemy.x;
+        const dz = player.z - enemy.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        switch (enemy.archetype) {
+            case "interceptor": {
+                // Aim where the player will be when we could get there
+                const lead = Math.min(config.interceptMaxLead, dist / Math.max(speed, 0.001));
+                return { x: player.x + (player.vx || 0) * lead, z: player.z + (player.vz || 0) * lead };
+            }
+            case "flanker": {
+                if (dist <= config.flankCommitDistance) return { x: player.x, z: player.z };
+                // Swing wide to the player's side, closing in as the distance drops
+                const offset = Math.min(config.flankOffset, dist * 0.5) * (enemy.side || 1);
+                return { x: player.x - (dz / dist) * offset, z: player.z + (dx / dist) * offset };
+            }
+            case "patroller": {
+                if (dist <= config.patrolAggroRadius) return { x: player.x, z: player.z };
+                // Circle the patrol point, aiming a little ahead along the circle
+                const angle = Math.atan2(enemy.z - enemy.patrolZ, enemy.x - enemy.patrolX) + 0.6 * (enemy.side || 1);
+                return {
+                    x: enemy.patrolX + Math.cos(angle) * config.patrolRadius,
+                    z: enemy.patrolZ + Math.sin(angle) * config.patrolRadius
+                };
+            }
+            default:
+                return { x: player.x, z: player.z };
+        }
+    }
+
+    /**
+     * Is a circle of the given radius fully inside a hole? (this is what swallows the player)
+     */
+    function isCircleInHole(x, z, radius, hole) {
+        const dx = x - hole.x;
+        const dz = z - hole.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        // Circle is fully inside the black hole's circle if:
+        // distance from centers + radius <= black hole radius
+        return distance + radius <= hole.halfSize;
+    }
+
+    /**
+     * Is a point inside a hole?
+     */
+    function isPointInHole(x, z, hole) {
+        return isCircleInHole(x, z, 0, hole);
+    }
+
+    /**
+     * The holes' pull on something at a point: a velocity (units/sec) toward
+     * each hole in reach, holeGravity from its edge inward and fading to 0 at
+     * holeGravityRange times its halfSize from its centre
+     * @returns {Object} - {x, z}, summed over the holes
+     */
+    function getHolePull(x, z, holes, config = WORLD_CONFIG) {
+        const pull = { x: 0, z: 0 };
+        if (config.holeGravity <= 0 || config.holeGravityRange <= 1) return pull;
+
+        for (const hole of holes) {
+            const dx = hole.x - x;
+            const dz = hole.z - z;
+            const reach = hole.halfSize * config.holeGravityRange;
+            const distSq = dx * dx + dz * dz;
+            if (distSq >= reach * reach) continue;
+
+            const dist = Math.sqrt(distSq);
+            if (dist < 0.001) continue; // at the centre: nowhere further to pull
+            const strength = config.holeGravity * Math.min(1, (reach - dist) / (reach - hole.halfSize));
+            pull.x += (dx / dist) * strength;
+            pull.z += (dz / dist) * strength;
+        }
+        return pull;
+    }
+
+    /**
+     * How long a pickup's effect lasts (seconds)
+     */
+    function getPickupDuration(type, config = WORLD_CONFIG) {
+        switch (type) {
+            case "shield": return config.shieldDuration;
+            case "speed": return config.speedBoostDuration;
+            case "slow": return config.timeSlowDuration;
+            case "multiplier": return config.scoreMultiplierDuration;
+            default: return 0;
+        }
+    }
+
+    return {
+        WORLD_CONFIG,
+        PICKUP_TYPES,
+        METEOR_TYPES,
+        ENEMY_ARCHETYPES,
+        getPickupDuration,
+        getEnemyTarget,
+        getMeteorFallSpeed,
+        getMeteorVelocity,
+        getEnemySpeed,
+        getMeteorCount,
+        getEnemyCount,
+        isCircleInHole,
+        isPointInHole,
+        getHolePull
+    };
+})();
+
+export default GameRules;
@@ -0,0 +1,77 @@
+/**
+ * Per-run event log
+ * Everything that happened in a run, in order and stamped with the run time:
+ * the world's events (see WorldSimulation.step) except meteorLanded, which
+ * fires dozens of times a second and is tallied in each player's stats
+ * instead. Replays re-create a run; the log is for reading one.
+ *
+ * File format (JSON):
+ * {
+ *   format: "meteor-dodge-events", version: 1,
+ *   seed, difficulty (name), players: { count, mode }, createdAt,
+ *   events: [{ time, type, ...the event's fields }, ...],
+ *   result: { score, time, cause, winner } | null,
+ *   stats: [{ score, ...the player's run stats }, ...] (one per player, once finished)
+ * }
+ */
+
+const RUN_LOG_FORMAT = "meteor-dodge-events";
+const RUN_LOG_VERSION = 1;
+
+// Too frequent to be worth logging one by one
+const UNLOGGED_EVENTS = new Set(["meteorLanded"]);
+
+class RunLog {
+    /**
+     * @param {Object} meta - {seed, difficulty, players: {count, mode}}
+     */
+    constructor(meta) {
+        this.log = {
+            format: RUN_LOG_FORMAT,
+            version: RUN_LOG_VERSION,
+            seed: meta.seed,
+            difficulty: meta.difficulty || null,
+            players: meta.players || { count: 1, mode: "coop" },
+            createdAt: new Date().toISOString(),
+            events: [],
+            result: null,
+            stats: []
+        };
+    }
+
+    get isFinished() {
+        return this.log.result !== null;
+    }
+
+    /**
+     * Log one step's world events
+     * @param {Number} time - The run time after the step
+     * @param {Array} events - world.events
+     */
+    record(time, events) {
+        if (this.isFinished) return;
+        for (const event of events) {
+            if (UNLOGGED_EVENTS.has(event.type)) continue;
+            this.log.events.push(Object.assign({ time: time }, event));
+        }
+    }
+
+    /**
+     * Store the outcome and each player's stats once the run is over
+     */
+    finish(world) {
+        this.log.result = {
+            score: world.score,
+            time: world.time,
+            cause: world.gameOverCause,
+            winner: world.winner
+        };
+        this.log.stats = world.players.map(p => Object.assign({ score: p.score }, p.stats));
+    }
+
+    serialize() {
+        return JSON.stringify(this.log, null, 2);
+    }
+}
+
+export { RunLog, RUN_LOG_FORMAT, RUN_LOG_VERSION };
@@ -0,0 +1,1053 @@
+/**
+ * Headless world simulation for Meteor Dodge 3D
+ * Holds all gameplay state (players, meteors, enemies, holes, pickups, score) as plain
+ * objects so it can be stepped at a fixed timestep without a DOM or THREE.
+ *
+ * Runs have one or two players. With two, meteors and aliens spawn around
+ * either rocket, each alien chases the nearer one, and teamMode decides the
+ * end: "coop" shares the score and brings a downed player back after
+ * coopReviveDelay until both are down at once; "lastStanding" ends when one
+ * rocket is left and names it the winner. world.player is always player 0.
+ * Black holes pull on the players, meteors and aliens around them
+ * (GameRules.getHolePull) and, on harder difficulties, drift and grow as the
+ * run goes on.
+ * Besides a point a second, players score for near misses (a meteor landing
+ * within nearMissRing of hitting them) and for luring aliens into holes, and
+ * chaining those within comboWindow of each other multiplies the bonus. Each
+ * player keeps a run tally in p.stats.
+ * Where things appear comes from spawning.js and the hit tests from
+ * collisions.js. rendering.js draws it; tools/ai-benchmark.js runs it in Node.
+ */
+
+import GameRules from "./rules.js";
+import {
+    lerp,
+    createRandom,
+    normalizeSeed,
+    randomSeed,
+    generateHolesForTile,
+    generatePickupsForTile,
+    pointInRing,
+    pickMeteorType
+} from "./spawning.js";
+import { isFullyInHole, findHoleAtPosition, spheresOverlap, circlesOverlap, isInBlast } from "./collisions.js";
+
+const TEAM_MODES = ["coop", "lastStanding"];
+const ENEMY_SPAWN_ATTEMPTS = 8; // spots tried for an alien before giving up on placing it this step
+
+class WorldSimulation {
+    /**
+     * @param {Object} options
+     * @param {Object} options.config - Overrides for GameRules.WORLD_CONFIG
+     * @param {Number|String} options.seed - Run seed; all spawning is derived from it (random if omitted)
+     * @param {Number} options.playerCount - 1 (default) or 2
+     * @param {String} options.teamMode - With two players: "coop" (default) or "lastStanding"
+     * @throws {Error} - If playerCount or teamMode is not one of those
+     */
+    constructor(options = {}) {
+        const playerCount = options.playerCount !== undefined ? options.playerCount : 1;
+        const teamMode = options.teamMode || "coop";
+        if (playerCount !== 1 && playerCount !== 2) {
+            throw new Error(`playerCount must be 1 or 2, not ${playerCount}.`);
+        }
+        if (!TEAM_MODES.includes(teamMode)) {
+            throw new Error(`Unknown team mode "${teamMode}".`);
+        }
+
+        this.config = Object.assign({}, GameRules.WORLD_CONFIG, options.config);
+        this.seed = options.seed !== undefined ? normalizeSeed(options.seed) : randomSeed();
+        this.playerCount = playerCount;
+        // One player is always "coop": there's nobody to outlast
+        this.teamMode = playerCount > 1 ? teamMode : "coop";
+        this.reset();
+    }
+
+    /**
+     * Reset the world to the start of a new run (same seed => same run)
+     */
+    reset() {
+        const c = this.config;
+
+        this.random = createRandom(this.seed);
+        this.time = 0;
+        this.score = 0;
+        this.isGameOver = false;
+        this.gameOverCause = null; // "meteor" | "enemy" | "blackHole"
+        this.gameOverHole = null;  // hole the player fell into (blackHole only)
+        this.winner = null;        // lastStanding: index of the player left (null for a draw)
+        this.lastDown = null;      // {cause, hole} of the latest player to go down
+
+        // Players side by side at the start ({vx, vz} is the actual velocity applied in the last step)
+        this.players = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            const x = this.playerCount > 1 ? (i === 0 ? -1 : 1) * c.twoPlayerStartOffset : 0;
+            this.players.push(createPlayer(i, x, c.playerHeight));
+        }
+        this.player = this.players[0];
+
+        // Each meteor: { x, y, z, respawnTimer, type, radius, blastRadius, speedFactor, driftX, driftZ }
+        this.meteors = [];
+        // Meteor shower in progress: the next `remaining` respawns land around (x, z)
+        this.shower = { x: 0, z: 0, remaining: 0 };
+        // Each enemy: { x, y, z, heading, vx, vz, archetype, side, patrolX, patrolZ }
+        this.enemies = [];
+        // Holes for visible tiles only, where they are now. Each entry: { x, z, halfSize }
+        this.holes = [];
+        // Uncollected pickups for visible tiles. Each entry: { id, x, z, type }
+        this.pickups = [];
+        this.collectedPickups = new Set(); // ids; collected pickups never come back
+        // Player 0's pickup effects (each player has their own)
+        this.effects = this.player.effects;
+
+        // Events produced during the last step (for the renderer)
+        this.events = [];
+
+        this.updateHoles();
+        this.updatePickups();
+        this.ensureMeteors(c.baseMeteorCount);
+    }
+
+    /**
+     * Advance the world by one timestep
+     * @param {Number} delta - Seconds to advance
+     * @param {Object|Array} moves - World-space movement direction {dx, dz} (length clamped
+     *   to 1), or one per player; players without one stand still
+     */
+    step(delta, moves = null) {
+        this.events = [];
+        if (!Array.isArray(moves)) moves = [moves];
+
+        // Update holes first so collision uses current holes
+        this.updateHoles();
+        this.updatePickups();
+
+        if (!this.isGameOver) {
+            this.updateDifficulty(this.time);
+            for (const p of this.players) {
+                if (p.alive) this.updatePlayer(p, delta, moves[p.index]);
+            }
+            this.keepPlayersTogether();
+            this.updateMeteors(delta);
+            this.updateEnemies(delta);
+            this.collectPickups();
+            this.checkCollisions();
+            this.checkOutcome();
+
+            this.time += delta;
+            if (!this.isGameOver) {
+                this.updateScore(delta);
+                this.updateEffects(delta);
+                this.updateCombos(delta);
+                this.updateRevives(delta);
+            }
+        } else {
+            // Keep the world alive after game over
+            this.updateMeteors(delta);
+            this.updateEnemies(delta);
+        }
+    }
+
+    // ------------------------------------------------------------
+    // Holes
+    // ------------------------------------------------------------
+    updateHoles() {
+        const c = this.config;
+
+        this.holes = []; // rebuild visible hole list each step
+
+        // Drifting and growth follow the run's time, so a hole is in the same place whenever its tile loads
+        const growth = 1 + Math.min(c.holeMaxGrowth, c.holeGrowthRate * this.time);
+        const driftTurn = c.holeDriftRadius > 0 ? this.time * c.holeDriftSpeed / c.holeDriftRadius : 0;
+
+        for (const [tileX, tileZ] of this.getLoadedTiles()) {
+            const tileHoles = generateHolesForTile(tileX, tileZ, c.tileSize, this.seed);
+
+            for (const h of tileHoles) {
+                const x = tileX * c.tileSize + h.localX;
+                const z = tileZ * c.tileSize + h.localZ;
+
+                // Never start a run inside (or right next to) a hole, wherever on its circle it starts
+                if (Math.sqrt(x * x + z * z) < h.halfSize + c.spawnSafeRadius + c.holeDriftRadius) continue;
+
+                const angle = h.driftPhase + driftTurn;
+                this.holes.push({
+                    x: x + Math.cos(angle) * c.holeDriftRadius,
+                    z: z + Math.sin(angle) * c.holeDriftRadius,
+                    halfSize: h.halfSize * growth
+                });
+            }
+        }
+    }
+
+    /**
+     * The holes' pull on something at a point (units/sec, {x, z})
+     */
+    getHolePull(x, z) {
+        return GameRules.getHolePull(x, z, this.holes, this.config);
+    }
+
+    /**
+     * Decision: The tiles around the players, each once ([tileX, tileZ] pairs)
+     */
+    getLoadedTiles() {
+        const c = this.config;
+        const tiles = [];
+        const seen = new Set();
+
+        for (const p of this.getActivePlayers()) {
+            const cx = Math.floor(p.x / c.tileSize);
+            const cz = Math.floor(p.z / c.tileSize);
+            for (let ox = -c.tileRadius; ox <= c.tileRadius; ox++) {
+                for (let oz = -c.tileRadius; oz <= c.tileRadius; oz++) {
+                    const key = (cx + ox) + "," + (cz + oz);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    tiles.push([cx + ox, cz + oz]);
+                }
+            }
+        }
+        return tiles;
+    }
+
+    // ------------------------------------------------------------
+    // Pickups
+    // ------------------------------------------------------------
+    updatePickups() {
+        const c = this.config;
+
+        this.pickups = [];
+
+        for (const [tileX, tileZ] of this.getLoadedTiles()) {
+            for (const p of generatePickupsForTile(tileX, tileZ, c.tileSize, this.seed)) {
+                if (this.collectedPickups.has(p.id)) continue;
+
+                const x = tileX * c.tileSize + p.localX;
+                const z = tileZ * c.tileSize + p.localZ;
+
+                // Skip pickups that would sit in (or on the rim of) a hole
+                if (this.holes.some(h => Math.hypot(x - h.x, z - h.z) < h.halfSize + c.pickupRadius)) continue;
+
+                this.pickups.push({ id: p.id, x: x, z: z, type: p.type });
+            }
+        }
+    }
+
+    collectPickups() {
+        const c = this.config;
+        const r = c.playerRadius + c.pickupRadius;
+
+        this.pickups = this.pickups.filter(pickup => {
+            const p = this.players.find(player => player.alive && circlesOverlap(pickup, player, r));
+            if (!p) return true;
+
+            this.collectedPickups.add(pickup.id);
+            p.stats.pickups++;
+            // Collecting an active effect again restarts its timer
+            p.effects[pickup.type] = Math.max(p.effects[pickup.type], GameRules.getPickupDuration(pickup.type, c));
+            this.events.push({ type: "pickupCollected", pickup: pickup, player: p.index });
+            return false;
+        });
+    }
+
+    updateEffects(delta) {
+        for (const p of this.players) {
+            for (const type of Object.keys(p.effects)) {
+                if (p.effects[type] > 0) {
+                    p.effects[type] = Math.max(0, p.effects[type] - delta);
+                }
+            }
+        }
+    }
+
+    /**
+     * Every player alive scores for the time; in co-op the team scores once,
+     * doubled while either player has a multiplier, and in last-one-standing
+     * the world's score is the leader's
+     */
+    updateScore(delta) {
+        for (const p of this.players) {
+            if (p.alive) p.score += delta * this.getScoreRate(p);
+        }
+        if (this.teamMode === "lastStanding") {
+            this.score = Math.max(...this.players.map(p => p.score));
+        } else {
+            this.score += delta * this.getScoreRate();
+        }
+    }
+
+    /**
+     * Action: Give a player bonus points (doubled by their score multiplier) on top of their time score
+     * @returns {Number} - The points given
+     */
+    awardBonus(p, points) {
+        const bonus = points * this.getScoreRate(p);
+        p.score += bonus;
+        p.stats.bonus += bonus;
+        if (this.teamMode === "lastStanding") {
+            this.score = Math.max(this.score, p.score);
+        } else {
+            this.score += bonus;
+        }
+        return bonus;
+    }
+
+    /**
+     * Action: A near miss or lure carries on a player's combo, or starts one
+     * @returns {Number} - The combo's multiplier for this move's bonus
+     */
+    extendCombo(p) {
+        p.combo = p.comboTimer > 0 ? p.combo + 1 : 1;
+        p.comboTimer = this.config.comboWindow;
+        p.stats.bestCombo = Math.max(p.stats.bestCombo, p.combo);
+        return this.getComboMultiplier(p);
+    }
+
+    /**
+     * What a player's combo multiplies their bonuses by (1 outside a combo)
+     */
+    getComboMultiplier(p) {
+        const c = this.config;
+        return Math.min(c.maxComboMultiplier, 1 + c.comboStep * Math.max(0, p.combo - 1));
+    }
+
+    // Getting hit (shielded or not) ends a combo
+    breakCombo(p) {
+        p.combo = 0;
+        p.comboTimer = 0;
+    }
+
+    updateCombos(delta) {
+        for (const p of this.players) {
+            if (p.comboTimer <= 0) continue;
+            p.comboTimer = Math.max(0, p.comboTimer - delta);
+            if (p.comboTimer === 0) p.combo = 0;
+        }
+    }
+
+    /**
+     * Points per second for one player, or for the team (any player alive with a multiplier)
+     */
+    getScoreRate(player = null) {
+        const multiplied = player
+            ? player.effects.multiplier > 0
+            : this.players.some(p => p.alive && p.effects.multiplier > 0);
+        return multiplied ? this.config.scoreMultiplierFactor : 1;
+    }
+
+    /**
+     * Hole detection using circular boundaries
+     */
+    isFullyInHole(x, z, radius) {
+        return isFullyInHole(this.holes, x, z, radius);
+    }
+
+    findHoleAtPosition(x, z) {
+        return findHoleAtPosition(this.holes, x, z);
+    }
+
+    // ------------------------------------------------------------
+    // Difficulty
+    // ------------------------------------------------------------
+    updateDifficulty(liveTime) {
+        const c = this.config;
+
+        this.ensureMeteors(GameRules.getMeteorCount(liveTime, c));
+        this.ensureEnemies(GameRules.getEnemyCount(liveTime, c));
+    }
+
+    // Speeds scale with survival time (not score, which the multiplier inflates)
+    getMeteorFallSpeed() {
+        return GameRules.getMeteorFallSpeed(this.time, this.config) * this.getTimeSlowFactor();
+    }
+
+    getEnemySpeed() {
+        return GameRules.getEnemySpeed(this.time, this.config) * this.getTimeSlowFactor();
+    }
+
+    // Either player's time slow slows the whole world
+    getTimeSlowFactor() {
+        return this.players.some(p => p.effects.slow > 0) ? this.config.timeSlowFactor : 1;
+    }
+
+    getPlayerSpeed(player = this.player) {
+        return this.config.playerSpeed * (player.effects.speed > 0 ? this.config.speedBoostFactor : 1);
+    }
+
+    // ------------------------------------------------------------
+    // Players
+    // ------------------------------------------------------------
+    updatePlayer(p, delta, move) {
+        const c = this.config;
+
+        // Trigger falling when fully inside a hole
+        if (this.isFullyInHole(p.x, p.z, c.playerRadius)) {
+            this.downPlayer(p, "blackHole", this.findHoleAtPosition(p.x, p.z));
+            return;
+        }
+
+        let dx = move ? (move.dx || 0) : 0;
+        let dz = move ? (move.dz || 0) : 0;
+        const len = Math.sqrt(dx * dx + dz * dz);
+        if (len > 1) {
+            dx /= len;
+            dz /= len;
+        }
+
+        // The holes pull the rocket in on top of its own thrust
+        const speed = this.getPlayerSpeed(p);
+        const pull = this.getHolePull(p.x, p.z);
+        p.vx = dx * speed + pull.x;
+        p.vz = dz * speed + pull.z;
+        p.x += p.vx * delta;
+        p.z += p.vz * delta;
+        p.stats.distance += Math.sqrt(p.vx * p.vx + p.vz * p.vz) * delta;
+    }
+
+    /**
+     * Action: Pull two rockets that have drifted too far apart back toward each other
+     */
+    keepPlayersTogether() {
+        const alive = this.players.filter(p => p.alive);
+        if (alive.length < 2) return;
+
+        const [a, b] = alive;
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const d = Math.sqrt(dx * dx + dz * dz);
+        const excess = d - this.config.maxPlayerSeparation;
+        if (excess <= 0) return;
+
+        const pull = excess / 2 / d;
+        a.x += dx * pull;
+        a.z += dz * pull;
+        b.x -= dx * pull;
+        b.z -= dz * pull;
+    }
+
+    /**
+     * Decision: The players the world centres on (the alive ones; all of them once none is)
+     */
+    getActivePlayers() {
+        const alive = this.players.filter(p => p.alive);
+        return alive.length > 0 ? alive : this.players;
+    }
+
+    /**
+     * Decision: The player a spawn goes around: the only one, or an active one at random
+     * (one player never draws from the random stream here, so solo runs stay as they were)
+     */
+    pickSpawnPlayer() {
+        if (this.players.length === 1) return this.player;
+        const active = this.getActivePlayers();
+        return active[Math.floor(this.random() * active.length)];
+    }
+
+    /**
+     * Decision: The active player closest to a point
+     */
+    getNearestPlayer(x, z) {
+        let nearest = null;
+        let best = Infinity;
+        for (const p of this.getActivePlayers()) {
+            const d = Math.hypot(p.x - x, p.z - z);
+            if (d < best) {
+                best = d;
+                nearest = p;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Action: Take a player out of the run; the outcome is settled after the
+     * step's collisions (checkOutcome), so two players going down together draw
+     */
+    downPlayer(p, cause, hole = null) {
+        p.alive = false;
+        p.vx = 0;
+        p.vz = 0;
+        p.cause = cause;
+        this.breakCombo(p);
+        this.lastDown = { cause: cause, hole: hole };
+        this.events.push({ type: "playerDown", player: p.index, cause: cause, hole: hole, x: p.x, z: p.z });
+        if (this.players.length === 1) return;
+
+        // A downed player's pickups go with them
+        for (const type of Object.keys(p.effects)) p.effects[type] = 0;
+        if (this.teamMode === "coop") p.reviveTimer = this.config.coopReviveDelay;
+    }
+
+    /**
+     * Action: End the run once co-op has nobody left, or last-one-standing has one player (or none)
+     */
+    checkOutcome() {
+        if (this.isGameOver || !this.lastDown) return;
+
+        const alive = this.players.filter(p => p.alive);
+        if (this.teamMode === "lastStanding") {
+            if (alive.length > 1) return;
+            this.winner = alive.length === 1 ? alive[0].index : this.getTieWinner();
+        } else if (alive.length > 0) {
+            return;
+        }
+        this.endGame(this.lastDown.cause, this.lastDown.hole);
+    }
+
+    /**
+     * Decision: Both went down together: the higher score wins (null for a draw)
+     */
+    getTieWinner() {
+        const [a, b] = this.players;
+        if (a.score === b.score) return null;
+        return a.score > b.score ? a.index : b.index;
+    }
+
+    /**
+     * Action: Count down downed co-op players and bring them back beside their partner
+     */
+    updateRevives(delta) {
+        for (const p of this.players) {
+            if (p.alive || p.reviveTimer <= 0) continue;
+            p.reviveTimer = Math.max(0, p.reviveTimer - delta);
+            if (p.reviveTimer === 0) this.revivePlayer(p);
+        }
+    }
+
+    revivePlayer(p) {
+        const c = this.config;
+        const partner = this.players.find(other => other.alive);
+        if (!partner) return;
+
+        // Beside the partner, on the side they went down on (or right on the partner over a hole)
+        const dx = p.x - partner.x;
+        const dz = p.z - partner.z;
+        const d = Math.sqrt(dx * dx + dz * dz);
+        const gap = 2 * c.twoPlayerStartOffset;
+        const x = d > 0.001 ? partner.x + (dx / d) * gap : partner.x + gap;
+        const z = d > 0.001 ? partner.z + (dz / d) * gap : partner.z;
+        const clear = !this.holes.some(h => Math.hypot(x - h.x, z - h.z) < h.halfSize + c.playerRadius);
+
+        p.x = clear ? x : partner.x;
+        p.z = clear ? z : partner.z;
+        p.alive = true;
+        p.cause = null;
+        p.effects.shield = c.coopReviveShield;
+        this.events.push({ type: "playerRevived", player: p.index, x: p.x, z: p.z });
+    }
+
+    // ------------------------------------------------------------
+    // Meteors
+    // ------------------------------------------------------------
+    ensureMeteors(targetCount) {
+        const count = Math.min(targetCount, this.config.maxMeteorCount);
+        while (this.meteors.length < count) {
+            const m = { x: 0, y: 0, z: 0, respawnTimer: 0 };
+            this.resetMeteorNearPlayer(m, true);
+            this.meteors.push(m);
+        }
+    }
+
+    resetMeteorNearPlayer(meteor, randomHeight) {
+        const c = this.config;
+
+        meteor.y = randomHeight
+            ? lerp(6, 24, this.random())
+            : lerp(14, 26, this.random());
+        meteor.respawnTimer = 0;
+
+        // Now and then a respawn starts a shower instead (never in the opening layout)
+        if (this.shower.remaining === 0 && !randomHeight && this.random() < c.meteorShowerChance) {
+            const p = this.pickSpawnPlayer();
+            const center = pointInRing(p.x, p.z, c.meteorSpawnRadiusMin, c.meteorSpawnRadiusMin * 3, this.random);
+            this.shower = { x: center.x, z: center.z, remaining: c.meteorShowerSize };
+        }
+
+        if (this.shower.remaining > 0) {
+            this.shower.remaining--;
+            this.setMeteorType(meteor, "small");
+            const spot = pointInRing(this.shower.x, this.shower.z, 0, c.meteorShowerRadius, this.random);
+            meteor.x = spot.x;
+            meteor.z = spot.z;
+            return;
+        }
+
+        const type = pickMeteorType(c.meteorTypeWeights, this.random);
+        this.setMeteorType(meteor, type);
+        if (type === "aimed") {
+            this.aimMeteor(meteor);
+            return;
+        }
+
+        const p = this.pickSpawnPlayer();
+        const spot = pointInRing(p.x, p.z, c.meteorSpawnRadiusMin, c.meteorSpawnRadiusMax, this.random);
+        meteor.x = spot.x;
+        meteor.z = spot.z;
+
+        const drift = GameRules.METEOR_TYPES[type].drift;
+        if (drift > 0) {
+            const driftAngle = this.random() * Math.PI * 2;
+            meteor.driftX = Math.cos(driftAngle) * drift;
+            meteor.driftZ = Math.sin(driftAngle) * drift;
+        }
+    }
+
+    setMeteorType(meteor, type) {
+        const c = this.config;
+        const t = GameRules.METEOR_TYPES[type];
+        meteor.type = type;
+        meteor.radius = c.meteorRadius * t.radius;
+        meteor.blastRadius = t.blastRadius ? c.meteorRadius * t.blastRadius : 0;
+        meteor.speedFactor = t.speed;
+        meteor.driftX = 0;
+        meteor.driftZ = 0;
+    }
+
+    /**
+     * Action: Start an aimed meteor off to one side of where a player will be
+     * when it comes down, drifting onto that spot
+     */
+    aimMeteor(meteor) {
+        const c = this.config;
+        const p = this.pickSpawnPlayer();
+        const drop = Math.max(meteor.y - c.playerHeight, 1);
+        const timeToPlayer = drop / (this.getMeteorFallSpeed() * meteor.speedFactor);
+        const targetX = p.x + p.vx * timeToPlayer;
+        const targetZ = p.z + p.vz * timeToPlayer;
+
+        const start = pointInRing(targetX, targetZ, c.aimedMeteorOffsetMin, c.aimedMeteorOffsetMax, this.random);
+        meteor.x = start.x;
+        meteor.z = start.z;
+        // Drift is per unit of fall, so it reaches the target at player height whatever the speed
+        meteor.driftX = (targetX - meteor.x) / drop;
+        meteor.driftZ = (targetZ - meteor.z) / drop;
+    }
+
+    /**
+     * A falling meteor's velocity right now: its own, bent by the holes' pull
+     * (slowed with the rest of the world by time slow)
+     */
+    getMeteorVelocity(meteor, fallSpeed = this.getMeteorFallSpeed()) {
+        const v = GameRules.getMeteorVelocity(meteor, fallSpeed);
+        const pull = this.getHolePull(meteor.x, meteor.z);
+        const slow = this.getTimeSlowFactor();
+        v.x += pull.x * slow;
+        v.z += pull.z * slow;
+        return v;
+    }
+
+    updateMeteors(delta) {
+        const c = this.config;
+        const fallSpeed = this.getMeteorFallSpeed();
+
+        for (let i = 0; i < this.meteors.length; i++) {
+            const m = this.meteors[i];
+
+            // Landed meteors wait out the respawn delay on the ground
+            if (m.respawnTimer > 0) {
+                m.respawnTimer -= delta;
+                if (m.respawnTimer <= 0) {
+                    this.resetMeteorNearPlayer(m, false);
+                }
+                continue;
+            }
+
+            const v = this.getMeteorVelocity(m, fallSpeed);
+            m.x += v.x * delta;
+            m.y += v.y * delta;
+            m.z += v.z * delta;
+
+            // Ground collision
+            if (m.y <= c.meteorGroundHeight) {
+                m.y = c.meteorGroundHeight; // Snap to ground
+                this.events.push({
+                    type: "meteorLanded",
+                    index: i,
+                    x: m.x, y: m.y, z: m.z,
+                    meteorType: m.type,
+                    radius: m.radius,
+                    blastRadius: m.blastRadius
+                });
+
+                // Big meteors also hit anything near where they land; anyone else close by dodged it
+                if (!this.isGameOver) {
+                    for (const p of this.players) {
+                        if (!p.alive) continue;
+                        if (isInBlast(m, p, c.playerRadius)) this.hitPlayerWithMeteor(m, p);
+                        else this.scoreMeteorMiss(m, p);
+                    }
+                }
+
+                if (c.meteorRespawnDelay > 0) {
+                    m.respawnTimer = c.meteorRespawnDelay;
+                } else {
+                    this.resetMeteorNearPlayer(m, true);
+                }
+            }
+        }
+    }
+
+    /**
+     * Action: A meteor came down without hitting a player: count it as dodged if it
+     * landed close, and as a near miss (a combo bonus) if it landed very close
+     */
+    scoreMeteorMiss(m, p) {
+        const c = this.config;
+        const reach = c.playerRadius + Math.max(m.radius, m.blastRadius);
+        const gap = Math.hypot(m.x - p.x, m.z - p.z) - reach;
+        if (gap >= c.meteorDodgeRing) return;
+        p.stats.meteorsDodged++;
+        if (gap >= c.nearMissRing) return;
+
+        p.stats.nearMisses++;
+        const multiplier = this.extendCombo(p);
+        const bonus = this.awardBonus(p, c.nearMissBonus * multiplier);
+        this.events.push({
+            type: "nearMiss",
+            x: m.x, z: m.z,
+            gap: Math.max(0, gap),
+            combo: p.combo,
+            multiplier: multiplier,
+            bonus: bonus,
+            player: p.index
+        });
+    }
+
+    // ------------------------------------------------------------
+    // Enemies
+    // ------------------------------------------------------------
+    ensureEnemies(targetCount) {
+        const c = this.config;
+        const count = Math.min(targetCount, c.maxEnemyCount);
+        while (this.enemies.length < count) {
+            const cycle = c.enemyArchetypeCycle;
+            const e = {
+                x: 0, y: c.enemyHeight, z: 0, vx: 0, vz: 0,
+                heading: this.random() * Math.PI * 2,
+                // Archetypes follow the spawn order, so every run of a seed meets the same aliens
+                archetype: cycle[this.enemies.length % cycle.length]
+            };
+            // Every spot tried was in a hole: try again next step
+            if (!this.spawnEnemyNearPlayer(e)) break;
+            this.enemies.push(e);
+        }
+    }
+
+    /**
+     * Action: Put an alien at a random spot in the spawn ring around a player
+     * Never in a hole (it would be swallowed straight away): after
+     * ENEMY_SPAWN_ATTEMPTS spots in holes the alien is left as it was.
+     * @returns {Boolean} - Whether it was placed
+     */
+    spawnEnemyNearPlayer(enemy) {
+        const c = this.config;
+        const p = this.pickSpawnPlayer();
+        let spot = null;
+        for (let i = 0; i < ENEMY_SPAWN_ATTEMPTS && !spot; i++) {
+            const tried = pointInRing(p.x, p.z, c.enemySpawnRadiusMin, c.enemySpawnRadiusMax, this.random);
+            if (!this.findHoleAtPosition(tried.x, tried.z)) spot = tried;
+        }
+        if (!spot) return false;
+
+        enemy.target = p.index;
+        enemy.x = spot.x;
+        enemy.z = spot.z;
+        enemy.vx = 0;
+        enemy.vz = 0;
+        // Which way flankers swing and patrollers circle
+        enemy.side = this.random() < 0.5 ? -1 : 1;
+        // Patrollers patrol around where they appeared
+        enemy.patrolX = enemy.x;
+        enemy.patrolZ = enemy.z;
+        return true;
+    }
+
+    /**
+     * The holes' pull on an alien (units/sec, {x, z}), slowed with the world and held
+     * under enemyHolePullLimit times its own speed: it can always fly clear, so only
+     * one heading in (after a rocket, across a hole) falls in
+     */
+    getEnemyHolePull(enemy, speed, slow) {
+        const pull = this.getHolePull(enemy.x, enemy.z);
+        const strength = Math.sqrt(pull.x * pull.x + pull.z * pull.z) * slow;
+        const limit = this.config.enemyHolePullLimit * speed;
+        const scale = strength > limit ? limit / strength : 1;
+        return { x: pull.x * slow * scale, z: pull.z * slow * scale };
+    }
+
+    /**
+     * Speed of one enemy (units/sec): the shared chase speed times its archetype's factor
+     */
+    getEnemySpeedFor(enemy) {
+        const archetype = GameRules.ENEMY_ARCHETYPES[enemy.archetype] || GameRules.ENEMY_ARCHETYPES.chaser;
+        return this.getEnemySpeed() * archetype.speed;
+    }
+
+    updateEnemies(delta) {
+        const c = this.config;
+
+        // Steer every enemy from the same snapshot, then move them all
+        const steering = this.enemies.map(e => this.steerEnemy(e));
+        const slow = this.getTimeSlowFactor();
+        // Swallowed aliens with nowhere to come back (ensureEnemies replaces them later)
+        const gone = new Set();
+
+        this.enemies.forEach((e, i) => {
+            // The holes drag aliens along too, though never faster than they move themselves
+            const speed = this.getEnemySpeedFor(e);
+            const pull = this.getEnemyHolePull(e, speed, slow);
+            e.vx = steering[i].x * speed + pull.x;
+            e.vz = steering[i].z * speed + pull.z;
+            e.x += e.vx * delta;
+            e.z += e.vz * delta;
+            if (steering[i].x !== 0 || steering[i].z !== 0) {
+                // Face the way it's moving (0 = +Z direction)
+                e.heading = Math.atan2(steering[i].x, steering[i].z);
+            }
+
+            // An alien whose centre ends up over a hole falls in
+            const hole = this.findHoleAtPosition(e.x, e.z);
+            if (hole) {
+                if (!this.swallowEnemy(e, hole)) gone.add(e);
+            } else {
+                const p = this.getNearestPlayer(e.x, e.z);
+                if (Math.hypot(p.x - e.x, p.z - e.z) > c.enemyDespawnDistance) this.spawnEnemyNearPlayer(e);
+            }
+        });
+        if (gone.size > 0) this.enemies = this.enemies.filter(e => !gone.has(e));
+    }
+
+    /**
+     * Decision: The player an alien goes after: the nearest active one, but it
+     * only switches once the other is enemyRetargetMargin closer, so it doesn't
+     * dither between two rockets about as far away
+     */
+    chooseEnemyTarget(enemy) {
+        if (this.players.length === 1) return this.player;
+
+        const nearest = this.getNearestPlayer(enemy.x, enemy.z);
+        const current = this.players[enemy.target];
+        if (current && current !== nearest && current.alive === nearest.alive) {
+            const dCurrent = Math.hypot(current.x - enemy.x, current.z - enemy.z);
+            const dNearest = Math.hypot(nearest.x - enemy.x, nearest.z - enemy.z);
+            if (dCurrent - dNearest < this.config.enemyRetargetMargin) return current;
+        }
+        enemy.target = nearest.index;
+        return nearest;
+    }
+
+    /**
+     * Decision: Unit direction an enemy moves in this step
+     * Its archetype's target, plus separation from nearby aliens and, for
+     * hole-aware archetypes, steering off holes.
+     */
+    steerEnemy(enemy) {
+        const c = this.config;
+        const target = GameRules.getEnemyTarget(enemy, this.chooseEnemyTarget(enemy), this.getEnemySpeedFor(enemy), c);
+        let x = target.x - enemy.x;
+        let z = target.z - enemy.z;
+        const d = Math.sqrt(x * x + z * z);
+        if (d < 0.001) return { x: 0, z: 0 };
+        x /= d;
+        z /= d;
+
+        for (const other of this.enemies) {
+            if (other === enemy) continue;
+            const ox = enemy.x - other.x;
+            const oz = enemy.z - other.z;
+            const od = Math.sqrt(ox * ox + oz * oz);
+            if (od < 0.001 || od >= c.enemySeparationRadius) continue;
+            const push = c.enemySeparationWeight * (1 - od / c.enemySeparationRadius);
+            x += (ox / od) * push;
+            z += (oz / od) * push;
+        }
+
+        const archetype = GameRules.ENEMY_ARCHETYPES[enemy.archetype] || GameRules.ENEMY_ARCHETYPES.chaser;
+        if (archetype.avoidsHoles) {
+            for (const h of this.holes) {
+                const hx = enemy.x - h.x;
+                const hz = enemy.z - h.z;
+                const hd = Math.sqrt(hx * hx + hz * hz);
+                const clearance = hd - h.halfSize;
+                if (hd < 0.001 || clearance >= c.enemyHoleMargin) continue;
+
+                // Push off the hole and slide around it on the side we're already heading
+                const push = 2 * (1 - Math.max(0, clearance) / c.enemyHoleMargin);
+                const side = (-hz * x + hx * z) >= 0 ? 1 : -1;
+                x += (hx / hd) * push * 0.5 + (-hz / hd) * side * push;
+                z += (hz / hd) * push * 0.5 + (hx / hd) * side * push;
+            }
+        }
+
+        const len = Math.sqrt(x * x + z * z);
+        return len < 0.001 ? { x: 0, z: 0 } : { x: x / len, z: z / len };
+    }
+
+    /**
+     * Action: An alien fell into a hole. If the player it was chasing is within
+     * enemyLureRadius they led it there: they score for the lure and it carries on
+     * their combo. One that strays in on its own, far behind them, earns nothing.
+     * @returns {Boolean} - Whether it came back in the spawn ring (see spawnEnemyNearPlayer)
+     */
+    swallowEnemy(enemy, hole) {
+        const p = this.players[enemy.target] || this.player;
+        const lured = !this.isGameOver && p.alive &&
+            Math.hypot(p.x - enemy.x, p.z - enemy.z) <= this.config.enemyLureRadius;
+        let bonus = 0;
+        if (lured) {
+            p.stats.lures++;
+            bonus = this.awardBonus(p, this.config.enemyLureBonus * this.extendCombo(p));
+        }
+        this.events.push({
+            type: "enemySwallowed",
+            x: enemy.x, z: enemy.z,
+            archetype: enemy.archetype,
+            hole: hole,
+            lured: lured,
+            bonus: bonus,
+            combo: p.combo,
+            player: p.index
+        });
+        return this.spawnEnemyNearPlayer(enemy);
+    }
+
+    // ------------------------------------------------------------
+    // Collisions
+    // ------------------------------------------------------------
+    checkCollisions() {
+        if (this.isGameOver) return;
+
+        const c = this.config;
+
+        for (const m of this.meteors) {
+            if (m.respawnTimer > 0) continue; // landed meteors are inert
+            const p = this.players.find(player => player.alive && spheresOverlap(m, player, c.playerRadius + m.radius));
+            if (p && !this.hitPlayerWithMeteor(m, p)) {
+                // The shield took it; the meteor shatters and respawns
+                this.resetMeteorNearPlayer(m, false);
+            }
+        }
+
+        for (const e of this.enemies) {
+            for (const p of this.players) {
+                if (!p.alive) continue;
+                // The closest call so far (0 once one catches them)
+                const gap = Math.max(0, Math.hypot(e.x - p.x, e.z - p.z) - (c.playerRadius + c.enemyRadius));
+                if (p.stats.closestEnemy === null || gap < p.stats.closestEnemy) p.stats.closestEnemy = gap;
+                if (circlesOverlap(e, p, c.playerRadius + c.enemyRadius)) this.downPlayer(p, "enemy");
+            }
+        }
+    }
+
+    /**
+     * Action: A meteor reached a player; a shield takes the hit instead of taking them out
+     * @returns {Boolean} - True if the player went down
+     */
+    hitPlayerWithMeteor(m, p = this.player) {
+        if (p.effects.shield > 0) {
+            p.effects.shield = 0;
+            this.breakCombo(p);
+            this.events.push({ type: "shieldBroken", x: m.x, y: m.y, z: m.z, player: p.index });
+            return false;
+        }
+        this.downPlayer(p, "meteor");
+        return true;
+    }
+
+    endGame(cause, hole = null) {
+        if (this.isGameOver) return;
+        this.isGameOver = true;
+        this.gameOverCause = cause;
+        this.gameOverHole = hole;
+        this.events.push({ type: "gameOver", cause: cause, hole: hole, winner: this.winner });
+    }
+
+    // ------------------------------------------------------------
+    // AI observation
+    // ------------------------------------------------------------
+    /**
+     * Snapshot of the world in the shape AI strategies expect (see strategies.js),
+     * as one player sees it
+     * @param {Number} index - The player (0 or 1)
+     * @returns {Object} - {meteors, position, velocity, score, time, enemies, holes, pickups, effects,
+     *   playerSpeed, partner: {position, velocity, alive} | null}
+     */
+    getObservation(index = 0) {
+        const p = this.players[index];
+        const partner = this.players.find(other => other !== p) || null;
+        const fallSpeed = this.getMeteorFallSpeed();
+        const meteors = [];
+        for (const m of this.meteors) {
+            if (m.respawnTimer > 0) continue;
+            meteors.push({
+                position: { x: m.x, y: m.y, z: m.z },
+                velocity: this.getMeteorVelocity(m, fallSpeed),
+                radius: m.radius,
+                blastRadius: m.blastRadius,
+                type: m.type
+            });
+        }
+
+        return {
+            meteors: meteors,
+            position: { x: p.x, y: p.y, z: p.z },
+            velocity: { x: p.vx, z: p.vz },
+            score: this.score,
+            time: this.time,
+            enemies: this.enemies.map(e => ({
+                position: { x: e.x, y: e.y, z: e.z },
+                velocity: { x: e.vx, y: 0, z: e.vz },
+                speed: this.getEnemySpeedFor(e),
+                archetype: e.archetype,
+                side: e.side,
+                patrol: { x: e.patrolX, z: e.patrolZ }
+            })),
+            // Copies, like everything else here: strategies (player scripts too) mustn't change the world
+            holes: this.holes.map(h => Object.assign({}, h)),
+            pickups: this.pickups.map(p => Object.assign({}, p)),
+            effects: Object.assign({}, p.effects),
+            playerSpeed: this.getPlayerSpeed(p),
+            partner: partner && {
+                position: { x: partner.x, y: partner.y, z: partner.z },
+                velocity: { x: partner.vx, z: partner.vz },
+                alive: partner.alive
+            }
+        };
+    }
+}
+
+/**
+ * A player at the start of a run ({vx, vz} is the actual velocity applied in the last step)
+ */
+function createPlayer(index, x, y) {
+    return {
+        index: index,
+        x: x, y: y, z: 0, vx: 0, vz: 0,
+        alive: true,
+        reviveTimer: 0, // co-op: seconds until a downed player comes back
+        score: 0,       // this player's own points (the run's are world.score)
+        cause: null,    // what took them out, while down
+        combo: 0,       // near misses and lures in a row, each within comboWindow of the last
+        comboTimer: 0,  // seconds left to carry the combo on
+        // Seconds left on each pickup effect (0 = inactive)
+        effects: { shield: 0, speed: 0, slow: 0, multiplier: 0 },
+        stats: createRunStats()
+    };
+}
+
+/**
+ * A player's tally for the run (the game-over stats panel and the event log)
+ */
+function createRunStats() {
+    return {
+        distance: 0,        // units flown
+        meteorsDodged: 0,   // meteors landing within meteorDodgeRing of hitting them
+        nearMisses: 0,
+        bestCombo: 0,
+        lures: 0,           // aliens lured into a hole
+        pickups: 0,
+        closestEnemy: null, // the smallest gap (units) an alien got to, null if none came
+        bonus: 0            // points from near misses and lures
+    };
+}
+
+export { WorldSimulation, TEAM_MODES };
@@ -0,0 +1,192 @@
+/**
+ * Spawning for Meteor Dodge 3D
+ * Seeds, the seeded random number generators and where things appear: the
+ * holes and pickups of each floor tile (derived from the tile and the run
+ * seed alone, so a tile looks the same every time it loads) and the helpers
+ * WorldSimulation places meteors and enemies with.
+ *
+ * Everything here is deterministic given its inputs; the order of random()
+ * calls is part of the replay format (see REPLAY_VERSION in replay.js).
+ */
+
+import GameRules from "./rules.js";
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Seeded PRNG (mulberry32) for run-level randomness
+ * @param {Number} seed - 32-bit unsigned seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turn a user-supplied seed (number or any string) into a 32-bit unsigned seed
+ */
+function normalizeSeed(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return Math.floor(value) >>> 0;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Simple seeded random number generator for consistent randomness
+function seededRandom(seed) {
+    // Simple LCG (Linear Congruential Generator)
+    seed = (seed * 9301 + 49297) % 233280;
+    return seed / 233280;
+}
+
+// ------------------------------------------------------------
+// Floor tiles
+// ------------------------------------------------------------
+function generateHolesForTile(tileX, tileZ, tileSize = GameRules.WORLD_CONFIG.tileSize, runSeed = 0) {
+    // Create a deterministic seed from tile coordinates (and the run seed, so each run has its own layout)
+    let seed = (tileX * 73856093) ^ (tileZ * 19349663) ^ runSeed;
+    seed = (seed >>> 0); // Ensure positive integer
+
+    // 0-2 holes per tile, deterministic based on tile position
+    const r = seededRandom(seed);
+    const holeCount = (r < 0.35) ? 0 : (r < 0.75 ? 1 : 2);
+
+    const results = [];
+    const margin = 5; // keep away from edges
+    const usable = tileSize * 0.5 - margin;
+
+    for (let i = 0; i < holeCount; i++) {
+        // Generate new seed for each hole
+        seed = (seed * 73856093) ^ (i * 19349663);
+        seed = (seed >>> 0);
+
+        const rx = seededRandom(seed);
+        seed = (seed * 73856093) ^ ((i + 1) * 19349663);
+        seed = (seed >>> 0);
+
+        const rz = seededRandom(seed);
+        seed = (seed * 73856093) ^ ((i + 2) * 19349663);
+        seed = (seed >>> 0);
+
+        // local offsets within tile
+        const localX = lerp(-usable, usable, rx);
+        const localZ = lerp(-usable, usable, rz);
+
+        const sizeR = seededRandom(seed);
+        const halfSize = lerp(1.6, 3.0, sizeR);
+
+        // Where on its drift circle the hole starts (without moving the seed on, so layouts stay as they were)
+        const driftPhase = seededRandom((seed ^ 0x9e3779b9) >>> 0) * Math.PI * 2;
+
+        results.push({ localX, localZ, halfSize, driftPhase });
+    }
+
+    return results;
+}
+
+/**
+ * Pickups for a tile, derived from the tile and run seed like the holes
+ * (with a different salt, so they don't follow the hole layout)
+ */
+function generatePickupsForTile(tileX, tileZ, tileSize = GameRules.WORLD_CONFIG.tileSize, runSeed = 0) {
+    let seed = (tileX * 83492791) ^ (tileZ * 2654435761) ^ runSeed ^ 0x5bd1e995;
+    seed = (seed >>> 0);
+
+    // 0-2 pickups per tile
+    const r = seededRandom(seed);
+    const pickupCount = (r < 0.5) ? 0 : (r < 0.85 ? 1 : 2);
+
+    const results = [];
+    const margin = 3;
+    const usable = tileSize * 0.5 - margin;
+
+    for (let i = 0; i < pickupCount; i++) {
+        seed = (seed * 83492791) ^ ((i + 1) * 2654435761);
+        seed = (seed >>> 0);
+        const rx = seededRandom(seed);
+
+        seed = (seed * 83492791) ^ ((i + 2) * 2654435761);
+        seed = (seed >>> 0);
+        const rz = seededRandom(seed);
+
+        seed = (seed * 83492791) ^ ((i + 3) * 2654435761);
+        seed = (seed >>> 0);
+        const types = GameRules.PICKUP_TYPES;
+        const type = types[Math.min(types.length - 1, Math.floor(seededRandom(seed) * types.length))];
+
+        results.push({
+            id: tileX + "," + tileZ + "," + i,
+            localX: lerp(-usable, usable, rx),
+            localZ: lerp(-usable, usable, rz),
+            type: type
+        });
+    }
+
+    return results;
+}
+
+// ------------------------------------------------------------
+// Meteors and enemies
+// ------------------------------------------------------------
+/**
+ * Decision: A random point in the ring between two radii around (x, z)
+ * Draws the angle, then the distance.
+ * @param {Function} random - Returns floats in [0, 1)
+ */
+function pointInRing(x, z, minRadius, maxRadius, random) {
+    const angle = random() * Math.PI * 2;
+    const dist = lerp(minRadius, maxRadius, random());
+    return { x: x + Math.cos(angle) * dist, z: z + Math.sin(angle) * dist };
+}
+
+/**
+ * Decision: Random meteor type, by weight (types weighted 0 never come up)
+ * @param {Object} weights - {type: weight}, e.g. config.meteorTypeWeights
+ */
+function pickMeteorType(weights, random) {
+    const types = Object.keys(GameRules.METEOR_TYPES).filter(t => weights[t] > 0);
+    const total = types.reduce((sum, t) => sum + weights[t], 0);
+    let r = random() * total;
+    for (const t of types) {
+        r -= weights[t];
+        if (r < 0) return t;
+    }
+    return "normal";
+}
+
+export {
+    lerp,
+    createRandom,
+    normalizeSeed,
+    randomSeed,
+    seededRandom,
+    generateHolesForTile,
+    generatePickupsForTile,
+    pointInRing,
+    pickMeteorType
+};
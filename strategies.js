@@ -0,0 +1,303 @@
+/**
+ * AI strategies for Meteor Dodge 3D
+ * Every AI the game can run (the path planner, the reactive dodger, scripts
+ * loaded by the player) is a strategy: an object with
+ *
+ *   suggestMove(state) -> {dx, dz}   world-space move for this frame; length 1 is
+ *                                    full speed (longer moves are clamped, bad
+ *                                    values become "stay")
+ *   reset(config)                    optional; called before every run with the
+ *                                    world config the run uses
+ *
+ * state is WorldSimulation.getObservation() plus the selected AI level:
+ *   {
+ *     meteors: [{position: {x, y, z}, velocity: {x, y, z},   // falling meteors only
+ *                radius, blastRadius, type}],                // see GameRules.METEOR_TYPES
+ *     enemies: [{position: {x, y, z}, velocity: {x, y, z}, speed,
+ *                archetype, side, patrol: {x, z}}],          // see GameRules.getEnemyTarget
+ *     holes: [{x, z, halfSize}],                             // loaded tiles only
+ *     pickups: [{id, x, z, type}],                           // loaded tiles only
+ *     effects: {shield, speed, slow, multiplier},            // seconds left on each
+ *     position: {x, y, z}, velocity: {x, z}, playerSpeed, score, time,
+ *     partner: {position: {x, y, z}, velocity: {x, z},       // the other rocket in two-player
+ *               alive} | null,                               // runs; null with one player
+ *     level                                                  // 1-12, strategies may ignore it
+ *   }
+ *
+ * Strategies are created through a registry so the UI can list and pick them.
+ * A player script is the body of a function that returns a strategy (or just a
+ * suggestMove function), e.g.
+ *
+ *   return {
+ *       name: "Run away",
+ *       suggestMove(state) {
+ *           const e = state.enemies[0];
+ *           if (!e) return { dx: 0, dz: 0 };
+ *           return { dx: state.position.x - e.position.x, dz: state.position.z - e.position.z };
+ *       }
+ *   };
+ *
+ * An ES module; the default export is the AIStrategies namespace.
+ */
+
+import GameRules from "./rules.js";
+import { ComputerAI } from "./computer.js";
+
+const AIStrategies = (function () {
+    const STAY = { dx: 0, dz: 0 };
+
+    /**
+     * Turn whatever a strategy returned into a valid move (length <= 1)
+     */
+    function normalizeMove(move) {
+        if (!move) return STAY;
+
+        const dx = Number(move.dx) || 0;
+        const dz = Number(move.dz) || 0;
+        const len = Math.sqrt(dx * dx + dz * dz);
+        if (!isFinite(len)) return STAY;
+        if (len > 1) return { dx: dx / len, dz: dz / len };
+        return { dx: dx, dz: dz };
+    }
+
+    // ------------------------------------------------------------
+    // Path planner (ComputerAI)
+    // ------------------------------------------------------------
+    class PathStrategy {
+        /**
+         * @param {Object} options.ai - ComputerAI to drive (default: a new one on the state's clock)
+         * @param {Object} options.searchBudget - For the default ComputerAI (see its constructor)
+         */
+        constructor(options = {}) {
+            this.time = 0;
+            this.ai = options.ai || new ComputerAI({
+                clock: () => this.time,
+                debug: false,
+                config: options.config,
+                searchBudget: options.searchBudget
+            });
+        }
+
+        reset(config) {
+            this.ai.reset();
+            if (config) this.ai.setWorldConfig(config);
+        }
+
+        suggestMove(state) {
+            this.time = state.time;
+            return this.ai.suggestMove(
+                state.meteors, state.position, state.time, state.level,
+                state.enemies, state.holes, state.pickups, state.playerSpeed
+            );
+        }
+    }
+
+    // ------------------------------------------------------------
+    // Reactive dodger
+    // ------------------------------------------------------------
+    /**
+     * No plans and no memory: every frame it looks a fraction of a second ahead
+     * in 16 directions and takes the one with the least danger right there.
+     */
+    class ReactiveStrategy {
+        constructor(options = {}) {
+            this.config = Object.assign({}, GameRules.WORLD_CONFIG, options.config);
+            this.horizon = 0.3; // seconds looked ahead
+            this.directions = [STAY];
+            for (let i = 0; i < 16; i++) {
+                const angle = (i / 16) * Math.PI * 2;
+                this.directions.push({ dx: Math.cos(angle), dz: Math.sin(angle) });
+            }
+        }
+
+        reset(config) {
+            if (config) this.config = Object.assign({}, GameRules.WORLD_CONFIG, config);
+        }
+
+        suggestMove(state) {
+            const step = (state.playerSpeed || this.config.playerSpeed) * this.horizon;
+            let best = STAY;
+            let bestDanger = Infinity;
+
+            for (const dir of this.directions) {
+                const x = state.position.x + dir.dx * step;
+                const z = state.position.z + dir.dz * step;
+                const danger = this.dangerAt(x, z, state);
+                if (danger < bestDanger) {
+                    bestDanger = danger;
+                    best = dir;
+                }
+            }
+            return { dx: best.dx, dz: best.dz };
+        }
+
+        /**
+         * Decision: How dangerous is standing at (x, z) in the next moment?
+         */
+        dangerAt(x, z, state) {
+            const { playerRadius, playerHeight, meteorRadius } = this.config;
+            let danger = 0;
+
+            // The danger is where meteors come down to player height, soonest first
+            for (const m of state.meteors) {
+                const fallSpeed = Math.max(0.001, -m.velocity.y);
+                const timeToReach = (m.position.y - playerHeight) / fallSpeed;
+                if (timeToReach < -0.1 || timeToReach > 1.5) continue;
+
+                // Big meteors' blast covers more ground than the meteor itself
+                const hitRadius = playerRadius + Math.max(m.radius || meteorRadius, m.blastRadius || 0);
+                const t = Math.max(0, timeToReach);
+                const dist = Math.hypot(x - (m.position.x + m.velocity.x * t), z - (m.position.z + m.velocity.z * t));
+                const urgency = 1 - Math.max(0, timeToReach) / 1.5;
+                if (dist < hitRadius + 0.3) {
+                    danger += 100 * urgency;
+                } else if (dist < hitRadius * 3) {
+                    danger += 10 * urgency * (1 - dist / (hitRadius * 3));
+                }
+            }
+
+            for (const e of state.enemies) {
+                const dist = Math.hypot(x - e.position.x, z - e.position.z);
+                if (dist < 8) danger += (8 - dist) * (8 - dist);
+            }
+
+            // The player falls once fully inside a hole; keep a margin from that line
+            for (const hole of state.holes) {
+                const clearance = Math.hypot(x - hole.x, z - hole.z) - (hole.halfSize - playerRadius);
+                if (clearance < 2) danger += 300 * (2 - clearance);
+            }
+
+            return danger;
+        }
+    }
+
+    // ------------------------------------------------------------
+    // Player scripts
+    // ------------------------------------------------------------
+    /**
+     * Wrap a strategy so a throwing or misbehaving script can't stop the game
+     */
+    function guardStrategy(strategy, label) {
+        let warned = false;
+
+        function warnOnce(message, err) {
+            if (warned) return;
+            console.warn(`Strategy "${label}" ${message}`, err);
+            warned = true;
+        }
+
+        return {
+            reset(config) {
+                if (typeof strategy.reset !== "function") return;
+                try {
+                    strategy.reset(config);
+                } catch (err) {
+                    warnOnce("threw in reset; starting the run anyway.", err);
+                }
+            },
+            suggestMove(state) {
+                try {
+                    return normalizeMove(strategy.suggestMove(state));
+                } catch (err) {
+                    warnOnce("threw; standing still instead.", err);
+                    return STAY;
+                }
+            }
+        };
+    }
+
+    /**
+     * Compile a player's strategy script into a registry entry
+     * @param {String} source - Function body that returns a strategy or a suggestMove function
+     * @param {String} fallbackName - Label to use when the strategy has no name (e.g. the file name)
+     * @throws {Error} - If the script doesn't compile or doesn't return a strategy
+     */
+    function compileStrategyScript(source, fallbackName) {
+        let factory;
+        try {
+            factory = new Function("GameRules", source);
+        } catch (err) {
+            throw new Error(`Strategy script has a syntax error: ${err.message}`);
+        }
+
+        function instantiate() {
+            const result = factory(GameRules);
+            if (typeof result === "function") return { suggestMove: result };
+            if (result && typeof result.suggestMove === "function") return result;
+            throw new Error("Strategy script must return an object with suggestMove(state), or a function.");
+        }
+
+        // Run it once now so a broken script is reported when it's loaded, not mid-game
+        const label = instantiate().name || fallbackName || "Script";
+
+        return {
+            label: label,
+            description: "Loaded script",
+            create: () => guardStrategy(instantiate(), label)
+        };
+    }
+
+    // ------------------------------------------------------------
+    // Registry
+    // ------------------------------------------------------------
+    class StrategyRegistry {
+        constructor() {
+            this.entries = new Map();
+        }
+
+        /**
+         * @param {String} id - Stable id (used in the UI and replays)
+         * @param {Object} entry - {label, description, create(options) -> strategy}
+         */
+        register(id, entry) {
+            if (!entry || typeof entry.create !== "function") {
+                throw new Error(`Strategy "${id}" needs a create(options) function.`);
+            }
+            this.entries.set(id, Object.assign({ id: id, label: id, description: "" }, entry));
+        }
+
+        has(id) {
+            return this.entries.has(id);
+        }
+
+        get(id) {
+            const entry = this.entries.get(id);
+            if (!entry) throw new Error(`Unknown AI strategy: ${id}`);
+            return entry;
+        }
+
+        /**
+         * @returns {Array} - [{id, label, description}] in registration order
+         */
+        list() {
+            return Array.from(this.entries.values()).map(e => ({ id: e.id, label: e.label, description: e.description }));
+        }
+
+        create(id, options = {}) {
+            return this.get(id).create(options);
+        }
+    }
+
+    const registry = new StrategyRegistry();
+    registry.register("path", {
+        label: "Path planner",
+        description: "ComputerAI: plans timed paths; levels 11-12 search several moves ahead",
+        create: options => new PathStrategy(options)
+    });
+    registry.register("reactive", {
+        label: "Reactive",
+        description: "Dodges whatever is closest each frame; ignores the level",
+        create: options => new ReactiveStrategy(options)
+    });
+
+    return {
+        registry,
+        StrategyRegistry,
+        PathStrategy,
+        ReactiveStrategy,
+        normalizeMove,
+        compileStrategyScript
+    };
+})();
+
+export default AIStrategies;
@@ -0,0 +1,95 @@
+/**
+ * Service worker: offline play
+ * Installing caches the page, the scripts, the vendored three.js and the Full
+ * mode assets. Requests for those are answered from the cache, which is then
+ * refreshed from the network in the background (stale-while-revalidate), so
+ * the game starts without a connection and picks up changes on the next load.
+ *
+ * Keep PRECACHE_URLS in step with the modules game.js imports (directly or
+ * through other modules) and the files in preloadAssets (rendering.js); bump
+ * CACHE_NAME when the list changes so old caches go away.
+ *
+ * Registered by index.html when served over http(s).
+ */
+
+const CACHE_NAME = "meteor-dodge-v5";
+
+const PRECACHE_URLS = [
+    "./",
+    "index.html",
+    "vendor/three/build/three.module.js",
+    "vendor/three/examples/jsm/loaders/MTLLoader.js",
+    "vendor/three/examples/jsm/loaders/OBJLoader.js",
+    "game.js",
+    "rendering.js",
+    "hud.js",
+    "controls.js",
+    "rules.js",
+    "difficulty.js",
+    "clock.js",
+    "input.js",
+    "audio.js",
+    "spawning.js",
+    "collisions.js",
+    "simulation.js",
+    "replay.js",
+    "runlog.js",
+    "computer.js",
+    "ai-weights.js",
+    "adaptive.js",
+    "leaderboard.js",
+    "strategies.js",
+    "versus.js",
+    "ai-overlay.js",
+    "instanced.js",
+    "perf.js",
+    "assets/cartoon_rocket_ship.mtl",
+    "assets/cartoon_rocket_ship.obj",
+    "assets/Rocketship_baseColor.png",
+    "assets/Asteroid_2b.mtl",
+    "assets/Asteroid_2b.obj",
+    "assets/Asteroid2b_Color_1K.png",
+    "assets/Asteroid2b_NormalGL_1K.png",
+    "assets/cute_alien_character.mtl",
+    "assets/cute_alien_character.obj"
+];
+
+self.addEventListener("install", event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("fetch", event => {
+    const request = event.request;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(cache =>
+        // ignoreSearch: index.html?seed=123 is still the cached page
+        cache.match(request, { ignoreSearch: true }).then(cached => {
+            const refresh = fetch(request)
+                .then(response => {
+                    if (response.ok && cached && cached.url === request.url) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(err => {
+                    if (cached) return cached;
+                    throw err;
+                });
+
+            if (!cached) return refresh;
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        })
+    ));
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AdaptiveLevel, ADAPTIVE_CALIBRATION } from "../adaptive.js";
+import { AI_MAX_LEVEL } from "../computer.js";
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test("estimateLevel interpolates the calibration and holds at its ends", () => {
+    const first = ADAPTIVE_CALIBRATION[0];
+    const last = ADAPTIVE_CALIBRATION[ADAPTIVE_CALIBRATION.length - 1];
+    for (const [level, time] of ADAPTIVE_CALIBRATION) {
+        assertNear(AdaptiveLevel.estimateLevel(time), level);
+    }
+
+    const [levelA, timeA] = ADAPTIVE_CALIBRATION[1];
+    const [levelB, timeB] = ADAPTIVE_CALIBRATION[2];
+    assertNear(AdaptiveLevel.estimateLevel((timeA + timeB) / 2), (levelA + levelB) / 2);
+
+    assert.equal(AdaptiveLevel.estimateLevel(0), first[0]);
+    assert.equal(AdaptiveLevel.estimateLevel(last[1] * 10), last[0]);
+    assert.equal(new AdaptiveLevel({ targetTime: 1 }).level, 1);
+    assert.equal(new AdaptiveLevel({ level: 99 }).level, AI_MAX_LEVEL);
+});
+
+test("recordRun moves the level by gain * ln(target / survived), at most maxStep", () => {
+    const adaptive = new AdaptiveLevel({ targetTime: 60, level: 5 });
+    // Half the target: up about 1.7 levels
+    assertNear(adaptive.recordRun(30), 5 + 2.5 * Math.log(2));
+    // On target: no change
+    assertNear(adaptive.recordRun(60), 5 + 2.5 * Math.log(2));
+
+    const clamped = new AdaptiveLevel({ targetTime: 60, level: 5 });
+    assert.equal(clamped.recordRun(1), 5 + clamped.maxStep);
+    assert.equal(clamped.recordRun(6000), 5);
+    // Never past the ends of the level range
+    const top = new AdaptiveLevel({ targetTime: 60, level: AI_MAX_LEVEL });
+    assert.equal(top.recordRun(1), AI_MAX_LEVEL);
+});
+
+test("getLevel eases off once a run passes the target", () => {
+    const adaptive = new AdaptiveLevel({ targetTime: 60, level: 8 });
+    assert.equal(adaptive.getLevel(0), 8);
+    assert.equal(adaptive.getLevel(60), 8);
+    assertNear(adaptive.getLevel(75), 8 - 0.25 * adaptive.overtimeEase);
+    assert.equal(adaptive.getLevel(600), 1);
+});
+
+test("recentMean averages only the last historySize runs", () => {
+    const adaptive = new AdaptiveLevel({ targetTime: 60 });
+    assert.equal(adaptive.recentMean(), null);
+    adaptive.recordRun(1000);
+    for (let i = 0; i < adaptive.historySize; i++) adaptive.recordRun(40);
+    assert.equal(adaptive.history.length, adaptive.historySize);
+    assert.equal(adaptive.recentMean(), 40);
+});
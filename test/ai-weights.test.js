@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_WEIGHTS,
+    DEFAULT_WEIGHT_PROFILE,
+    resolveWeightProfile,
+    parseWeightProfile,
+    getLevelWeights
+} from "../ai-weights.js";
+
+test("a profile only needs the weights it changes", () => {
+    const profile = resolveWeightProfile({
+        name: "Bold",
+        default: { meteorHit: 800 },
+        levels: { 5: { movementBonus: 10 } }
+    });
+    assert.equal(profile.id, "custom");
+    assert.deepEqual(profile.default, Object.assign({}, DEFAULT_WEIGHTS, { meteorHit: 800 }));
+    // Levels build on the profile's default, not DEFAULT_WEIGHTS
+    assert.equal(profile.levels[5].meteorHit, 800);
+    assert.equal(profile.levels[5].movementBonus, 10);
+});
+
+test("getLevelWeights uses the level's weights, or the default", () => {
+    const profile = resolveWeightProfile({ levels: { 5: { movementBonus: 10 } } });
+    assert.equal(getLevelWeights(profile, 5).movementBonus, 10);
+    assert.equal(getLevelWeights(profile, 7), profile.default);
+    assert.equal(getLevelWeights(DEFAULT_WEIGHT_PROFILE, 3.5), DEFAULT_WEIGHT_PROFILE.default);
+});
+
+test("getLevelWeights blends the levels around a fractional level", () => {
+    const profile = resolveWeightProfile({ levels: { 5: { movementBonus: 10 }, 6: { movementBonus: 20 } } });
+    assert.equal(getLevelWeights(profile, 5.25).movementBonus, 12.5);
+    // Next to a level without its own weights, the default takes its place
+    assert.equal(getLevelWeights(profile, 6.5).movementBonus, 25);
+    assert.equal(getLevelWeights(profile, 6.5).meteorHit, DEFAULT_WEIGHTS.meteorHit);
+});
+
+test("resolving a resolved profile changes nothing", () => {
+    const profile = resolveWeightProfile({ id: "t", name: "T", levels: { 2: { crowding: 1 } } });
+    assert.deepEqual(resolveWeightProfile(profile), profile);
+});
+
+test("parseWeightProfile rejects bad files", () => {
+    assert.throws(() => parseWeightProfile("{"), /not valid JSON/);
+    assert.throws(() => parseWeightProfile("[]"), /one JSON object/);
+    assert.throws(() => parseWeightProfile('{"default": {"meteorHitt": 1}}'), /unknown weight meteorHitt/);
+    assert.throws(() => parseWeightProfile('{"default": {"meteorHit": -1}}'), /meteorHit must be a number >= 0/);
+    assert.throws(() => parseWeightProfile('{"levels": {"1.5": {}}}'), /whole number/);
+    assert.throws(() => parseWeightProfile('{"levels": {"3": {"crowding": "5"}}}'), /level 3: crowding/);
+});
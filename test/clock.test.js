@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameClock, TIME_SCALE_MIN, TIME_SCALE_MAX } from "../clock.js";
+
+test("nothing advances while paused", () => {
+    const clock = new GameClock();
+    assert.equal(clock.tick(0.1), 0.1);
+    clock.pause();
+    assert.equal(clock.tick(0.1), 0);
+    assert.equal(clock.now(), 0.1);
+
+    clock.resume();
+    assert.equal(clock.tick(0.05), 0.05);
+    assert.equal(clock.togglePause(), true);
+    assert.equal(clock.tick(0.1), 0);
+    assert.equal(clock.togglePause(), false);
+    assert.ok(Math.abs(clock.now() - 0.15) < 1e-12);
+});
+
+test("deltas are scaled, capped at maxDelta first, and never negative", () => {
+    const clock = new GameClock({ maxDelta: 0.2 });
+    clock.setTimeScale(0.5);
+    assert.equal(clock.tick(0.1), 0.05);
+    assert.equal(clock.tick(3), 0.1);
+    assert.equal(clock.tick(-1), 0);
+    assert.ok(Math.abs(clock.now() - 0.15) < 1e-12);
+
+    clock.setTimeScale(2);
+    assert.equal(clock.tick(0.1), 0.2);
+});
+
+test("the time scale stays in range and steps through the presets", () => {
+    const clock = new GameClock();
+    assert.equal(clock.setTimeScale(100), TIME_SCALE_MAX);
+    assert.equal(clock.setTimeScale(0), TIME_SCALE_MIN);
+
+    clock.setTimeScale(1);
+    assert.equal(clock.stepTimeScale(1), 1.5);
+    assert.equal(clock.stepTimeScale(1), 2);
+    assert.equal(clock.stepTimeScale(1), 2);
+    clock.setTimeScale(0.5);
+    assert.equal(clock.stepTimeScale(-1), 0.25);
+    assert.equal(clock.stepTimeScale(-1), 0.25);
+});
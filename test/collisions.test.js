@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isFullyInHole, findHoleAtPosition, spheresOverlap, circlesOverlap, isInBlast } from "../collisions.js";
+
+const holes = [{ x: 0, z: 0, halfSize: 3 }, { x: 20, z: 5, halfSize: 2 }];
+
+test("a circle is only swallowed once it's fully inside a hole", () => {
+    assert.equal(isFullyInHole(holes, 0, 0, 0.9), true);
+    assert.equal(isFullyInHole(holes, 2.1, 0, 0.9), true); // touching the edge from inside
+    assert.equal(isFullyInHole(holes, 2.2, 0, 0.9), false);
+    assert.equal(isFullyInHole(holes, 20, 5, 2.5), false); // bigger than the hole
+    assert.equal(isFullyInHole([], 0, 0, 0), false);
+});
+
+test("findHoleAtPosition returns the hole under a point, or null", () => {
+    assert.equal(findHoleAtPosition(holes, 21, 5), holes[1]);
+    assert.equal(findHoleAtPosition(holes, 10, 0), null);
+});
+
+test("spheres overlap when their centres are closer than the radii", () => {
+    assert.equal(spheresOverlap({ x: 0, y: 1, z: 0 }, { x: 1, y: 2, z: 1 }, 1.8), true);
+    assert.equal(spheresOverlap({ x: 0, y: 1, z: 0 }, { x: 1, y: 2, z: 1 }, 1.7), false);
+    assert.equal(spheresOverlap({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 1), false); // touching isn't a hit
+});
+
+test("circles ignore height", () => {
+    assert.equal(circlesOverlap({ x: 0, y: 0, z: 0 }, { x: 1, y: 50, z: 0 }, 1.1), true);
+    assert.equal(spheresOverlap({ x: 0, y: 0, z: 0 }, { x: 1, y: 50, z: 0 }, 1.1), false);
+});
+
+test("a blast reaches circles within its radius plus theirs", () => {
+    const meteor = { x: 0, z: 0, blastRadius: 3 };
+    assert.equal(isInBlast(meteor, { x: 3.5, z: 0 }, 0.9), true);
+    assert.equal(isInBlast(meteor, { x: 4, z: 0 }, 0.9), false);
+    assert.equal(isInBlast({ x: 0, z: 0, blastRadius: 0 }, { x: 0, z: 0 }, 0.9), false);
+});
@@ -0,0 +1,225 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ComputerAI } from "../computer.js";
+
+const HERE = { x: 0, z: 0 };
+const STILL = { dx: 0, dz: 0 };
+const EAST = { dx: 1, dz: 0 };
+const WEST = { dx: -1, dz: 0 };
+
+function createAI() {
+    return new ComputerAI({ clock: () => 0, debug: false });
+}
+
+// A predicted meteor or enemy, as predictMeteorPositions / predictEnemyPositions make them
+function predicted(x, y, z, extra = {}) {
+    return Object.assign({
+        currentX: x,
+        currentY: y,
+        currentZ: z,
+        velocity: { x: 0, y: 0, z: 0 },
+        radius: 0.8,
+        blastRadius: 0,
+        predictionTime: 10
+    }, extra);
+}
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test("scoreMovementBonus rewards any movement", () => {
+    const ai = createAI();
+    assert.equal(ai.scoreMovementBonus(EAST), 30);
+    assert.equal(ai.scoreMovementBonus({ dx: 0.3, dz: -0.9 }), 30);
+    assert.equal(ai.scoreMovementBonus(STILL), 0);
+});
+
+test("scoreMeteorCollisionAtPoint scores hits, danger and safe distance", () => {
+    const ai = createAI();
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [predicted(0, 1, 0)]), -1000);
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [predicted(3, 1, 0)]), -200 / 3 + 15);
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [predicted(4, 1, 0)]), -30 / 4 + 20);
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [predicted(20, 1, 0)]), 50);
+    // Far above the player: not a threat yet
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [predicted(0, 10, 0)]), 0);
+});
+
+test("scoreMeteorCollisionAtPoint only predicts up to predictionTime", () => {
+    const ai = createAI();
+    const falling = extra => predicted(0, 11, 0, Object.assign({ velocity: { x: 0, y: -10, z: 0 } }, extra));
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 1, [falling({ predictionTime: 5 })]), -1000);
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 1, [falling({ predictionTime: 0.5 })]), 0);
+});
+
+test("scoreMeteorCollisionAtPoint widens the hit zone for a blast below the player", () => {
+    const ai = createAI();
+    const large = y => predicted(3.5, y, 0, { radius: 1.2, blastRadius: 3 });
+    // Below the player the blast radius counts: a hit, at three quarters height urgency
+    assertNear(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [large(0.5)]), -750 + 17.5);
+    assert.ok(ai.scoreMeteorCollisionAtPoint(0, 0, 0, [large(1.5)]) > -750);
+});
+
+test("scoreMeteorCollisions samples the whole path", () => {
+    const ai = createAI();
+    const meteors = [predicted(0, 1, 0)];
+    assertNear(ai.scoreMeteorCollisions(STILL, HERE, meteors, 1, 12), 9 * -1000);
+    assert.ok(ai.scoreMeteorCollisions(EAST, HERE, meteors, 1, 12) > ai.scoreMeteorCollisions(STILL, HERE, meteors, 1, 12));
+    // A path starting later sees the meteors further along
+    const falling = [predicted(6, 11, 0, { velocity: { x: 0, y: -10, z: 0 } })];
+    assert.notEqual(ai.scoreMeteorCollisions(EAST, HERE, falling, 0.5, 12), ai.scoreMeteorCollisions(EAST, HERE, falling, 0.5, 12, 0.5));
+});
+
+test("scoreOpenSpace prefers spots emptier than the spawn ring's average", () => {
+    const ai = createAI();
+    const crowd = Array.from({ length: 10 }, () => predicted(0, 10, 0));
+    assertNear(ai.scoreOpenSpace(0, 0, crowd), -40); // capped
+    assert.ok(ai.scoreOpenSpace(30, 30, crowd) > 0);
+    assert.ok(ai.scoreOpenSpace(30, 30, crowd) <= 10);
+});
+
+test("scoreHoleClearance penalises ending near a hole's edge", () => {
+    const ai = createAI();
+    const holes = [{ x: 0, z: 0, halfSize: 2 }];
+    assertNear(ai.scoreHoleClearance(3, 0, holes), -150);
+    assertNear(ai.scoreHoleClearance(0, 0, holes), -300);
+    assertNear(ai.scoreHoleClearance(10, 0, holes), 0);
+    assertNear(ai.scoreHoleClearance(3, 0, []), 0);
+
+    ai.setHoleAvoidanceEnabled(false);
+    assertNear(ai.scoreHoleClearance(3, 0, holes), 0);
+});
+
+test("scoreUnknownTerritory penalises ending outside the loaded tiles", () => {
+    const ai = createAI();
+    // Loaded tiles around the origin span -32..64 on both axes (3x3 tiles of 32)
+    assertNear(ai.scoreUnknownTerritory(0, 0, HERE), 0);
+    assertNear(ai.scoreUnknownTerritory(-32, 0, HERE), -150 * 2);
+    assertNear(ai.scoreUnknownTerritory(70, 70, HERE), -150 * 16);
+});
+
+test("scoreStillnessPenalty punishes standing still near threats", () => {
+    const ai = createAI();
+    const threats = n => Array.from({ length: n }, (_, i) => predicted(1 + i * 0.1, 1, 0));
+    assertNear(ai.scoreStillnessPenalty(EAST, HERE, threats(2)), 0);
+    assertNear(ai.scoreStillnessPenalty(STILL, HERE, []), -10);
+    assertNear(ai.scoreStillnessPenalty(STILL, HERE, threats(2)), -100);
+    assertNear(ai.scoreStillnessPenalty(STILL, HERE, threats(7)), -250);
+});
+
+test("countNearbyThreats counts meteors close by and near player height", () => {
+    const ai = createAI();
+    assert.equal(ai.countNearbyThreats(HERE, [predicted(3, 1, 0), predicted(0, 5, 4)]), 2);
+    assert.equal(ai.countNearbyThreats(HERE, [predicted(7, 1, 0)]), 0);
+    assert.equal(ai.countNearbyThreats(HERE, [predicted(3, 10, 0)]), 0);
+});
+
+test("scorePickupSeeking rewards collecting and approaching pickups", () => {
+    const ai = createAI();
+    ai.pickups = [{ x: 5, z: 0, type: "shield" }];
+    assertNear(ai.scorePickupSeeking(EAST, HERE, 10, 0), 120 + 30 * (1 - 5 / 20));
+    assertNear(ai.scorePickupSeeking(WEST, HERE, -10, 0), 30 * (1 - 15 / 20));
+
+    ai.pickups = [{ x: 50, z: 0, type: "shield" }]; // out of range
+    assertNear(ai.scorePickupSeeking(EAST, HERE, 10, 0), 0);
+
+    ai.pickups = [{ x: 5, z: 0, type: "shield" }];
+    ai.setPickupSeekingEnabled(false);
+    assertNear(ai.scorePickupSeeking(EAST, HERE, 10, 0), 0);
+});
+
+test("scoreHolePenalty scales with the level for paths through a hole", () => {
+    const ai = createAI();
+    ai.setWorldConfig({ holeGravity: 0 });
+    const holes = [{ x: 6, z: 0, halfSize: 2.5 }];
+    assertNear(ai.scoreHolePenalty(EAST, HERE, [], 1, 1, 5, holes), -300);
+    assertNear(ai.scoreHolePenalty(EAST, HERE, [], 1, 1, 10, holes), -600);
+    assertNear(ai.scoreHolePenalty(WEST, HERE, [], 1, 1, 5, holes), 0);
+
+    ai.setHoleAvoidanceEnabled(false);
+    assertNear(ai.scoreHolePenalty(EAST, HERE, [], 1, 1, 5, holes), 0);
+});
+
+test("scoreHolePenalty counts the holes' pull along the path", () => {
+    const ai = createAI();
+    const holes = [{ x: 6, z: 0, halfSize: 2 }]; // pulls out to 6 units from its centre
+    const near = { x: 3, z: 0 };
+
+    // Out of reach: no pull at all
+    assertNear(ai.scoreHolePenalty(WEST, HERE, [], 1, 1, 5, holes), 0);
+    // Escaping from inside its reach costs a little, less than staying in it
+    const escape = ai.scoreHolePenalty(WEST, near, [], 0.2, 1, 5, holes);
+    assert.ok(escape < 0);
+    assert.ok(escape > ai.scoreHolePenalty(STILL, near, [], 0.2, 1, 5, holes));
+});
+
+test("the pull drags a path that only skirts a hole into it", () => {
+    const ai = createAI();
+    const holes = [{ x: 6, z: 0, halfSize: 2 }];
+    const skirting = { x: 0, z: 1.6 }; // passes 1.6 from the centre: never fully inside on its own
+
+    const pulled = ai.tracePathThroughPull(EAST, skirting, 1, holes);
+    assert.equal(pulled.fallsIn, true);
+    assert.ok(ai.scoreHolePenalty(EAST, skirting, [], 1, 1, 5, holes) < -300);
+
+    ai.setWorldConfig({ holeGravity: 0 });
+    assert.deepEqual(ai.tracePathThroughPull(EAST, skirting, 1, holes), { fallsIn: false, pull: 0 });
+});
+
+test("scoreEnemyCollisionAtPoint keeps the minimum distance from enemies", () => {
+    const ai = createAI();
+    // On top of an enemy: collision zone, plus the full minimum distance missing
+    assertNear(ai.scoreEnemyCollisionAtPoint(0, 0, 0, [predicted(0, 0.6, 0)], HERE), -1500 - 300 * 5);
+    // Far away: the capped safe distance bonus and the well-clear bonus
+    assertNear(ai.scoreEnemyCollisionAtPoint(0, 0, 0, [predicted(20, 0.6, 0)], HERE), 200 + 30);
+    // Backing away from an enemy 3 units off to 6 units
+    assertNear(ai.scoreEnemyCollisionAtPoint(-3, 0, 0, [predicted(3, 0.6, 0)], HERE), -10 / 6 + 40 + 60);
+    // Moving toward one that's already too close costs extra
+    assertNear(ai.scoreEnemyCollisionAtPoint(2, 0, 0, [predicted(3, 0.6, 0)], HERE), -1500 - 300 * 4 - 200 * 2);
+});
+
+test("scoreEnemyCollisionAtPoint follows predicted enemy movement", () => {
+    const ai = createAI();
+    const approaching = [predicted(10, 0.6, 0, { velocity: { x: -5, y: 0, z: 0 } })];
+    assert.ok(ai.scoreEnemyCollisionAtPoint(0, 0, 2, approaching, HERE) < ai.scoreEnemyCollisionAtPoint(0, 0, 0, approaching, HERE));
+});
+
+test("scoreEnemyCollisions prefers paths away from enemies and can be turned off", () => {
+    const ai = createAI();
+    const enemies = [predicted(4, 0.6, 0)];
+    assert.ok(ai.scoreEnemyCollisions(WEST, HERE, enemies, 0.5, 12) > ai.scoreEnemyCollisions(EAST, HERE, enemies, 0.5, 12));
+    assertNear(ai.scoreEnemyCollisions(EAST, HERE, [], 0.5, 12), 0);
+
+    ai.setEnemyAvoidanceEnabled(false);
+    assertNear(ai.scoreEnemyCollisions(EAST, HERE, enemies, 0.5, 12), 0);
+    assertNear(ai.scoreEnemyCollisionAtPoint(0, 0, 0, enemies, HERE), 0);
+});
+
+test("sumScoreParts adds every part", () => {
+    const ai = createAI();
+    const parts = { movement: 30, meteor: -100, enemy: -20, space: 5, hole: -40, edge: -3, stillness: 0, pickup: 12 };
+    assertNear(ai.sumScoreParts(parts), -116);
+});
+
+test("scores come from the weight profile, by level", () => {
+    const ai = new ComputerAI({
+        clock: () => 0,
+        debug: false,
+        weights: { default: { movementBonus: 12 }, levels: { 7: { stillness: 4, minEnemyDistance: 8 } } }
+    });
+    assert.equal(ai.scoreMovementBonus(EAST), 12);
+    assert.equal(ai.minEnemyDistance, 5);
+
+    ai.suggestMove([], { x: 0, y: 0, z: 0 }, 0, 7);
+    assertNear(ai.scoreStillnessPenalty(STILL, HERE, []), -4);
+    assert.equal(ai.minEnemyDistance, 8);
+
+    ai.setWeightProfile({});
+    assert.equal(ai.scoreMovementBonus(EAST), 30);
+});
+
+test("the search is only capped by nodes unless a time cap is asked for", () => {
+    assert.equal(createAI().searchBudget.maxMs, Infinity);
+    const framed = new ComputerAI({ clock: () => 0, debug: false, searchBudget: { maxMs: 6 } });
+    assert.deepEqual(framed.searchBudget, { maxNodes: 600, maxMs: 6 });
+});
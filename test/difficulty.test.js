@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import GameRules from "../rules.js";
+import GameDifficulty from "../difficulty.js";
+import { WorldSimulation } from "../simulation.js";
+
+const config = GameRules.WORLD_CONFIG;
+
+test("meteor count grows every interval up to the maximum", () => {
+    assert.equal(GameRules.getMeteorCount(0), config.baseMeteorCount);
+    assert.equal(GameRules.getMeteorCount(config.meteorGrowthInterval - 0.01), config.baseMeteorCount);
+    assert.equal(GameRules.getMeteorCount(config.meteorGrowthInterval), config.baseMeteorCount + config.meteorGrowthAmount);
+    assert.equal(GameRules.getMeteorCount(100000), config.maxMeteorCount);
+});
+
+test("enemies arrive at enemyStartTime and grow up to the maximum", () => {
+    assert.equal(GameRules.getEnemyCount(config.enemyStartTime - 0.01), 0);
+    assert.equal(GameRules.getEnemyCount(config.enemyStartTime), config.enemyStartCount);
+    assert.equal(GameRules.getEnemyCount(config.enemyStartTime + config.enemyGrowthInterval), config.enemyStartCount + 1);
+    assert.equal(GameRules.getEnemyCount(100000), config.maxEnemyCount);
+});
+
+test("speeds grow with survival time; the enemy boost is capped", () => {
+    assert.equal(GameRules.getMeteorFallSpeed(0), config.baseMeteorSpeed);
+    assert.ok(GameRules.getMeteorFallSpeed(60) > GameRules.getMeteorFallSpeed(30));
+    assert.equal(GameRules.getEnemySpeed(100000), config.baseEnemySpeed + config.maxEnemySpeedBoost);
+});
+
+test("presets fill in what they leave out from Standard", () => {
+    const storm = GameDifficulty.resolve(GameDifficulty.getPreset("meteorStorm"));
+    const standard = GameDifficulty.getPreset(GameDifficulty.DEFAULT_ID);
+    assert.equal(storm.enemies.maxCount, 0);
+    assert.equal(storm.enemies.baseSpeed, standard.enemies.baseSpeed);
+});
+
+test("harder presets ramp up faster", () => {
+    const count = (id, time) => GameRules.getMeteorCount(time, Object.assign({}, config,
+        GameDifficulty.toConfig(GameDifficulty.resolve(GameDifficulty.getPreset(id)))));
+    for (const time of [0, 30, 90]) {
+        assert.ok(count("casual", time) < count("standard", time));
+        assert.ok(count("standard", time) < count("hardcore", time));
+    }
+});
+
+test("updateDifficulty brings the world's meteors and enemies up to the counts for a time", () => {
+    const world = new WorldSimulation({ seed: 1 });
+    assert.equal(world.meteors.length, config.baseMeteorCount);
+    assert.equal(world.enemies.length, 0);
+
+    world.updateDifficulty(45);
+    assert.equal(world.meteors.length, GameRules.getMeteorCount(45));
+    assert.equal(world.enemies.length, GameRules.getEnemyCount(45));
+});
+
+test("a difficulty's config reaches the simulation", () => {
+    const casual = GameDifficulty.toConfig(GameDifficulty.resolve(GameDifficulty.getPreset("casual")));
+    const world = new WorldSimulation({ seed: 1, config: casual });
+    assert.equal(world.meteors.length, casual.baseMeteorCount);
+    world.updateDifficulty(1000);
+    assert.equal(world.enemies.length, casual.maxEnemyCount);
+});
+
+test("each alien archetype heads for its own target", () => {
+    const player = { x: 0, z: 0, vx: 4, vz: 0 };
+    const at = (archetype, x, z, extra = {}) =>
+        GameRules.getEnemyTarget(Object.assign({ x: x, z: z, archetype: archetype, side: 1 }, extra), player, 2);
+
+    // Chasers (and aliens without an archetype) go straight for the player
+    assert.deepEqual(at("chaser", 20, 0), { x: 0, z: 0 });
+    assert.deepEqual(at(undefined, 20, 0), { x: 0, z: 0 });
+
+    // Interceptors aim ahead of the player, by at most interceptMaxLead seconds
+    assert.deepEqual(at("interceptor", 20, 0), { x: 4 * config.interceptMaxLead, z: 0 });
+    assert.deepEqual(at("interceptor", 2, 0), { x: 4, z: 0 });
+
+    // Flankers swing out to their side from afar, and go straight in up close
+    const wide = at("flanker", 20, 0);
+    assert.equal(wide.x, 0);
+    assert.equal(wide.z, -config.flankOffset);
+    assert.equal(at("flanker", 20, 0, { side: -1 }).z, config.flankOffset);
+    assert.deepEqual(at("flanker", config.flankCommitDistance, 0), { x: 0, z: 0 });
+
+    // Patrollers circle their patrol point until the player comes close
+    const patrol = at("patroller", 30 + config.patrolRadius, 0, { patrolX: 30, patrolZ: 0 });
+    const fromPatrol = Math.hypot(patrol.x - 30, patrol.z);
+    assert.ok(Math.abs(fromPatrol - config.patrolRadius) < 1e-9);
+    assert.ok(patrol.z > 0);
+    assert.deepEqual(at("patroller", config.patrolAggroRadius, 0, { patrolX: 30, patrolZ: 0 }), { x: 0, z: 0 });
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Leaderboard, LEADERBOARD_KEY, LEADERBOARD_MAX_RUNS } from "../leaderboard.js";
+
+// A localStorage stand-in
+function createStorage(items = {}) {
+    return {
+        items: items,
+        getItem(key) { return key in this.items ? this.items[key] : null; },
+        setItem(key, value) { this.items[key] = String(value); }
+    };
+}
+
+let runCount = 0;
+function run(score, ai = false) {
+    runCount++;
+    return {
+        score: score,
+        seed: runCount,
+        date: new Date(Date.UTC(2026, 0, 1, 0, 0, runCount)).toISOString(),
+        ai: { enabled: ai, level: 5, strategy: "path" },
+        cause: "meteor"
+    };
+}
+
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test("runs are kept in the order they finished and ranked by score", () => {
+    const storage = createStorage();
+    const board = new Leaderboard(storage);
+    const first = run(20);
+    const second = run(50);
+    const third = run(20);
+
+    assert.equal(board.add(first).rank, 1);
+    const added = board.add(second);
+    assert.equal(added.rank, 1);
+    assert.equal(added.isPersonalBest, true);
+    const tied = board.add(third);
+    assert.equal(tied.rank, 3);
+    assert.equal(tied.isPersonalBest, false);
+    assert.equal(tied.personalBest, 50);
+
+    assert.deepEqual(board.runs, [first, second, third]);
+    assert.deepEqual(board.top(), [second, first, third]);
+    assert.deepEqual(board.recent(), [third, second, first]);
+
+    // Saved, and read back by the next board on the same storage
+    assert.deepEqual(new Leaderboard(storage).runs, [first, second, third]);
+});
+
+test("AI runs are ranked apart from human runs", () => {
+    const board = new Leaderboard(createStorage());
+    board.add(run(100, true));
+    const human = board.add(run(10));
+    assert.equal(human.category, "human");
+    assert.equal(human.rank, 1);
+    assert.equal(human.isPersonalBest, true);
+    assert.equal(board.best("ai").score, 100);
+    assert.equal(board.filter("human").length, 1);
+});
+
+test("only the newest LEADERBOARD_MAX_RUNS runs are kept", () => {
+    const storage = createStorage();
+    const board = new Leaderboard(storage);
+    const runs = [];
+    for (let i = 0; i < LEADERBOARD_MAX_RUNS + 3; i++) runs.push(run(i));
+    runs.forEach(r => board.add(r));
+
+    assert.equal(board.runs.length, LEADERBOARD_MAX_RUNS);
+    assert.equal(board.runs[0], runs[3]);
+    assert.equal(board.runs[board.runs.length - 1], runs[runs.length - 1]);
+    assert.equal(JSON.parse(storage.items[LEADERBOARD_KEY]).length, LEADERBOARD_MAX_RUNS);
+});
+
+test("missing or corrupt stored runs start an empty board", () => {
+    assert.deepEqual(new Leaderboard(createStorage()).runs, []);
+    assert.deepEqual(new Leaderboard(null).runs, []);
+    assert.deepEqual(new Leaderboard(createStorage({ [LEADERBOARD_KEY]: "{\"score\": 3}" })).runs, []);
+
+    const corrupt = createStorage({ [LEADERBOARD_KEY]: "[{\"score\": 3" });
+    const board = quietly(() => new Leaderboard(corrupt));
+    assert.deepEqual(board.runs, []);
+    // The next run replaces the unreadable data
+    board.add(run(7));
+    assert.equal(JSON.parse(corrupt.items[LEADERBOARD_KEY]).length, 1);
+});
+
+test("a storage that refuses writes keeps the runs in memory", () => {
+    const storage = createStorage();
+    storage.setItem = () => { throw new Error("QuotaExceededError"); };
+    const board = new Leaderboard(storage);
+    quietly(() => board.add(run(5)));
+    assert.equal(board.runs.length, 1);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PerfMonitor } from "../perf.js";
+
+test("reports nothing before the first frame", () => {
+    assert.deepEqual(new PerfMonitor().getStats(), { fps: 0, frameMs: 0, worstMs: 0 });
+});
+
+test("averages the frames in the window and keeps the worst", () => {
+    const monitor = new PerfMonitor({ window: 1 });
+    for (let i = 0; i < 59; i++) monitor.frame(1 / 60);
+    monitor.frame(0.05);
+
+    const stats = monitor.getStats();
+    assert.ok(Math.abs(stats.worstMs - 50) < 1e-9);
+    assert.ok(stats.fps < 60 && stats.fps > 50);
+});
+
+test("forgets frames older than the window", () => {
+    const monitor = new PerfMonitor({ window: 1 });
+    monitor.frame(0.5); // a stall
+    for (let i = 0; i < 120; i++) monitor.frame(1 / 60);
+
+    const stats = monitor.getStats();
+    assert.ok(Math.abs(stats.fps - 60) < 1e-6);
+    assert.ok(Math.abs(stats.worstMs - 1000 / 60) < 1e-6);
+});
+
+test("ignores frames without a duration", () => {
+    const monitor = new PerfMonitor();
+    monitor.frame(0);
+    monitor.frame(NaN);
+    assert.equal(monitor.frames.length, 0);
+});
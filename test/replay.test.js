@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WorldSimulation } from "../simulation.js";
+import AIStrategies from "../strategies.js";
+import { ReplayRecorder, parseReplay, simulateReplay, REPLAY_FORMAT, REPLAY_VERSION } from "../replay.js";
+
+// A one-player run flown by the path planner, with uneven frame times like a browser's
+function recordRun(seed) {
+    const world = new WorldSimulation({ seed: seed });
+    const strategy = AIStrategies.registry.create("path");
+    strategy.reset(world.config);
+    const recorder = new ReplayRecorder({ seed: seed, mode: "prototype", config: {} });
+    recorder.noteAI(true, 6);
+
+    for (let i = 0; i < 6000 && !world.isGameOver; i++) {
+        const delta = i % 3 === 0 ? 1 / 40 : 1 / 70;
+        const state = Object.assign(world.getObservation(), { level: 6 });
+        const move = AIStrategies.normalizeMove(strategy.suggestMove(state));
+        world.step(delta, move);
+        recorder.record(delta, move);
+    }
+    recorder.finish(world);
+    return { world: world, text: recorder.serialize() };
+}
+
+function validReplay(overrides = {}) {
+    return Object.assign({ format: REPLAY_FORMAT, version: REPLAY_VERSION, seed: 1, config: {}, frames: [] }, overrides);
+}
+
+test("a recorded run replays frame-exact to the same score and cause", () => {
+    const { world, text } = recordRun(4242);
+    assert.ok(world.isGameOver);
+
+    const replay = parseReplay(text);
+    assert.equal(replay.ai.enabled, true);
+    const rerun = simulateReplay(replay, WorldSimulation);
+    assert.equal(rerun.isGameOver, true);
+    assert.equal(rerun.score, replay.result.score);
+    assert.equal(rerun.gameOverCause, replay.result.cause);
+    assert.equal(rerun.time, world.time);
+    assert.deepEqual({ x: rerun.player.x, z: rerun.player.z }, { x: world.player.x, z: world.player.z });
+});
+
+test("parseReplay rejects files it can't play back", () => {
+    const reject = (text, message) => assert.throws(() => parseReplay(text), message);
+    const write = replay => JSON.stringify(replay);
+
+    reject("{not json", /not valid JSON/);
+    reject("null", /Not a Meteor Dodge replay/);
+    reject(write(validReplay({ format: "something-else" })), /Not a Meteor Dodge replay/);
+    reject(write(validReplay({ version: REPLAY_VERSION - 1 })), /older version of the game/);
+    reject(write(validReplay({ version: REPLAY_VERSION + 1 })), /Unsupported replay version/);
+    reject(write(validReplay({ version: "10" })), /Unsupported replay version/);
+    reject(write(validReplay({ seed: undefined })), /missing its seed or frames/);
+    reject(write(validReplay({ seed: "1" })), /missing its seed or frames/);
+    reject(write(validReplay({ frames: undefined })), /missing its seed or frames/);
+    reject(write(validReplay({ players: { count: 3, mode: "coop" } })), /unknown player setup/);
+    reject(write(validReplay({ players: { count: 2 } })), /unknown player setup/);
+
+    assert.deepEqual(parseReplay(write(validReplay())), validReplay());
+    assert.equal(parseReplay(write(validReplay({ players: { count: 2, mode: "coop" } }))).players.count, 2);
+});
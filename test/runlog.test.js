@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WorldSimulation } from "../simulation.js";
+import { RunLog, RUN_LOG_FORMAT } from "../runlog.js";
+
+test("logs a run's events with their time, leaving out meteor landings", () => {
+    const log = new RunLog({ seed: 7, difficulty: "Standard" });
+    log.record(1.5, [
+        { type: "meteorLanded", x: 0, z: 0 },
+        { type: "nearMiss", x: 1, z: 2, bonus: 2, combo: 1, player: 0 }
+    ]);
+
+    assert.equal(log.log.format, RUN_LOG_FORMAT);
+    assert.deepEqual(log.log.events, [{ time: 1.5, type: "nearMiss", x: 1, z: 2, bonus: 2, combo: 1, player: 0 }]);
+});
+
+test("finishing stores the result and each player's stats, and closes the log", () => {
+    const world = new WorldSimulation({ seed: 7, playerCount: 2, teamMode: "lastStanding" });
+    const log = new RunLog({ seed: world.seed, players: { count: 2, mode: "lastStanding" } });
+    for (let i = 0; i < 30; i++) {
+        world.step(0.1, null);
+        log.record(world.time, world.events);
+    }
+    log.finish(world);
+    assert.equal(log.isFinished, true);
+
+    log.record(world.time, [{ type: "pickupCollected", player: 0 }]);
+    const saved = JSON.parse(log.serialize());
+    assert.equal(saved.events.some(e => e.type === "pickupCollected"), false);
+    assert.equal(saved.result.score, world.score);
+    assert.equal(saved.stats.length, 2);
+    assert.equal(saved.stats[1].score, world.players[1].score);
+    assert.equal(saved.stats[0].distance, world.players[0].stats.distance);
+});
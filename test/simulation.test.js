@@ -0,0 +1,365 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WorldSimulation } from "../simulation.js";
+import { ReplayRecorder, simulateReplay, getReplayWorldOptions } from "../replay.js";
+
+// No meteors or aliens unless a test adds them, so nothing ends a run by chance
+const QUIET = { baseMeteorCount: 0, meteorGrowthAmount: 0, enemyStartTime: 1000 };
+
+function twoPlayers(teamMode = "coop") {
+    return new WorldSimulation({ seed: 7, config: QUIET, playerCount: 2, teamMode: teamMode });
+}
+
+/**
+ * Action: Drop a player into the first loaded hole (they fall in on the next step)
+ */
+function dropIntoHole(world, p) {
+    const hole = world.holes[0];
+    p.x = hole.x;
+    p.z = hole.z;
+}
+
+test("one player has no partner and player is players[0]", () => {
+    const world = new WorldSimulation({ seed: 7 });
+    assert.equal(world.players.length, 1);
+    assert.equal(world.player, world.players[0]);
+    assert.equal(world.effects, world.player.effects);
+    assert.equal(world.getObservation().partner, null);
+});
+
+test("rejects a player count or team mode it doesn't have", () => {
+    assert.throws(() => new WorldSimulation({ playerCount: 3 }), /playerCount/);
+    assert.throws(() => new WorldSimulation({ playerCount: 2, teamMode: "versus" }), /team mode/);
+});
+
+test("two players start apart and each follows their own move", () => {
+    const world = twoPlayers();
+    const [a, b] = world.players;
+    assert.ok(a.x < 0 && b.x > 0);
+
+    world.step(0.5, [{ dx: 0, dz: 1 }, { dx: 0, dz: -1 }]);
+    assert.ok(a.z > 0 && b.z < 0);
+    assert.deepEqual(world.getObservation(1).partner.position, { x: a.x, y: a.y, z: a.z });
+});
+
+test("players are held within maxPlayerSeparation", () => {
+    const world = twoPlayers();
+    for (let i = 0; i < 60; i++) world.step(0.1, [{ dx: -1, dz: 0 }, { dx: 1, dz: 0 }]);
+
+    const [a, b] = world.players;
+    assert.ok(Math.hypot(a.x - b.x, a.z - b.z) <= world.config.maxPlayerSeparation + 1e-9);
+});
+
+test("co-op brings a downed player back beside their partner, shielded", () => {
+    const world = twoPlayers("coop");
+    const [a, b] = world.players;
+    dropIntoHole(world, b);
+    world.step(0.1, null);
+    assert.equal(b.alive, false);
+    assert.equal(world.isGameOver, false);
+    assert.ok(world.events.some(e => e.type === "playerDown" && e.player === 1 && e.cause === "blackHole"));
+
+    let steps = 0;
+    while (!b.alive && steps++ < 100) world.step(0.1, null);
+    assert.ok(Math.abs(steps * 0.1 - world.config.coopReviveDelay) < 0.2);
+    assert.ok(Math.hypot(a.x - b.x, a.z - b.z) <= 2 * world.config.twoPlayerStartOffset + 1e-9);
+    assert.equal(b.effects.shield, world.config.coopReviveShield);
+});
+
+test("co-op ends once both players are down", () => {
+    const world = twoPlayers("coop");
+    dropIntoHole(world, world.players[0]);
+    dropIntoHole(world, world.players[1]);
+    world.step(0.1, null);
+
+    assert.equal(world.isGameOver, true);
+    assert.equal(world.gameOverCause, "blackHole");
+    assert.equal(world.winner, null);
+});
+
+test("last one standing ends with the other player as the winner", () => {
+    const world = twoPlayers("lastStanding");
+    world.step(1, null);
+    dropIntoHole(world, world.players[0]);
+    world.step(0.1, null);
+
+    assert.equal(world.isGameOver, true);
+    assert.equal(world.winner, 1);
+    assert.equal(world.players[1].alive, true);
+});
+
+test("an alien chases the nearer rocket, switching only when the other is clearly closer", () => {
+    const world = twoPlayers();
+    world.ensureEnemies(1);
+    const enemy = world.enemies[0];
+    const [a, b] = world.players;
+    const margin = world.config.enemyRetargetMargin;
+
+    enemy.x = b.x + 10;
+    enemy.z = 0;
+    assert.equal(world.chooseEnemyTarget(enemy), b);
+
+    // Now a little closer to player 1, but not by the margin
+    enemy.x = (a.x + b.x) / 2 - margin / 4;
+    assert.equal(world.chooseEnemyTarget(enemy), b);
+
+    enemy.x = a.x - 1;
+    assert.equal(world.chooseEnemyTarget(enemy), a);
+});
+
+test("a two-player replay plays back the same run", () => {
+    const options = { seed: 99, playerCount: 2, teamMode: "lastStanding" };
+    const world = new WorldSimulation(options);
+    const recorder = new ReplayRecorder({ seed: 99, mode: "prototype", config: {}, players: { count: 2, mode: "lastStanding" } });
+
+    for (let i = 0; i < 3000 && !world.isGameOver; i++) {
+        const moves = [{ dx: Math.sin(i * 0.05), dz: 1 }, { dx: -1, dz: Math.cos(i * 0.03) }];
+        world.step(1 / 30, moves);
+        recorder.record(1 / 30, moves);
+    }
+    recorder.finish(world);
+
+    const replay = JSON.parse(recorder.serialize());
+    assert.equal(getReplayWorldOptions(replay).playerCount, 2);
+    const rerun = simulateReplay(replay, WorldSimulation);
+    assert.equal(rerun.score, replay.result.score);
+    assert.equal(rerun.winner, replay.result.winner);
+});
+
+test("a hole pulls in a player standing within its reach, and only within it", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    const p = world.player;
+    p.x = hole.x + hole.halfSize * 2;
+    p.z = hole.z;
+
+    world.step(0.1, null);
+    assert.ok(p.vx < 0 && p.x < hole.x + hole.halfSize * 2);
+    for (let i = 0; i < 100 && !world.isGameOver; i++) world.step(0.1, null);
+    assert.equal(world.gameOverCause, "blackHole");
+
+    const far = world.getHolePull(hole.x + hole.halfSize * world.config.holeGravityRange, hole.z);
+    assert.deepEqual(far, { x: 0, z: 0 });
+});
+
+test("the pull bends falling meteors toward a hole", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    const meteor = { x: hole.x - hole.halfSize * 1.5, y: 10, z: hole.z, speedFactor: 1, driftX: 0, driftZ: 0 };
+    assert.ok(world.getMeteorVelocity(meteor).x > 0);
+});
+
+function placeChaser(world, x, z) {
+    world.ensureEnemies(1);
+    const enemy = world.enemies[0];
+    assert.equal(enemy.archetype, "chaser");
+    enemy.x = x;
+    enemy.z = z;
+    return enemy;
+}
+
+function stepUntilSwallowed(world, steps) {
+    for (let i = 0; i < steps; i++) {
+        world.step(0.1, null);
+        const swallowed = world.events.find(e => e.type === "enemySwallowed");
+        if (swallowed) return swallowed;
+    }
+    return null;
+}
+
+test("an alien chased across a hole is swallowed", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    // The player on the far side of the hole, the alien just outside its near edge
+    world.player.x = hole.x - hole.halfSize - 4;
+    world.player.z = hole.z;
+    placeChaser(world, hole.x + hole.halfSize + 0.3, hole.z);
+
+    const swallowed = stepUntilSwallowed(world, 20);
+    assert.ok(swallowed);
+    assert.equal(swallowed.player, 0);
+    assert.equal(swallowed.lured, true);
+});
+
+test("an alien heading away from a hole flies clear of its pull", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    world.player.x = hole.x + hole.halfSize + 8;
+    world.player.z = hole.z;
+    const enemy = placeChaser(world, hole.x + hole.halfSize + 0.3, hole.z);
+
+    assert.equal(stepUntilSwallowed(world, 20), null);
+    assert.ok(enemy.x > hole.x + hole.halfSize + 0.3);
+});
+
+test("holes drift and grow when the difficulty asks for it", () => {
+    const config = Object.assign({}, QUIET, { holeDriftRadius: 3, holeDriftSpeed: 1.5, holeGrowthRate: 0.01, holeMaxGrowth: 0.5 });
+    const world = new WorldSimulation({ seed: 7, config: config });
+    const start = Object.assign({}, world.holes[0]);
+
+    world.time = 10;
+    world.updateHoles();
+    const later = world.holes[0];
+    const moved = Math.hypot(later.x - start.x, later.z - start.z);
+    assert.ok(moved > 0 && moved <= 2 * config.holeDriftRadius + 1e-9);
+    assert.ok(Math.abs(later.halfSize - start.halfSize * 1.1) < 1e-9);
+
+    world.time = 1000;
+    world.updateHoles();
+    assert.ok(Math.abs(world.holes[0].halfSize - start.halfSize * 1.5) < 1e-9);
+});
+
+/**
+ * Action: Bring a plain meteor down gap units outside hitting player 0 (it lands on this step)
+ */
+function landMeteorBeside(world, gap) {
+    const c = world.config;
+    const p = world.player;
+    if (world.meteors.length === 0) world.ensureMeteors(1);
+    Object.assign(world.meteors[0], {
+        type: "normal", radius: c.meteorRadius, blastRadius: 0, speedFactor: 1, driftX: 0, driftZ: 0,
+        x: p.x + c.playerRadius + c.meteorRadius + gap, y: c.meteorGroundHeight + 0.01, z: p.z,
+        respawnTimer: 0
+    });
+    world.step(0.05, null);
+    return world.events.find(e => e.type === "nearMiss") || null;
+}
+
+test("a meteor landing just beside the player is a near miss, and near misses in a row build a combo", () => {
+    const world = new WorldSimulation({ seed: 7, config: Object.assign({ holeGravity: 0 }, QUIET) });
+    const c = world.config;
+    const stats = world.player.stats;
+
+    const first = landMeteorBeside(world, c.nearMissRing / 2);
+    assert.equal(first.combo, 1);
+    assert.equal(first.bonus, c.nearMissBonus);
+
+    const second = landMeteorBeside(world, c.nearMissRing / 2);
+    assert.equal(second.combo, 2);
+    assert.equal(second.bonus, c.nearMissBonus * (1 + c.comboStep));
+
+    // Further out it only counts as dodged
+    assert.equal(landMeteorBeside(world, c.nearMissRing + 1), null);
+    assert.equal(stats.nearMisses, 2);
+    assert.equal(stats.meteorsDodged, 3);
+    assert.equal(stats.bestCombo, 2);
+    assert.equal(stats.bonus, first.bonus + second.bonus);
+
+    // The combo runs out after comboWindow
+    for (let t = 0; t <= c.comboWindow; t += 0.5) world.step(0.5, null);
+    assert.equal(world.player.combo, 0);
+    assert.equal(landMeteorBeside(world, 0.5).combo, 1);
+});
+
+test("a lure carries the combo on and a shielded hit ends it", () => {
+    const world = new WorldSimulation({ seed: 7, config: Object.assign({ holeGravity: 0 }, QUIET) });
+    const c = world.config;
+    const p = world.player;
+    landMeteorBeside(world, 0.5);
+
+    const enemy = placeChaser(world, p.x + c.enemyLureRadius - 1, p.z);
+    const scoreBefore = world.score;
+    world.swallowEnemy(enemy, world.holes[0]);
+    const lure = world.events.find(e => e.type === "enemySwallowed");
+    assert.equal(lure.lured, true);
+    assert.equal(lure.combo, 2);
+    assert.equal(lure.bonus, c.enemyLureBonus * (1 + c.comboStep));
+    assert.equal(world.score, scoreBefore + lure.bonus);
+    assert.equal(p.stats.lures, 1);
+
+    p.effects.shield = 1;
+    world.hitPlayerWithMeteor(world.meteors[0], p);
+    assert.equal(p.combo, 0);
+});
+
+test("an alien that falls in far from the player it was chasing pays nothing", () => {
+    const world = new WorldSimulation({ seed: 7, config: Object.assign({ holeGravity: 0 }, QUIET) });
+    const c = world.config;
+    const p = world.player;
+    landMeteorBeside(world, 0.5);
+
+    const enemy = placeChaser(world, p.x + c.enemyLureRadius + 1, p.z);
+    const scoreBefore = world.score;
+    world.swallowEnemy(enemy, world.holes[0]);
+    const swallowed = world.events.find(e => e.type === "enemySwallowed");
+    assert.equal(swallowed.lured, false);
+    assert.equal(swallowed.bonus, 0);
+    assert.equal(world.score, scoreBefore);
+    assert.equal(p.stats.lures, 0);
+    assert.equal(p.combo, 1);
+});
+
+test("a run tallies distance flown and the closest an alien came", () => {
+    const world = new WorldSimulation({ seed: 7, config: Object.assign({ holeGravity: 0 }, QUIET) });
+    const c = world.config;
+    const p = world.player;
+    for (let i = 0; i < 10; i++) world.step(0.1, { dx: 1, dz: 0 });
+    assert.ok(Math.abs(p.stats.distance - c.playerSpeed) < 1e-9);
+    assert.equal(p.stats.closestEnemy, null);
+
+    world.ensureEnemies(1);
+    const enemy = world.enemies[0];
+    enemy.x = p.x + c.playerRadius + c.enemyRadius + 3;
+    enemy.z = p.z;
+    world.step(0.1, null);
+    assert.ok(p.stats.closestEnemy > 0 && p.stats.closestEnemy < 3);
+});
+
+test("an observation's holes and pickups are copies a strategy can't change the world through", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const state = world.getObservation();
+    const hole = Object.assign({}, world.holes[0]);
+    state.holes[0].halfSize = 0;
+    state.holes.length = 0;
+    state.pickups.length = 0;
+
+    assert.deepEqual(world.holes[0], hole);
+    assert.ok(world.pickups.length > 0);
+});
+
+test("an alien is never placed inside a hole", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    // Stand by a hole so plenty of the spawn ring falls in it
+    world.player.x = hole.x + hole.halfSize + world.config.enemySpawnRadiusMin;
+    world.player.z = hole.z;
+    world.updateHoles();
+    world.ensureEnemies(1);
+    const enemy = world.enemies[0];
+
+    for (let i = 0; i < 200; i++) {
+        const before = { x: enemy.x, z: enemy.z };
+        if (world.spawnEnemyNearPlayer(enemy)) {
+            assert.equal(world.findHoleAtPosition(enemy.x, enemy.z), null);
+        } else {
+            assert.deepEqual({ x: enemy.x, z: enemy.z }, before);
+        }
+    }
+});
+
+test("an alien with only holes to spawn in is left out until there's room", () => {
+    const world = new WorldSimulation({ seed: 7, config: QUIET });
+    const hole = world.holes[0];
+    const findHole = world.findHoleAtPosition;
+    // Every spot in the spawn ring is in a hole
+    world.findHoleAtPosition = () => hole;
+
+    world.ensureEnemies(1);
+    assert.equal(world.enemies.length, 0);
+
+    // A swallowed alien that can't come back is dropped rather than swallowed again
+    world.findHoleAtPosition = findHole;
+    world.ensureEnemies(1);
+    const enemy = world.enemies[0];
+    enemy.x = hole.x;
+    enemy.z = hole.z;
+    world.findHoleAtPosition = () => hole;
+    world.updateEnemies(0.1);
+    assert.equal(world.enemies.length, 0);
+    assert.equal(world.events.filter(e => e.type === "enemySwallowed").length, 1);
+
+    world.findHoleAtPosition = findHole;
+    world.ensureEnemies(1);
+    assert.equal(world.enemies.length, 1);
+    assert.equal(world.findHoleAtPosition(world.enemies[0].x, world.enemies[0].z), null);
+});
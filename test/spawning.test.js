@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import GameRules from "../rules.js";
+import {
+    createRandom,
+    normalizeSeed,
+    generateHolesForTile,
+    generatePickupsForTile,
+    pointInRing,
+    pickMeteorType
+} from "../spawning.js";
+
+const TILE_SIZE = GameRules.WORLD_CONFIG.tileSize;
+
+test("a tile's holes depend only on the tile and the run seed", () => {
+    for (const [x, z] of [[0, 0], [3, -2], [-7, 11]]) {
+        assert.deepEqual(generateHolesForTile(x, z, TILE_SIZE, 1234), generateHolesForTile(x, z, TILE_SIZE, 1234));
+    }
+});
+
+test("different run seeds give different hole layouts", () => {
+    const layout = seed => JSON.stringify([0, 1, 2, 3, 4].map(x => generateHolesForTile(x, 0, TILE_SIZE, seed)));
+    assert.notEqual(layout(1), layout(2));
+});
+
+test("holes fit inside their tile with 0-2 per tile", () => {
+    const usable = TILE_SIZE * 0.5 - 5;
+    const counts = new Set();
+    for (let x = -10; x < 10; x++) {
+        for (let z = -10; z < 10; z++) {
+            const holes = generateHolesForTile(x, z, TILE_SIZE, 99);
+            counts.add(holes.length);
+            for (const hole of holes) {
+                assert.ok(Math.abs(hole.localX) <= usable && Math.abs(hole.localZ) <= usable);
+                assert.ok(hole.halfSize >= 1.6 && hole.halfSize <= 3.0);
+            }
+        }
+    }
+    assert.deepEqual([...counts].sort(), [0, 1, 2]);
+});
+
+test("pickups are deterministic and have a known type and a per-tile id", () => {
+    const pickups = generatePickupsForTile(2, -3, TILE_SIZE, 77);
+    assert.deepEqual(pickups, generatePickupsForTile(2, -3, TILE_SIZE, 77));
+    pickups.forEach((pickup, i) => {
+        assert.equal(pickup.id, "2,-3," + i);
+        assert.ok(GameRules.PICKUP_TYPES.includes(pickup.type));
+    });
+});
+
+test("createRandom repeats its sequence for a seed and stays in [0, 1)", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    for (let i = 0; i < 1000; i++) {
+        const value = a();
+        assert.equal(value, b());
+        assert.ok(value >= 0 && value < 1);
+    }
+});
+
+test("normalizeSeed keeps numbers and hashes text", () => {
+    assert.equal(normalizeSeed(12345), 12345);
+    assert.equal(normalizeSeed(" 12345 "), 12345);
+    assert.equal(normalizeSeed("meteor"), normalizeSeed("meteor"));
+    assert.notEqual(normalizeSeed("meteor"), normalizeSeed("meteors"));
+    assert.equal(normalizeSeed(-1), 4294967295);
+});
+
+test("pointInRing stays between the radii", () => {
+    const random = createRandom(5);
+    for (let i = 0; i < 200; i++) {
+        const p = pointInRing(10, -4, 3, 7, random);
+        const dist = Math.hypot(p.x - 10, p.z + 4);
+        assert.ok(dist >= 3 - 1e-9 && dist <= 7 + 1e-9);
+    }
+});
+
+test("pickMeteorType never picks a type weighted 0", () => {
+    const random = createRandom(8);
+    for (let i = 0; i < 200; i++) {
+        assert.ok(["small", "aimed"].includes(pickMeteorType({ normal: 0, small: 1, aimed: 3 }, random)));
+    }
+});
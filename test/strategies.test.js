@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import AIStrategies from "../strategies.js";
+
+test("a script that throws in reset or suggestMove still lets the run go on", () => {
+    const entry = AIStrategies.compileStrategyScript(
+        "return { reset() { throw new Error('bad reset'); }, suggestMove() { throw new Error('bad move'); } };",
+        "broken.js"
+    );
+    const strategy = entry.create();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.doesNotThrow(() => strategy.reset({}));
+        assert.deepEqual(strategy.suggestMove({}), { dx: 0, dz: 0 });
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test("the path strategy plans with the run time, not the score", () => {
+    let args = null;
+    const ai = { suggestMove: (...a) => { args = a; return { dx: 1, dz: 0 }; } };
+    const strategy = AIStrategies.registry.create("path", { ai: ai });
+    const state = {
+        meteors: [], enemies: [], holes: [], pickups: [],
+        position: { x: 0, y: 0, z: 0 }, playerSpeed: 12, score: 250, time: 40, level: 8
+    };
+    strategy.suggestMove(state);
+    assert.equal(args[2], 40);
+    assert.equal(args[3], 8);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VersusMatch } from "../versus.js";
+
+function createMatch() {
+    const still = { suggestMove: () => ({ dx: 0, dz: 0 }) };
+    return new VersusMatch({
+        seed: 7,
+        level: 5,
+        sides: [{ id: "a", label: "A", strategy: still }, { id: "b", label: "B", strategy: still }]
+    });
+}
+
+function end(world, time, score) {
+    world.isGameOver = true;
+    world.time = time;
+    world.score = score;
+}
+
+test("the side that survived longer wins, whatever the scores", () => {
+    const match = createMatch();
+    const [a, b] = match.sides.map(side => side.world);
+    assert.equal(match.getWinner(), -1);
+
+    end(a, 30, 200);
+    assert.equal(match.getWinner(), 1);
+
+    end(b, 45, 60);
+    assert.equal(match.getWinner(), 1);
+
+    end(b, 30, 60);
+    assert.equal(match.getWinner(), -1);
+});
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Headless ComputerAI benchmark
+ * Plays many games per AI level against WorldSimulation at a fixed timestep
+ * and reports survival times (and scores, which pickups can multiply), so
+ * regressions show up without a browser.
+ *
+ * Usage:
+ *   node tools/ai-benchmark.js [--games 100] [--levels 1-12] [--max-time 300]
+ *                              [--fps 60] [--seed 1] [--strategy path] [--planner auto]
+ *                              [--difficulty standard] [--weights tuned.json] [--adaptive 60]
+ *                              [--json out.json] [--baseline base.json] [--tolerance 0.1]
+ *
+ * Game g of every level uses run seed (--seed + g), so results are
+ * reproducible and levels are compared on the same set of runs.
+ * --strategy is any built-in strategy id from strategies.js ("path", "reactive").
+ * --planner is "auto", "greedy" or "search" (see ComputerAI.setPlannerMode).
+ * --difficulty is a preset id from difficulty.js or a path to a difficulty .json file.
+ * --weights is a ComputerAI weight profile .json file (see ai-weights.js and
+ * tools/ai-tune.js); the path strategy only.
+ * --adaptive <seconds> plays --games games in a row with the level set by
+ * AdaptiveLevel aiming at that survival time, and reports how it converged.
+ * The search planner's time budget is lifted here so runs don't depend on
+ * machine speed; its node budget still applies.
+ *
+ * With --baseline, exits non-zero when any level's mean survival time drops
+ * more than --tolerance (fraction) below the baseline file's mean.
+ */
+
+import fs from "fs";
+import { WorldSimulation } from "../simulation.js";
+import { ComputerAI, AI_MAX_LEVEL } from "../computer.js";
+import AIStrategies from "../strategies.js";
+import GameDifficulty from "../difficulty.js";
+import { AdaptiveLevel } from "../adaptive.js";
+import { DEFAULT_WEIGHT_PROFILE, parseWeightProfile } from "../ai-weights.js";
+
+function parseArgs(argv) {
+    const args = {
+        games: 100,
+        levels: parseLevels(`1-${AI_MAX_LEVEL}`),
+        maxTime: 300,
+        fps: 60,
+        seed: 1,
+        strategy: "path",
+        planner: "auto",
+        difficulty: GameDifficulty.DEFAULT_ID,
+        weights: null,
+        adaptive: null,
+        json: null,
+        baseline: null,
+        tolerance: 0.1
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case "--games": args.games = parseInt(value, 10); i++; break;
+            case "--levels": args.levels = parseLevels(value); i++; break;
+            case "--max-time": args.maxTime = parseFloat(value); i++; break;
+            case "--fps": args.fps = parseFloat(value); i++; break;
+            case "--seed": args.seed = parseInt(value, 10); i++; break;
+            case "--strategy": args.strategy = value; i++; break;
+            case "--planner": args.planner = value; i++; break;
+            case "--difficulty": args.difficulty = value; i++; break;
+            case "--weights": args.weights = value; i++; break;
+            case "--adaptive": args.adaptive = parseFloat(value); i++; break;
+            case "--json": args.json = value; i++; break;
+            case "--baseline": args.baseline = value; i++; break;
+            case "--tolerance": args.tolerance = parseFloat(value); i++; break;
+            default:
+                throw new Error(`Unknown argument: ${key}`);
+        }
+    }
+    return args;
+}
+
+// "1-10", "3,5,7" or "5"
+function parseLevels(spec) {
+    const levels = [];
+    for (const part of spec.split(",")) {
+        const [lo, hi] = part.split("-").map(Number);
+        for (let l = lo; l <= (hi || lo); l++) levels.push(l);
+    }
+    return levels;
+}
+
+/**
+ * A preset id or a .json file -> resolved difficulty definition
+ */
+function loadDifficulty(spec) {
+    const preset = GameDifficulty.getPreset(spec);
+    if (preset) return GameDifficulty.resolve(preset);
+    return GameDifficulty.parse(fs.readFileSync(spec, "utf8"));
+}
+
+/**
+ * Play one game and return {survival, score, cause}
+ */
+function playGame(aiLevel, seed, maxTime, dt, args) {
+    const world = new WorldSimulation({ seed: seed, config: args.worldConfig });
+    const strategy = createStrategy(args, world);
+    strategy.reset(world.config);
+    // A number, or an AdaptiveLevel (whose level eases off once the run passes its target)
+    const levelAt = typeof aiLevel === "number" ? () => aiLevel : time => aiLevel.getLevel(time);
+
+    while (!world.isGameOver && world.time < maxTime) {
+        const state = Object.assign(world.getObservation(), { level: levelAt(world.time) });
+        world.step(dt, AIStrategies.normalizeMove(strategy.suggestMove(state)));
+    }
+
+    return { survival: world.time, score: world.score, cause: world.gameOverCause || "timeout" };
+}
+
+function createStrategy(args, world) {
+    if (args.strategy !== "path") {
+        return AIStrategies.registry.create(args.strategy, { config: world.config });
+    }
+
+    const ai = new ComputerAI({
+        clock: () => world.time,
+        debug: false,
+        config: world.config,
+        weights: args.weightProfile
+    });
+    ai.setPlannerMode(args.planner);
+    return AIStrategies.registry.create("path", { ai: ai });
+}
+
+function summarize(level, results) {
+    const times = results.map(r => r.survival).sort((a, b) => a - b);
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    const causes = {};
+    for (const r of results) {
+        causes[r.cause] = (causes[r.cause] || 0) + 1;
+    }
+
+    return {
+        level: level,
+        games: times.length,
+        mean: mean,
+        meanScore: results.reduce((sum, r) => sum + r.score, 0) / results.length,
+        median: times[Math.floor(times.length / 2)],
+        min: times[0],
+        max: times[times.length - 1],
+        causes: causes
+    };
+}
+
+/**
+ * Play games in a row with an adaptive level and show how close they get to the target
+ */
+function runAdaptive(args, dt) {
+    const adaptive = new AdaptiveLevel({ targetTime: args.adaptive });
+    const times = [];
+
+    console.log("game  level  survival");
+    for (let g = 0; g < args.games; g++) {
+        const level = adaptive.level;
+        const result = playGame(adaptive, args.seed + g, args.maxTime, dt, args);
+        adaptive.recordRun(result.survival);
+        times.push(result.survival);
+        console.log(`${String(g + 1).padStart(4)} ${level.toFixed(2).padStart(6)} ${result.survival.toFixed(1).padStart(9)}`);
+    }
+
+    // The first games are still converging; judge the second half
+    const settled = times.slice(Math.floor(times.length / 2));
+    const mean = settled.reduce((sum, t) => sum + t, 0) / settled.length;
+    console.log(`
+Target ${args.adaptive}s: mean survival over the last ${settled.length} games ${mean.toFixed(1)}s, final level ${adaptive.level.toFixed(2)}`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const dt = 1 / args.fps;
+    const summaries = [];
+    const difficulty = loadDifficulty(args.difficulty);
+    args.worldConfig = GameDifficulty.toConfig(difficulty);
+    args.weightProfile = args.weights ? parseWeightProfile(fs.readFileSync(args.weights, "utf8")) : DEFAULT_WEIGHT_PROFILE;
+
+    if (args.adaptive) {
+        console.log(`Adaptive level aiming at ${args.adaptive}s over ${args.games} games, strategy ${args.strategy}, difficulty ${difficulty.name}\n`);
+        runAdaptive(args, dt);
+        return;
+    }
+
+    console.log(`Benchmarking ${args.games} games per level, dt=${dt.toFixed(4)}s, max ${args.maxTime}s, strategy ${args.strategy}, planner ${args.planner}, difficulty ${difficulty.name}, weights ${args.weightProfile.name}\n`);
+    console.log("level   mean  median    min     max   score  causes");
+
+    for (const level of args.levels) {
+        const results = [];
+        for (let g = 0; g < args.games; g++) {
+            results.push(playGame(level, args.seed + g, args.maxTime, dt, args));
+        }
+
+        const s = summarize(level, results);
+        summaries.push(s);
+
+        const causes = Object.entries(s.causes).map(([k, v]) => `${k}=${v}`).join(" ");
+        console.log(
+            `${String(level).padStart(5)} ${s.mean.toFixed(1).padStart(6)} ${s.median.toFixed(1).padStart(7)} ` +
+            `${s.min.toFixed(1).padStart(6)} ${s.max.toFixed(1).padStart(7)} ${s.meanScore.toFixed(1).padStart(7)}  ${causes}`
+        );
+    }
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify({
+            games: args.games,
+            fps: args.fps,
+            maxTime: args.maxTime,
+            seed: args.seed,
+            strategy: args.strategy,
+            planner: args.planner,
+            weights: args.weightProfile.name,
+            difficulty: difficulty,
+            levels: summaries
+        }, null, 2));
+        console.log(`\nWrote ${args.json}`);
+    }
+
+    if (args.baseline) {
+        const baseline = JSON.parse(fs.readFileSync(args.baseline, "utf8"));
+        let regressed = false;
+
+        for (const s of summaries) {
+            const base = baseline.levels.find(b => b.level === s.level);
+            if (!base) continue;
+            if (s.mean < base.mean * (1 - args.tolerance)) {
+                console.error(`Level ${s.level}: mean survival ${s.mean.toFixed(1)}s regressed from ${base.mean.toFixed(1)}s`);
+                regressed = true;
+            }
+        }
+
+        if (regressed) process.exit(1);
+        console.log("\nNo survival regressions against baseline.");
+    }
+}
+
+main();
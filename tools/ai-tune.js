@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Offline tuning of ComputerAI's scoring weights by self-play
+ * For each AI level, an evolution strategy searches the weights in
+ * ai-weights.js for the longest mean survival against WorldSimulation:
+ * every generation samples --population weight sets around the current
+ * mean (log-normal, so weights stay >= 0 and move by ratios), plays each on
+ * the same --games seeds, and moves the mean to the rank-weighted average
+ * of the better half. The step size shrinks when a generation brings no
+ * improvement over the mean.
+ *
+ * Seeds change every generation so the weights can't fit one set of runs;
+ * the result is then checked on --games held-out seeds against the weights
+ * it started from, and a level keeps its starting weights unless the tuned
+ * ones survive longer there too.
+ *
+ * Usage:
+ *   node tools/ai-tune.js [--levels 5,10] [--generations 20] [--population 12]
+ *                         [--games 8] [--max-time 120] [--fps 30] [--seed 1]
+ *                         [--sigma 0.3] [--keys meteorHit,movementBonus,...]
+ *                         [--difficulty standard] [--planner auto]
+ *                         [--start weights.json] [--out tuned-weights.json] [--name Tuned]
+ *
+ * --start is a weight profile to start from (default: DEFAULT_WEIGHTS).
+ * --keys limits the search to some weights; the rest keep their start values.
+ * The output is a weight profile with one entry per tuned level, which the
+ * game's "Weights" control and `ai-benchmark.js --weights` load.
+ */
+
+import fs from "fs";
+import { WorldSimulation } from "../simulation.js";
+import { ComputerAI } from "../computer.js";
+import AIStrategies from "../strategies.js";
+import GameDifficulty from "../difficulty.js";
+import { createRandom } from "../spawning.js";
+import {
+    DEFAULT_WEIGHTS,
+    DEFAULT_WEIGHT_PROFILE,
+    parseWeightProfile,
+    getLevelWeights
+} from "../ai-weights.js";
+
+const VALIDATION_SEED_OFFSET = 1000000; // held-out seeds start here (plus --seed)
+const SIGMA_DECAY = 0.85; // step size kept after a generation without improvement
+const MIN_SIGMA = 0.02;
+
+function parseArgs(argv) {
+    const args = {
+        levels: [5, 10],
+        generations: 20,
+        population: 12,
+        games: 8,
+        maxTime: 120,
+        fps: 30,
+        seed: 1,
+        sigma: 0.3,
+        keys: null,
+        difficulty: GameDifficulty.DEFAULT_ID,
+        planner: "auto",
+        start: null,
+        out: "tuned-weights.json",
+        name: "Tuned"
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case "--levels": args.levels = parseLevels(value); i++; break;
+            case "--generations": args.generations = parseInt(value, 10); i++; break;
+            case "--population": args.population = parseInt(value, 10); i++; break;
+            case "--games": args.games = parseInt(value, 10); i++; break;
+            case "--max-time": args.maxTime = parseFloat(value); i++; break;
+            case "--fps": args.fps = parseFloat(value); i++; break;
+            case "--seed": args.seed = parseInt(value, 10); i++; break;
+            case "--sigma": args.sigma = parseFloat(value); i++; break;
+            case "--keys": args.keys = value.split(","); i++; break;
+            case "--difficulty": args.difficulty = value; i++; break;
+            case "--planner": args.planner = value; i++; break;
+            case "--start": args.start = value; i++; break;
+            case "--out": args.out = value; i++; break;
+            case "--name": args.name = value; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${key}`);
+        }
+    }
+
+    for (const k of args.keys || []) {
+        if (!(k in DEFAULT_WEIGHTS)) throw new Error(`Unknown weight: ${k}`);
+    }
+    if (args.population < 2) throw new Error("--population must be at least 2");
+    return args;
+}
+
+// "1-10", "3,5,7" or "5"
+function parseLevels(spec) {
+    const levels = [];
+    for (const part of spec.split(",")) {
+        const [lo, hi] = part.split("-").map(Number);
+        for (let l = lo; l <= (hi || lo); l++) levels.push(l);
+    }
+    return levels;
+}
+
+/**
+ * A preset id or a .json file -> resolved difficulty definition
+ */
+function loadDifficulty(spec) {
+    const preset = GameDifficulty.getPreset(spec);
+    if (preset) return GameDifficulty.resolve(preset);
+    return GameDifficulty.parse(fs.readFileSync(spec, "utf8"));
+}
+
+// ------------------------------------------------------------
+// Self-play
+// ------------------------------------------------------------
+/**
+ * Play one game with the given weights and return its survival time
+ */
+function playGame(weights, level, seed, args) {
+    const world = new WorldSimulation({ seed: seed, config: args.worldConfig });
+    const ai = new ComputerAI({
+        clock: () => world.time,
+        debug: false,
+        config: world.config,
+        weights: { default: weights }
+    });
+    ai.setPlannerMode(args.planner);
+    const strategy = AIStrategies.registry.create("path", { ai: ai });
+    strategy.reset(world.config);
+    const dt = 1 / args.fps;
+
+    while (!world.isGameOver && world.time < args.maxTime) {
+        const state = Object.assign(world.getObservation(), { level: level });
+        world.step(dt, AIStrategies.normalizeMove(strategy.suggestMove(state)));
+    }
+    return world.time;
+}
+
+/**
+ * Mean survival of some weights over games firstSeed, firstSeed + 1, ...
+ */
+function evaluate(weights, level, firstSeed, args) {
+    let total = 0;
+    for (let g = 0; g < args.games; g++) {
+        total += playGame(weights, level, firstSeed + g, args);
+    }
+    return total / args.games;
+}
+
+// ------------------------------------------------------------
+// Evolution strategy
+// ------------------------------------------------------------
+/**
+ * Standard normal sample (Box-Muller) from a seeded uniform generator
+ */
+function gaussian(random) {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function toWeights(start, keys, logValues) {
+    const weights = Object.assign({}, start);
+    keys.forEach((key, i) => { weights[key] = Math.exp(logValues[i]); });
+    return weights;
+}
+
+/**
+ * Action: Tune one level's weights; returns {weights, before, after, kept}
+ */
+function tuneLevel(level, start, args) {
+    // Weights at 0 have no log; they stay switched off
+    const keys = (args.keys || Object.keys(DEFAULT_WEIGHTS)).filter(k => start[k] > 0);
+    const random = createRandom(args.seed * 7919 + level);
+    const parents = Math.max(1, Math.floor(args.population / 2));
+    // Rank weights for the better half: log-decreasing, summing to 1 (as in CMA-ES)
+    const rankWeights = Array.from({ length: parents }, (_, i) => Math.log(parents + 0.5) - Math.log(i + 1));
+    const rankTotal = rankWeights.reduce((sum, w) => sum + w, 0);
+
+    let mean = keys.map(k => Math.log(start[k]));
+    let sigma = args.sigma;
+
+    for (let gen = 0; gen < args.generations; gen++) {
+        const firstSeed = args.seed + gen * args.games;
+        const meanFitness = evaluate(toWeights(start, keys, mean), level, firstSeed, args);
+
+        const candidates = [];
+        for (let c = 0; c < args.population; c++) {
+            const logValues = mean.map(m => m + sigma * gaussian(random));
+            candidates.push({
+                logValues: logValues,
+                fitness: evaluate(toWeights(start, keys, logValues), level, firstSeed, args)
+            });
+        }
+        candidates.sort((a, b) => b.fitness - a.fitness);
+
+        mean = mean.map((_, i) => {
+            let value = 0;
+            for (let r = 0; r < parents; r++) value += rankWeights[r] / rankTotal * candidates[r].logValues[i];
+            return value;
+        });
+        if (candidates[0].fitness <= meanFitness) sigma = Math.max(MIN_SIGMA, sigma * SIGMA_DECAY);
+
+        console.log(
+            `level ${String(level).padStart(2)}  gen ${String(gen + 1).padStart(3)}  ` +
+            `mean ${meanFitness.toFixed(1).padStart(6)}s  best ${candidates[0].fitness.toFixed(1).padStart(6)}s  sigma ${sigma.toFixed(3)}`
+        );
+    }
+
+    // Judge on seeds no generation has played
+    const tuned = toWeights(start, keys, mean);
+    const validationSeed = args.seed + VALIDATION_SEED_OFFSET;
+    const before = evaluate(start, level, validationSeed, args);
+    const after = evaluate(tuned, level, validationSeed, args);
+    const kept = after <= before;
+
+    console.log(`level ${level}: held-out mean survival ${before.toFixed(1)}s -> ${after.toFixed(1)}s` +
+        (kept ? " (no better; keeping the start weights)" : "") + "\n");
+    return { weights: kept ? start : tuned, before: before, after: after, kept: kept };
+}
+
+/**
+ * 4 significant digits: enough to reproduce the result, short enough to read
+ */
+function roundWeights(weights) {
+    const rounded = {};
+    for (const key of Object.keys(weights)) {
+        rounded[key] = Number(weights[key].toPrecision(4));
+    }
+    return rounded;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const difficulty = loadDifficulty(args.difficulty);
+    args.worldConfig = GameDifficulty.toConfig(difficulty);
+    const startProfile = args.start ? parseWeightProfile(fs.readFileSync(args.start, "utf8")) : DEFAULT_WEIGHT_PROFILE;
+
+    console.log(`Tuning levels ${args.levels.join(", ")}: ${args.generations} generations of ${args.population}, ` +
+        `${args.games} games each (max ${args.maxTime}s), difficulty ${difficulty.name}, start weights ${startProfile.name}\n`);
+
+    const profile = {
+        id: args.name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+        name: args.name,
+        description: `Tuned on ${difficulty.name} by tools/ai-tune.js from ${startProfile.name}`,
+        default: startProfile.default,
+        levels: {},
+        tuning: {
+            difficulty: difficulty.id,
+            generations: args.generations,
+            population: args.population,
+            games: args.games,
+            maxTime: args.maxTime,
+            fps: args.fps,
+            seed: args.seed,
+            planner: args.planner,
+            survival: {}
+        }
+    };
+
+    for (const level of args.levels) {
+        const result = tuneLevel(level, getLevelWeights(startProfile, level), args);
+        profile.levels[level] = roundWeights(result.weights);
+        profile.tuning.survival[level] = {
+            before: Number(result.before.toFixed(2)),
+            after: Number(result.after.toFixed(2)),
+            kept: result.kept
+        };
+    }
+
+    fs.writeFileSync(args.out, JSON.stringify(profile, null, 2) + "\n");
+    console.log(`Wrote ${args.out}`);
+}
+
+main();
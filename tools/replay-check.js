@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Re-run a saved replay file headlessly and compare with its recorded result
+ *
+ * Usage: node tools/replay-check.js <replay.json>
+ * Exits non-zero if the re-run does not reproduce the recorded score and cause
+ * (and, for last-one-standing replays, the winner).
+ */
+
+import fs from "fs";
+import { WorldSimulation } from "../simulation.js";
+import { parseReplay, simulateReplay } from "../replay.js";
+
+const file = process.argv[2];
+if (!file) {
+    console.error("Usage: node tools/replay-check.js <replay.json>");
+    process.exit(2);
+}
+
+const replay = parseReplay(fs.readFileSync(file, "utf8"));
+const world = simulateReplay(replay, WorldSimulation);
+
+const players = replay.players ? `, ${replay.players.count} players (${replay.players.mode})` : "";
+const recordedWinner = replay.result && replay.result.winner !== undefined ? replay.result.winner : null;
+const winner = w => replay.players ? `, winner ${w === null ? "none" : "player " + (w + 1)}` : "";
+console.log(`Seed ${replay.seed}, ${replay.frames.length} frames, mode ${replay.mode}${players}`);
+console.log(`Re-run:   score ${world.score.toFixed(3)}, cause ${world.gameOverCause}${winner(world.winner)}`);
+
+if (!replay.result) {
+    console.log("Replay has no recorded result to compare.");
+    process.exit(0);
+}
+
+console.log(`Recorded: score ${replay.result.score.toFixed(3)}, cause ${replay.result.cause}${winner(recordedWinner)}`);
+
+if (world.score !== replay.result.score || world.gameOverCause !== replay.result.cause || world.winner !== recordedWinner) {
+    console.error("Replay diverged from the recorded run.");
+    process.exit(1);
+}
+console.log("Replay reproduces the recorded run exactly.");
@@ -0,0 +1,228 @@
+/**
+ * Versus: two AI strategies play the same seed side by side
+ * VersusMatch runs two WorldSimulations in lockstep (same seed, same config,
+ * same timesteps), so any difference between the sides comes from the
+ * strategies alone. VersusView draws both worlds split screen with primitive
+ * geometry; it is browser-only.
+ */
+
+import * as THREE from "./vendor/three/build/three.module.js";
+import { WorldSimulation } from "./simulation.js";
+import AIStrategies from "./strategies.js";
+import { InstancedPool } from "./instanced.js";
+
+class VersusMatch {
+    /**
+     * @param {Object} options.seed - Run seed both sides play
+     * @param {Object} options.config - World config overrides
+     * @param {Array} options.sides - Two {id, label, strategy}
+     * @param {Number} options.level - AI level passed to both strategies
+     */
+    constructor(options) {
+        this.seed = options.seed;
+        this.level = options.level;
+        this.sides = options.sides.map(side => {
+            const world = new WorldSimulation({ seed: options.seed, config: options.config });
+            if (typeof side.strategy.reset === "function") side.strategy.reset(world.config);
+            return { id: side.id, label: side.label, strategy: side.strategy, world: world };
+        });
+    }
+
+    get isOver() {
+        return this.sides.every(side => side.world.isGameOver);
+    }
+
+    step(delta) {
+        for (const side of this.sides) {
+            const world = side.world;
+            if (world.isGameOver) {
+                world.step(delta, null);
+                continue;
+            }
+
+            const state = Object.assign(world.getObservation(), { level: this.level });
+            world.step(delta, AIStrategies.normalizeMove(side.strategy.suggestMove(state)));
+        }
+    }
+
+    /**
+     * Index of the side that survived longer, -1 for a tie or while both are alive
+     * (survival time only: bonuses in the score don't decide it)
+     */
+    getWinner() {
+        const [a, b] = this.sides.map(side => side.world);
+        if (!a.isGameOver && !b.isGameOver) return -1;
+        if (!a.isGameOver) return 0;
+        if (!b.isGameOver) return 1;
+        if (a.time === b.time) return -1;
+        return a.time > b.time ? 0 : 1;
+    }
+}
+
+// ------------------------------------------------------------
+// Split-screen view (browser only)
+// ------------------------------------------------------------
+const tmpPosition = new THREE.Vector3();
+
+class VersusView {
+    /**
+     * @param {VersusMatch} match
+     */
+    constructor(match) {
+        this.match = match;
+        this.cameraOffset = new THREE.Vector3(26, 24, 26);
+        this.geometries = {
+            player: new THREE.BoxGeometry(1.5, 1, 2),
+            enemy: new THREE.BoxGeometry(1.4, 1.2, 1.4),
+            hole: new THREE.CircleGeometry(1, 32),
+            pickup: new THREE.OctahedronGeometry(0.6)
+        };
+        this.materials = {
+            players: [
+                new THREE.MeshStandardMaterial({ color: 0x4caf50 }),
+                new THREE.MeshStandardMaterial({ color: 0x42a5f5 })
+            ],
+            enemies: {
+                chaser: new THREE.MeshStandardMaterial({ color: 0xffcc66 }),
+                interceptor: new THREE.MeshStandardMaterial({ color: 0xff7043 }),
+                flanker: new THREE.MeshStandardMaterial({ color: 0x66bb6a }),
+                patroller: new THREE.MeshStandardMaterial({ color: 0x90a4ae })
+            },
+            hole: new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.95 }),
+            pickup: new THREE.MeshStandardMaterial({ color: 0x00e5ff, emissive: 0x00e5ff, emissiveIntensity: 0.6 })
+        };
+        this.panes = match.sides.map((side, i) => this.createPane(side, i));
+    }
+
+    createPane(side, index) {
+        const scene = new THREE.Scene();
+        scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+        const dirLight = new THREE.DirectionalLight(0xffffff, 1.0);
+        dirLight.position.set(16, 26, 10);
+        scene.add(dirLight);
+
+        const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 240);
+
+        const player = new THREE.Mesh(this.geometries.player, this.materials.players[index]);
+        player.rotation.y = -Math.PI / 4;
+        scene.add(player);
+
+        // Meteors and shadows are instanced (instanced.js), one draw call each
+        const config = side.world.config;
+        const meteors = new InstancedPool(scene,
+            new THREE.SphereGeometry(config.meteorRadius, 16, 16),
+            new THREE.MeshStandardMaterial({ color: 0xff6347 }),
+            { capacity: config.maxMeteorCount });
+        const shadows = new InstancedPool(scene,
+            new THREE.CircleGeometry(0.9, 16).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.35 }),
+            { capacity: config.maxMeteorCount });
+
+        return {
+            side: side,
+            scene: scene,
+            camera: camera,
+            player: player,
+            meteors: meteors,
+            shadows: shadows,
+            enemies: [],
+            holes: [],
+            pickups: []
+        };
+    }
+
+    /**
+     * Action: Grow a mesh pool to n meshes and hide the ones past n
+     */
+    syncPool(pane, pool, n, geometry, material, setup) {
+        while (pool.length < n) {
+            const mesh = new THREE.Mesh(geometry, material);
+            if (setup) setup(mesh);
+            pane.scene.add(mesh);
+            pool.push(mesh);
+        }
+        for (let i = 0; i < pool.length; i++) {
+            pool[i].visible = i < n;
+        }
+    }
+
+    update() {
+        for (const pane of this.panes) {
+            const world = pane.side.world;
+            const flat = mesh => { mesh.rotation.x = -Math.PI / 2; };
+
+            pane.player.position.set(world.player.x, world.player.y, world.player.z);
+            pane.player.visible = world.gameOverCause !== "blackHole";
+
+            const falling = world.meteors.filter(m => m.respawnTimer <= 0);
+            const fallSpeed = world.getMeteorFallSpeed();
+            falling.forEach((m, i) => {
+                const size = m.radius / world.config.meteorRadius;
+                pane.meteors.setTransform(i, tmpPosition.set(m.x, m.y, m.z), null, size);
+
+                // Shadow where it will land, as wide as what it will hit
+                const v = world.getMeteorVelocity(m, fallSpeed);
+                const landsIn = Math.max(0, m.y / Math.max(-v.y, 0.001));
+                const shadowSize = m.blastRadius > 0 ? m.blastRadius / 0.9 : size;
+                pane.shadows.setTransform(i, tmpPosition.set(m.x + v.x * landsIn, 0.02, m.z + v.z * landsIn), null, shadowSize);
+            });
+            pane.meteors.setCount(falling.length);
+            pane.shadows.setCount(falling.length);
+
+            const enemyMaterials = this.materials.enemies;
+            this.syncPool(pane, pane.enemies, world.enemies.length, this.geometries.enemy, enemyMaterials.chaser);
+            world.enemies.forEach((e, i) => {
+                pane.enemies[i].position.set(e.x, e.y, e.z);
+                pane.enemies[i].material = enemyMaterials[e.archetype] || enemyMaterials.chaser;
+            });
+
+            this.syncPool(pane, pane.holes, world.holes.length, this.geometries.hole, this.materials.hole, flat);
+            world.holes.forEach((h, i) => {
+                pane.holes[i].position.set(h.x, 0.01, h.z);
+                pane.holes[i].scale.set(h.halfSize, h.halfSize, 1);
+            });
+
+            this.syncPool(pane, pane.pickups, world.pickups.length, this.geometries.pickup, this.materials.pickup);
+            world.pickups.forEach((pickup, i) => {
+                pane.pickups[i].position.set(pickup.x, 1, pickup.z);
+                pane.pickups[i].rotation.y = world.time * 1.5;
+            });
+
+            const p = pane.player.position;
+            pane.camera.position.set(p.x + this.cameraOffset.x, this.cameraOffset.y, p.z + this.cameraOffset.z);
+            pane.camera.lookAt(p.x, 0, p.z);
+        }
+    }
+
+    /**
+     * Draw each world into its half of the renderer's canvas
+     */
+    render(renderer) {
+        const size = renderer.getSize(new THREE.Vector2());
+        const halfWidth = Math.floor(size.x / 2);
+
+        renderer.setScissorTest(true);
+        this.panes.forEach((pane, i) => {
+            pane.camera.aspect = halfWidth / size.y;
+            pane.camera.updateProjectionMatrix();
+            renderer.setViewport(i * halfWidth, 0, halfWidth, size.y);
+            renderer.setScissor(i * halfWidth, 0, halfWidth, size.y);
+            renderer.render(pane.scene, pane.camera);
+        });
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, size.x, size.y);
+    }
+
+    dispose() {
+        this.panes.forEach(pane => {
+            pane.meteors.dispose();
+            pane.shadows.dispose();
+        });
+        Object.values(this.geometries).forEach(g => g.dispose());
+        this.materials.players.forEach(m => m.dispose());
+        Object.values(this.materials.enemies).forEach(m => m.dispose());
+        Object.values(this.materials).forEach(m => { if (m.dispose) m.dispose(); });
+    }
+}
+
+export { VersusMatch, VersusView };